@@ -0,0 +1,284 @@
+// The one place that decides whether the user is active, for everything in the main process
+// The native monitor (activity-monitor.js) is the source of truth while its system-wide idle detection runs.
+// Without it (libraries missing, permissions denied, or not started yet) focus on the app window is the
+// fallback: the user counts as active while the window is focused, and for idleThreshold after the last
+// focus or native input event. Every state change is recorded in the activity history, and today's
+// totals and sessions are read back from there, so the Activity tab, the history and the MCP servers agree.
+// Coming back after at least awayThreshold of idle time emits 'returned', so the user can say what it was.
+// Screen locks and suspends (handlePowerEvent) end the session; nothing counts as active until the user is back.
+
+import { EventEmitter } from 'events';
+import { DEFAULT_SESSION_GAP } from './activity-history-store.js';
+
+const FALLBACK_CHECK_INTERVAL = 10000;
+
+export const DEFAULT_AWAY_PROMPT_MINUTES = 10;
+export const DEFAULT_IDLE_THRESHOLD_SECONDS = 60;
+
+class ActivityEngine extends EventEmitter {
+  constructor({
+    history,
+    idleThreshold = DEFAULT_IDLE_THRESHOLD_SECONDS * 1000,
+    awayThreshold = DEFAULT_AWAY_PROMPT_MINUTES * 60000,
+    countMouseJitter = false,
+    sessionGap = DEFAULT_SESSION_GAP,
+    promptOnResume = true
+  }) {
+    super();
+
+    if (!history) {
+      throw new Error('The activity engine needs an activity history');
+    }
+
+    this.history = history;
+    this.sessionGap = sessionGap;
+    history.setSessionGap(sessionGap);
+    this.idleThreshold = idleThreshold;
+    this.awayThreshold = awayThreshold; // 0 never emits 'returned'
+    this.countMouseJitter = countMouseJitter;
+    this.promptOnResume = promptOnResume; // Whether a long lock or sleep emits 'returned' too
+    this.monitor = null;
+    this.source = 'window-focus'; // 'native' while the monitor's idle detection runs
+    this.isMonitoring = false;
+    this.isActive = false;
+    this.windowFocused = false;
+    this.lastActivity = null;
+    this.idleSince = null; // Start of the current idle stretch; null while active or before the first state
+    this.fallbackInterval = null;
+    this.locked = false;
+    this.suspended = false;
+  }
+
+  // Settings > Activity Detection: the idle threshold and jitter handling also go to the native monitor,
+  // the session gap (grace period before a session ends) to the history
+  configure({ idleThreshold, awayThreshold, countMouseJitter, sessionGap, promptOnResume }) {
+    if (idleThreshold !== undefined) {
+      this.idleThreshold = idleThreshold;
+    }
+    if (awayThreshold !== undefined) {
+      this.awayThreshold = awayThreshold;
+    }
+    if (countMouseJitter !== undefined) {
+      this.countMouseJitter = countMouseJitter;
+    }
+    if (promptOnResume !== undefined) {
+      this.promptOnResume = promptOnResume;
+    }
+    if (sessionGap !== undefined) {
+      this.history.setSessionGap(sessionGap);
+      this.sessionGap = sessionGap;
+    }
+    if (this.monitor) {
+      this.monitor.configure({ idleThreshold: this.idleThreshold, countMouseJitter: this.countMouseJitter });
+    }
+  }
+
+  start() {
+    if (this.isMonitoring) return;
+
+    console.log('Starting activity engine (window focus until native idle detection is available)...');
+    this.isMonitoring = true;
+    this.fallbackInterval = setInterval(() => this.checkFallback(), FALLBACK_CHECK_INTERVAL);
+    this.checkFallback();
+  }
+
+  stop() {
+    if (this.fallbackInterval) {
+      clearInterval(this.fallbackInterval);
+      this.fallbackInterval = null;
+    }
+    this.isMonitoring = false;
+  }
+
+  // Takes over from the window focus fallback once the monitor has started with idle detection
+  attachMonitor(monitor) {
+    this.monitor = monitor;
+    monitor.configure({ idleThreshold: this.idleThreshold, countMouseJitter: this.countMouseJitter });
+
+    monitor.on('started', () => {
+      if (monitor.hasIdleDetection()) {
+        this.useSource('native', monitor.isActive);
+      }
+    });
+
+    monitor.on('permissions-denied', () => this.useSource('window-focus', this.windowFocused));
+    monitor.on('stopped', () => this.useSource('window-focus', this.windowFocused));
+
+    monitor.on('activity-changed', (data) => {
+      if (this.isAway()) return;
+
+      if (this.source === 'native') {
+        this.setState(data.isActive, data.timestamp);
+      } else if (data.isActive) {
+        // Mouse and window events still count as activity for the fallback
+        this.recordActivity(data.timestamp);
+      }
+    });
+  }
+
+  useSource(source, isActive) {
+    if (this.source === source || !this.isMonitoring) return;
+
+    console.log(`Activity engine source: ${source}`);
+    this.source = source;
+    this.lastActivity = Date.now();
+    this.setState(isActive && !this.isAway(), this.lastActivity);
+  }
+
+  // Screen lock, unlock, suspend and resume (Electron's powerMonitor). Locking or suspending ends the session and
+  // is recorded in the history; while suspended nothing is recorded at all. Unlocking, or resuming without a lock
+  // screen, means the user is back and active; with promptOnResume a long enough lock or sleep emits 'returned'.
+  handlePowerEvent(event, timestamp = Date.now()) {
+    console.log(`Activity engine power event: ${event}`);
+
+    if (event === 'lock' || event === 'suspend') {
+      this.setState(false, timestamp);
+      this.history.recordPowerEvent(event, timestamp);
+      if (event === 'lock') {
+        this.locked = true;
+      } else {
+        this.suspended = true;
+        this.history.recordState(null, timestamp);
+      }
+      if (this.monitor) {
+        this.monitor.handlePowerEvent(event);
+      }
+      return;
+    }
+
+    this.history.recordPowerEvent(event, timestamp);
+    if (event === 'resume') {
+      this.suspended = false;
+      this.history.recordState(this.isActive, timestamp); // Recording again, idle until the user is back
+    } else {
+      this.locked = false;
+    }
+
+    if (!this.isAway()) {
+      if (!this.promptOnResume) {
+        this.idleSince = null;
+      }
+      this.lastActivity = timestamp;
+      this.setState(true, timestamp);
+    }
+  }
+
+  // Locked or asleep: input and window focus don't count
+  isAway() {
+    return this.locked || this.suspended;
+  }
+
+  reportWindowFocus(focused) {
+    this.windowFocused = focused;
+    if (focused) {
+      this.recordActivity();
+    }
+  }
+
+  recordActivity(timestamp = Date.now()) {
+    if (this.isAway()) return;
+
+    this.lastActivity = timestamp;
+    if (this.source !== 'native') {
+      this.setState(true, timestamp);
+    }
+  }
+
+  checkFallback() {
+    if (this.source === 'native' || this.isAway()) return;
+
+    const now = Date.now();
+    if (this.windowFocused) {
+      this.recordActivity(now);
+    } else if (this.isActive && now - this.lastActivity > this.idleThreshold) {
+      this.setState(false, now);
+    }
+  }
+
+  setState(isActive, timestamp = Date.now()) {
+    if (isActive === this.isActive) return;
+
+    const previousState = this.isActive;
+    this.isActive = isActive;
+    this.history.recordState(isActive, timestamp);
+
+    this.emit('state-changed', {
+      isActive,
+      previousState,
+      timestamp,
+      source: this.source
+    });
+
+    if (isActive && this.idleSince !== null && this.awayThreshold > 0 && timestamp - this.idleSince >= this.awayThreshold) {
+      this.emit('returned', { start: this.idleSince, end: timestamp, duration: timestamp - this.idleSince });
+    }
+    this.idleSince = isActive ? null : timestamp;
+  }
+
+  // Today's activity in milliseconds; dailyActive already includes the current session
+  getStats() {
+    const now = Date.now();
+    const [today] = this.history.getDays({});
+    const currentSession = this.isActive ? today.sessions[today.sessions.length - 1] : null;
+    const monitorStats = this.monitor ? this.monitor.getStats() : null;
+
+    return {
+      isMonitoring: this.isMonitoring,
+      isActive: this.isActive,
+      source: this.source,
+      lastActivity: this.source === 'native' ? this.monitor.lastActivity : this.lastActivity,
+      sessionTime: currentSession ? now - Date.parse(currentSession.start) : 0,
+      dailyActive: today.activeTime,
+      dailyIdle: today.idleTime,
+      totalTime: today.activeTime + today.idleTime,
+      sessions: today.sessions,
+      detection: {
+        idleThreshold: this.idleThreshold,
+        sessionGap: this.sessionGap,
+        countMouseJitter: this.countMouseJitter,
+        idleBackend: this.monitor ? this.monitor.idleBackend : null // See HybridActivityMonitor.selectIdleBackend()
+      },
+      // Input counters from the native monitor, since it started or was last reset
+      input: monitorStats ? {
+        mouseMovements: monitorStats.mouseMovements,
+        keyPresses: monitorStats.keyPresses,
+        keysPerMinute: monitorStats.keysPerMinute,
+        lastKeyPress: monitorStats.lastKeyPress,
+        keyboardSource: monitorStats.keyboardSource,
+        windowSwitches: monitorStats.windowSwitches,
+        applicationUsage: monitorStats.applicationUsage
+      } : null
+    };
+  }
+
+  // What the native monitor can do, for the Activity tab
+  async getPermissions() {
+    if (!this.monitor) {
+      return {
+        hasPermissions: false,
+        fallbackMode: true,
+        message: 'Native activity tracking is starting - using window focus until then'
+      };
+    }
+
+    const permissions = await this.monitor.checkPermissions();
+    const fallbackMode = this.source !== 'native';
+    const backends = `idle: ${permissions.idleBackend || 'none'}, windows: ${permissions.windowBackend || 'none'}`;
+    let message = `Active with ${permissions.overall} permissions (${backends})`;
+    if (permissions.overall === 'none') {
+      message = 'System permissions required for advanced activity tracking - using window focus';
+    } else if (fallbackMode) {
+      message = 'System idle detection unavailable - using window focus';
+    }
+
+    return {
+      hasPermissions: permissions.overall !== 'none',
+      fallbackMode,
+      message,
+      details: permissions
+    };
+  }
+}
+
+export { ActivityEngine };
+export default ActivityEngine;
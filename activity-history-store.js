@@ -0,0 +1,319 @@
+// Multi-day activity history for MCP Progress Tracker
+// One file per day in activity-history/ in userData, { date, minutes, sessions, apps, away, power, activeTime, idleTime, lastUpdated }:
+//   minutes    - 1440 characters, one per minute of the (local) day: 'a' active, 'i' idle, '-' no data
+//                (the app wasn't running). A minute with any activity in it counts as active.
+//   sessions   - [{ start, end }] ISO times of active stretches; breaks up to the session gap (the grace period,
+//                Settings > Activity Detection) don't end a session, a screen lock or suspend always does
+//   apps       - { <app name>: ms } active time per application
+//   away       - [{ start, end, decision, project, category, logged }] what the user said about time away (see
+//                recordAway); the minutes themselves stay idle
+//   power      - [{ event, at }] screen locks and suspends and what ended them (see recordPowerEvent); locked time
+//                is idle, suspended time has no data
+//   activeTime, idleTime - milliseconds
+// The main process records through createActivityHistoryStore() and flushes every minute. The HTTP servers
+// read the same files with readActivityHistory(). Nothing here may import electron.
+
+import fs from 'node:fs';
+import path from 'path';
+import { formatLocalDate, startOfDay, startOfNextDay, parseRangeStart } from './date-utils.js';
+
+export const DEFAULT_RETENTION_DAYS = 90;
+export const MAX_HISTORY_RANGE_DAYS = 92; // Longest range one query may ask for
+const MINUTES_PER_DAY = 1440;
+export const DEFAULT_SESSION_GAP = 2 * 60 * 1000;
+
+// What can be done with time away: drop it, keep it as a break, or assign it to a project
+export const AWAY_DECISIONS = ['discard', 'break', 'assign'];
+export const AWAY_CATEGORIES = ['meeting', 'thinking'];
+
+export const POWER_EVENTS = ['lock', 'unlock', 'suspend', 'resume'];
+
+// Errors carry the status the HTTP and IPC handlers report
+function historyError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export function getActivityHistoryDir(dataDir) {
+  return path.join(dataDir, 'activity-history');
+}
+
+function emptyDay(date) {
+  return {
+    date,
+    minutes: '-'.repeat(MINUTES_PER_DAY),
+    sessions: [],
+    apps: {},
+    away: [],
+    power: [],
+    activeTime: 0,
+    idleTime: 0,
+    lastUpdated: null
+  };
+}
+
+function readDayFile(dataDir, date) {
+  const dayPath = path.join(getActivityHistoryDir(dataDir), `${date}.json`);
+  if (!fs.existsSync(dayPath)) {
+    return null;
+  }
+  return { ...emptyDay(date), ...JSON.parse(fs.readFileSync(dayPath, 'utf8')) };
+}
+
+// YYYY-MM-DD keys from..to inclusive, oldest first
+function dateKeysBetween(from, to) {
+  const keys = [];
+  const day = parseRangeStart(from);
+  for (let key = formatLocalDate(day); key <= to; key = formatLocalDate(day)) {
+    keys.push(key);
+    day.setDate(day.getDate() + 1);
+  }
+  return keys;
+}
+
+// Checks a { from, to } range of YYYY-MM-DD dates; to defaults to from, from defaults to today
+function resolveRange({ from, to } = {}) {
+  const today = formatLocalDate(new Date());
+  const range = { from: from || to || today, to: to || from || today };
+  for (const value of Object.values(range)) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+      throw historyError(`Not a valid date: ${value} (use YYYY-MM-DD)`);
+    }
+  }
+  if (range.from > range.to) {
+    throw historyError('from must not be after to');
+  }
+  if (dateKeysBetween(range.from, range.to).length > MAX_HISTORY_RANGE_DAYS) {
+    throw historyError(`Ask for at most ${MAX_HISTORY_RANGE_DAYS} days at a time`);
+  }
+  return range;
+}
+
+// Days from..to (YYYY-MM-DD, inclusive) as saved on disk; days without history come back empty
+export function readActivityHistory(dataDir, range) {
+  const { from, to } = resolveRange(range);
+  return dateKeysBetween(from, to).map(date => {
+    try {
+      return readDayFile(dataDir, date) || emptyDay(date);
+    } catch (error) {
+      console.error(`Error reading activity history for ${date}:`, error);
+      return emptyDay(date);
+    }
+  });
+}
+
+export function createActivityHistoryStore({ dataDir, retentionDays = DEFAULT_RETENTION_DAYS, sessionGap = DEFAULT_SESSION_GAP, log = console.log }) {
+  if (!dataDir) {
+    throw new Error('Activity history needs a data directory');
+  }
+
+  const historyDir = getActivityHistoryDir(dataDir);
+  const days = new Map(); // Loaded days by date
+  const dirty = new Set();
+  let retention = retentionDays;
+  let maxSessionGap = sessionGap;
+  let state = null; // { isActive, since } - the state being recorded, null until the first recordState()
+  let sessionEnded = false; // The next active span starts a new session, however short the break
+
+  function getDay(date) {
+    if (!days.has(date)) {
+      let day = null;
+      try {
+        day = readDayFile(dataDir, date);
+      } catch (error) {
+        log(`Error reading activity history for ${date}: ${error.message}`);
+      }
+      days.set(date, day || emptyDay(date));
+    }
+    return days.get(date);
+  }
+
+  function markMinutes(day, from, to, code) {
+    const dayStart = startOfDay(new Date(from)).getTime();
+    const first = Math.floor((from - dayStart) / 60000);
+    const last = Math.min(Math.ceil((to - dayStart) / 60000), MINUTES_PER_DAY);
+    const minutes = day.minutes.split('');
+    for (let minute = first; minute < last; minute++) {
+      // Idle never overwrites a minute that already had activity
+      if (code === 'a' || minutes[minute] === '-') {
+        minutes[minute] = code;
+      }
+    }
+    day.minutes = minutes.join('');
+  }
+
+  function extendSessions(day, from, to) {
+    const last = day.sessions[day.sessions.length - 1];
+    if (last && !sessionEnded && from - new Date(last.end).getTime() <= maxSessionGap) {
+      last.end = new Date(Math.max(to, new Date(last.end).getTime())).toISOString();
+    } else {
+      day.sessions.push({ start: new Date(from).toISOString(), end: new Date(to).toISOString() });
+      sessionEnded = false;
+    }
+  }
+
+  // Records [from, to) in the given state, split at midnight
+  function recordSpan(isActive, from, to) {
+    let start = from;
+    while (start < to) {
+      const end = Math.min(to, startOfNextDay(start));
+      const day = getDay(formatLocalDate(new Date(start)));
+
+      markMinutes(day, start, end, isActive ? 'a' : 'i');
+      if (isActive) {
+        day.activeTime += end - start;
+        extendSessions(day, start, end);
+      } else {
+        day.idleTime += end - start;
+      }
+
+      dirty.add(day.date);
+      start = end;
+    }
+  }
+
+  // Writes the current state up to now, so queries and flushes include it
+  function sync(now = Date.now()) {
+    if (state && now > state.since) {
+      recordSpan(state.isActive, state.since, now);
+      state.since = now;
+    }
+  }
+
+  // The user became active or idle at timestamp; null stops recording (e.g. when monitoring stops)
+  function recordState(isActive, timestamp = Date.now()) {
+    sync(timestamp);
+    state = isActive === null ? null : { isActive: Boolean(isActive), since: timestamp };
+  }
+
+  // A finished window focus interval ({ appName, start, end }, see WindowActivityLog)
+  function addAppTime({ appName, start, end }) {
+    let from = start;
+    while (from < end) {
+      const to = Math.min(end, startOfNextDay(from));
+      const day = getDay(formatLocalDate(new Date(from)));
+      const app = appName || 'Unknown';
+      day.apps[app] = (day.apps[app] || 0) + (to - from);
+      dirty.add(day.date);
+      from = to;
+    }
+  }
+
+  // The user's decision about a stretch of time away ({ start, end } in ms), split at midnight.
+  // project and category are only kept for 'assign'; logged tells whether a progress item was created for it.
+  function recordAway({ start, end, decision, project = null, category = null, logged = false }) {
+    if (!AWAY_DECISIONS.includes(decision)) {
+      throw historyError(`Unknown decision "${decision}" - use one of: ${AWAY_DECISIONS.join(', ')}`);
+    }
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start >= end) {
+      throw historyError('Time away needs a start before its end');
+    }
+    if (decision === 'assign') {
+      if (!project) {
+        throw historyError('Assigning time away needs a project');
+      }
+      if (!AWAY_CATEGORIES.includes(category)) {
+        throw historyError(`Unknown category "${category}" - use one of: ${AWAY_CATEGORIES.join(', ')}`);
+      }
+    }
+
+    let from = start;
+    while (from < end) {
+      const to = Math.min(end, startOfNextDay(from));
+      const day = getDay(formatLocalDate(new Date(from)));
+      day.away.push({
+        start: new Date(from).toISOString(),
+        end: new Date(to).toISOString(),
+        decision,
+        project: decision === 'assign' ? project : null,
+        category: decision === 'assign' ? category : null,
+        logged: decision === 'assign' && Boolean(logged)
+      });
+      dirty.add(day.date);
+      from = to;
+    }
+  }
+
+  // A screen lock, unlock, suspend or resume at timestamp. Lock and suspend end the current session.
+  function recordPowerEvent(event, timestamp = Date.now()) {
+    if (!POWER_EVENTS.includes(event)) {
+      throw historyError(`Unknown power event "${event}" - use one of: ${POWER_EVENTS.join(', ')}`);
+    }
+
+    sync(timestamp);
+    if (event === 'lock' || event === 'suspend') {
+      sessionEnded = true;
+    }
+
+    const day = getDay(formatLocalDate(new Date(timestamp)));
+    day.power.push({ event, at: new Date(timestamp).toISOString() });
+    dirty.add(day.date);
+  }
+
+  function setRetention(retentionDays) {
+    retention = Math.max(parseInt(retentionDays, 10) || DEFAULT_RETENTION_DAYS, 1);
+  }
+
+  // Applies to sessions recorded from now on; saved sessions keep their boundaries
+  function setSessionGap(sessionGap) {
+    maxSessionGap = Math.max(Number(sessionGap) || 0, 0);
+  }
+
+  function prune() {
+    const cutoff = formatLocalDate(new Date(Date.now() - retention * 24 * 60 * 60 * 1000));
+    try {
+      if (!fs.existsSync(historyDir)) return;
+      fs.readdirSync(historyDir)
+        .filter(file => /^\d{4}-\d{2}-\d{2}\.json$/.test(file) && file.slice(0, 10) < cutoff)
+        .forEach(file => {
+          fs.unlinkSync(path.join(historyDir, file));
+          days.delete(file.slice(0, 10));
+        });
+    } catch (error) {
+      log(`Error pruning activity history: ${error.message}`);
+    }
+  }
+
+  function flush() {
+    sync();
+
+    if (dirty.size > 0) {
+      try {
+        fs.mkdirSync(historyDir, { recursive: true });
+        dirty.forEach(date => {
+          const day = days.get(date);
+          day.lastUpdated = new Date().toISOString();
+          fs.writeFileSync(path.join(historyDir, `${date}.json`), JSON.stringify(day, null, 2));
+        });
+        dirty.clear();
+      } catch (error) {
+        log(`Error saving activity history: ${error.message}`);
+      }
+    }
+
+    prune();
+
+    // Only today and yesterday are still being written; older days are read from disk when asked for
+    const recent = [formatLocalDate(new Date()), formatLocalDate(new Date(Date.now() - 24 * 60 * 60 * 1000))];
+    [...days.keys()].filter(date => !recent.includes(date) && !dirty.has(date)).forEach(date => days.delete(date));
+  }
+
+  // Days from..to (YYYY-MM-DD, inclusive), including what hasn't been flushed yet
+  function getDays(range) {
+    sync();
+    const { from, to } = resolveRange(range);
+    return dateKeysBetween(from, to).map(date => JSON.parse(JSON.stringify(getDay(date))));
+  }
+
+  return {
+    recordState,
+    addAppTime,
+    recordAway,
+    recordPowerEvent,
+    setRetention,
+    setSessionGap,
+    getDays,
+    flush
+  };
+}
@@ -1,19 +1,28 @@
 import { EventEmitter } from 'events';
+import { KeyboardActivitySource } from './keyboard-activity-source.js';
+import { LinuxIdleBackend, isWaylandSession } from './linux-idle-backend.js';
 
 // Using hybrid approach with multiple libraries for comprehensive system tracking
 // This avoids the permission dialog issues we had with nut-js
 console.log('🔧 Initializing hybrid system-wide activity monitoring...');
 
+const JITTER_DISTANCE = 5; // Pixels; smaller mouse movements are jitter (a nudged desk, an optical sensor's drift)
+const KEYBOARD_REPORT_INTERVAL = 2000;
+const ESTIMATE_INTERVAL = 2000;
+
 class HybridActivityMonitor extends EventEmitter {
   constructor(options = {}) {
     super();
     
     // Configuration
     this.options = {
-      idleThreshold: options.idleThreshold || 60000, // 1 minute
+      idleThreshold: options.idleThreshold || 60000, // 1 minute without input counts as idle
+      countMouseJitter: options.countMouseJitter || false, // Whether mouse movements under JITTER_DISTANCE count as activity
       checkInterval: options.checkInterval || 5000,  // 5 seconds
       trackMouse: options.trackMouse !== false,      // Default true
       trackKeyboard: options.trackKeyboard || false, // Default false
+      resolveProject: options.resolveProject || null, // (window) => project name or null, see project-rules.js
+      getSystemIdleTime: options.getSystemIdleTime || null, // () => idle seconds (Electron's powerMonitor), the last idle backend
       ...options
     };
     
@@ -26,7 +35,7 @@ class HybridActivityMonitor extends EventEmitter {
       mouseMovements: 0,
       keyPresses: 0,
       windowSwitches: 0,
-      applicationUsage: new Map()
+      applicationUsage: new Map() // App name -> milliseconds focused while active
     };
     
     // Tracking intervals
@@ -34,17 +43,35 @@ class HybridActivityMonitor extends EventEmitter {
     this.windowTrackingInterval = null;
     this.idleCheckInterval = null;
     this.statusUpdateInterval = null;
+    this.keyboardTrackingInterval = null;
+    this.keyboardReportInterval = null;
+    
+    // Keyboard counting: the source, and which backend counts ('evdev', 'xinput', 'estimate' or null)
+    this.keyboardSource = null;
+    this.keyboardBackend = null;
+    this.keyPressTimes = []; // Timestamps of the last minute's key presses, for keys per minute
+    this.pendingKeyPresses = 0; // Not yet reported in a 'keyboard-activity' event
+    this.lastKeyPress = null;
     
     // Libraries (loaded dynamically)
     this.activeWin = null;
     this.desktopIdle = null;
     this.realIdle = null;
     this.robot = null;
+    this.linuxIdle = new LinuxIdleBackend();
+    
+    // Idle time comes from one backend, chosen by checkPermissions(): 'real-idle', 'desktop-idle', 'mutter',
+    // 'screensaver', 'power-monitor' or null
+    this.idleBackend = null;
     
     // State tracking
     this.lastActiveWindow = null;
+    this.focusStart = null; // Since when the focused app's time hasn't been counted; null while idle
     this.sessionStartTime = null;
     this.lastMousePos = { x: 0, y: 0 };
+    this.lastInputTime = null; // Last input that counted, as reported by the system idle time
+    this.lastIdleReading = null; // Latest measured idle time from the idle check: { idleTime, at }
+    this.inputMousePos = null; // Mouse position at that input, to tell jitter from real movement
     
     // Permission state caching
     this.permissionsChecked = false;
@@ -123,10 +150,10 @@ class HybridActivityMonitor extends EventEmitter {
     
     // Start different tracking methods based on available libraries
       // These will now run WITHOUT permission checks since we verified them once
-    if (this.desktopIdle || this.realIdle) {
+    if (this.idleBackend) {
         this.startIdleTrackingWithPermissions();
         hasActiveTracking = true;
-        console.log('📊 Idle tracking started (permissions verified)');
+        console.log(`📊 Idle tracking started (${this.idleBackend})`);
     }
     
     if (this.activeWin) {
@@ -137,16 +164,17 @@ class HybridActivityMonitor extends EventEmitter {
     
     if (this.robot) {
         this.startMouseTrackingWithPermissions();
-        if (this.options.trackKeyboard) {
-          this.startKeyboardTracking();
-          console.log('⌨️ Keyboard tracking started (permissions verified)');
-        }
         hasActiveTracking = true;
         console.log('🖱️ Mouse tracking started (permissions verified)');
       }
     } else {
       console.log('❌ Permissions not granted, using fallback tracking only');
     }
+
+    // A keyboard source counts key presses even without the permissions above; the estimate needs them
+    if (this.options.trackKeyboard && await this.startKeyboardTracking()) {
+      hasActiveTracking = true;
+    }
     
     // Fallback: Basic activity simulation if no libraries available or no permissions
     if (!hasActiveTracking) {
@@ -154,9 +182,10 @@ class HybridActivityMonitor extends EventEmitter {
       this.startFallbackTracking();
     } else {
       console.log('✅ Native activity tracking active with', {
-        idle: !!(this.desktopIdle || this.realIdle),
+        idle: this.idleBackend,
         window: !!this.activeWin,
         mouse: !!this.robot,
+        keyboard: this.keyboardBackend,
         permissions: permissions.overall
       });
     }
@@ -167,35 +196,73 @@ class HybridActivityMonitor extends EventEmitter {
     this.startStatusUpdates();
   }
 
+  // Idle threshold and jitter handling can change while running (Settings > Activity Detection)
+  configure({ idleThreshold, countMouseJitter }) {
+    if (idleThreshold !== undefined) {
+      this.options.idleThreshold = idleThreshold;
+    }
+    if (countMouseJitter !== undefined) {
+      this.options.countMouseJitter = countMouseJitter;
+    }
+  }
+
+  isJitter(from, to) {
+    return !this.options.countMouseJitter &&
+      Math.abs(to.x - from.x) <= JITTER_DISTANCE && Math.abs(to.y - from.y) <= JITTER_DISTANCE;
+  }
+
+  // Time of the last input that counts as activity. The system idle time resets on any input; when the
+  // mouse moved only a few pixels since the last counted input, that input was jitter and is skipped.
+  // Input without mouse movement (typing) always counts.
+  updateLastInput(idleTime, now) {
+    const inputTime = now - idleTime;
+    if (this.lastInputTime !== null && inputTime <= this.lastInputTime) {
+      return this.lastInputTime;
+    }
+
+    let mousePos = null;
+    if (this.robot) {
+      try {
+        mousePos = this.robot.getMousePos();
+      } catch (error) {
+        console.log('Mouse position check error:', error.message);
+      }
+    }
+
+    const mouseMoved = mousePos && this.inputMousePos &&
+      (mousePos.x !== this.inputMousePos.x || mousePos.y !== this.inputMousePos.y);
+    if (this.lastInputTime !== null && mouseMoved && this.isJitter(this.inputMousePos, mousePos)) {
+      return this.lastInputTime;
+    }
+
+    this.lastInputTime = inputTime;
+    this.inputMousePos = mousePos;
+    return inputTime;
+  }
+
   startIdleTrackingWithPermissions() {
     console.log('📊 Starting system-wide idle time tracking (permissions already verified)...');
     
-    this.idleCheckInterval = setInterval(() => {
+    let checking = false;
+    this.idleCheckInterval = setInterval(async () => {
+      // D-Bus calls can take longer than the interval; skip a check rather than pile them up
+      if (checking) return;
+      checking = true;
+
       try {
-        let idleTime = -1;
+        const { idleTime, measured } = await this.readIdleTime();
         let idleState = 'unknown';
-        
-        // Try real-idle first (more sophisticated)
-        if (this.realIdle) {
-          try {
-            idleTime = this.realIdle.getIdleSeconds() * 1000; // Convert to milliseconds
-            idleState = this.realIdle.getIdleState(5); // 5 second threshold
-          } catch (error) {
-            console.log('Real-idle error:', error.message);
-          }
-        }
-        
-        // Fallback to desktop-idle
-        if (idleTime === -1 && this.desktopIdle) {
-          try {
-            idleTime = this.desktopIdle.getIdleTime();
-          } catch (error) {
-            console.log('Desktop-idle error:', error.message);
-          }
+        if (this.idleBackend === 'real-idle') {
+          idleState = this.realIdle.getIdleState(Math.round(this.options.idleThreshold / 1000));
         }
         
         if (idleTime !== -1) {
-          const isCurrentlyActive = idleTime < 5000; // Active if idle < 5 seconds
+          const now = Date.now();
+          if (measured) {
+            this.lastIdleReading = { idleTime, at: now };
+          }
+          const lastInput = this.updateLastInput(idleTime, now);
+          const isCurrentlyActive = now - lastInput < this.options.idleThreshold;
           
                   if (isCurrentlyActive !== this.isActive) {
           const previousState = this.isActive;
@@ -216,22 +283,73 @@ class HybridActivityMonitor extends EventEmitter {
         }
           
           if (isCurrentlyActive) {
-            this.lastActivity = Date.now();
+            this.lastActivity = lastInput;
           }
           
           this.emit('idle-check', { 
-            idleTime, 
+            idleTime: now - lastInput,
             idleState,
             isActive: isCurrentlyActive,
-            source: this.realIdle ? 'real-idle' : 'desktop-idle'
+            source: this.idleBackend
           });
         }
       } catch (error) {
         console.error('Error checking idle time:', error);
+      } finally {
+        checking = false;
       }
     }, 1000);
   }
 
+  // System idle time in milliseconds from the chosen backend as { idleTime, measured }; idleTime is -1 when it
+  // can't be read. The D-Bus backends answer with an upper bound (measured: false) between calls; while the
+  // keyboard estimate depends on them they measure at least every ESTIMATE_INTERVAL.
+  async readIdleTime() {
+    try {
+      switch (this.idleBackend) {
+        case 'real-idle':
+          return { idleTime: this.realIdle.getIdleSeconds() * 1000, measured: true };
+        case 'desktop-idle':
+          return { idleTime: this.desktopIdle.getIdleTime() * 1000, measured: true };
+        case 'mutter':
+        case 'screensaver': {
+          const maxSampleAge = this.keyboardBackend === 'estimate' ? ESTIMATE_INTERVAL : Infinity;
+          return await this.linuxIdle.getIdleTime(this.options.idleThreshold, maxSampleAge);
+        }
+        case 'power-monitor':
+          return { idleTime: this.options.getSystemIdleTime() * 1000, measured: true };
+        default:
+          return { idleTime: -1, measured: false };
+      }
+    } catch (error) {
+      console.log(`Idle time error (${this.idleBackend}):`, error.message);
+      return { idleTime: -1, measured: false };
+    }
+  }
+
+  // Under Wayland the X11 libraries only see input to XWayland windows, so the compositor is asked over D-Bus
+  // instead. Electron's powerMonitor is the last resort everywhere.
+  async selectIdleBackend(permissions) {
+    if (!isWaylandSession()) {
+      if (permissions.realIdle) return 'real-idle';
+      if (permissions.desktopIdle) return 'desktop-idle';
+    }
+
+    const dbusBackend = await this.linuxIdle.detect();
+    if (dbusBackend) return dbusBackend;
+
+    if (this.options.getSystemIdleTime) {
+      try {
+        this.options.getSystemIdleTime();
+        return 'power-monitor';
+      } catch (error) {
+        console.log('❌ powerMonitor idle time not available:', error.message);
+      }
+    }
+
+    return null;
+  }
+
   startWindowTrackingWithPermissions() {
     console.log('🪟 Starting window tracking (permissions already verified)...');
     
@@ -240,14 +358,11 @@ class HybridActivityMonitor extends EventEmitter {
         const activeWindow = await this.activeWin();
         
         if (activeWindow && activeWindow.title !== this.lastActiveWindow?.title) {
-          // Window switched
+          // Window switched - the time so far belongs to the window that had focus
           this.stats.windowSwitches++;
+          this.countApplicationTime();
           
-          // Track application usage
           const appName = activeWindow.owner?.name || 'Unknown';
-          const currentUsage = this.stats.applicationUsage.get(appName) || 0;
-          this.stats.applicationUsage.set(appName, currentUsage + 1);
-          
           this.lastActiveWindow = activeWindow;
           this.lastActivity = Date.now();
           
@@ -269,6 +384,7 @@ class HybridActivityMonitor extends EventEmitter {
           this.emit('window-changed', {
             window: activeWindow,
             appName,
+            project: this.resolveWindowProject(activeWindow, appName),
             totalSwitches: this.stats.windowSwitches
           });
         }
@@ -278,6 +394,41 @@ class HybridActivityMonitor extends EventEmitter {
     }, 2000);
   }
 
+  // Whether system-wide idle detection is running, i.e. isActive follows real input rather than only window switches
+  hasIdleDetection() {
+    return Boolean(this.idleCheckInterval);
+  }
+
+  // Adds the time since focusStart to the focused app, while the user is active
+  countApplicationTime(now = Date.now()) {
+    if (this.focusStart === null || !this.lastActiveWindow) {
+      return;
+    }
+
+    const appName = this.lastActiveWindow.owner?.name || 'Unknown';
+    const currentUsage = this.stats.applicationUsage.get(appName) || 0;
+    this.stats.applicationUsage.set(appName, currentUsage + Math.max(now - this.focusStart, 0));
+    this.focusStart = now;
+  }
+
+  // Project for a focused window according to the resolveProject option; null without one or on errors
+  resolveWindowProject(activeWindow, appName) {
+    if (!this.options.resolveProject) {
+      return null;
+    }
+
+    try {
+      return this.options.resolveProject({
+        appName,
+        title: activeWindow.title || '',
+        url: activeWindow.url || null
+      });
+    } catch (error) {
+      console.error('Error resolving window project:', error);
+      return null;
+    }
+  }
+
   startMouseTrackingWithPermissions() {
     console.log('🖱️ Starting mouse tracking (permissions already verified)...');
     
@@ -285,7 +436,8 @@ class HybridActivityMonitor extends EventEmitter {
       try {
         const currentPos = this.robot.getMousePos();
         
-        if (currentPos.x !== this.lastMousePos.x || currentPos.y !== this.lastMousePos.y) {
+        const moved = currentPos.x !== this.lastMousePos.x || currentPos.y !== this.lastMousePos.y;
+        if (moved && !this.isJitter(this.lastMousePos, currentPos)) {
           // Mouse moved
           this.stats.mouseMovements++;
           this.lastMousePos = currentPos;
@@ -316,92 +468,103 @@ class HybridActivityMonitor extends EventEmitter {
     }, 500);
   }
 
-  startKeyboardTracking() {
-    console.log('⌨️ Starting keyboard tracking with robotjs...');
-    
-    if (!this.robot) {
-      console.log('❌ RobotJS not available for keyboard tracking');
-      return;
+  // Real key presses from KeyboardActivitySource where the platform allows it (Linux: evdev or XInput2),
+  // otherwise an estimate from the system idle time. Returns whether either is running.
+  async startKeyboardTracking() {
+    this.keyPressTimes = [];
+    this.pendingKeyPresses = 0;
+    this.keyboardReportInterval = setInterval(() => this.reportKeyboardActivity(), KEYBOARD_REPORT_INTERVAL);
+
+    this.keyboardSource = new KeyboardActivitySource();
+    this.keyboardSource.on('keypress', (timestamp) => this.countKeyPress(timestamp));
+    this.keyboardSource.on('stopped', ({ backend, reason }) => {
+      console.log(`⚠️ Keyboard source ${backend} stopped (${reason}), estimating keyboard activity instead`);
+      this.startEstimatedKeyboardTracking();
+    });
+
+    const backend = await this.keyboardSource.start();
+    if (backend) {
+      this.keyboardBackend = backend;
+      console.log(`⌨️ Keyboard tracking started (${backend})`);
+      return true;
     }
-    
-    // Initialize keyboard stats
-    this.stats.keyPresses = 0;
-    this.lastKeypressTime = Date.now();
-    
-    // Set up keyboard activity detection using mouse movement and system activity as proxies
+
+    return this.startEstimatedKeyboardTracking();
+  }
+
+  // Without a keyboard source, a system idle time under ESTIMATE_INTERVAL while the mouse stayed put is taken
+  // as typing. At most one "key press" per check, so the counts are a rough measure of time spent typing.
+  startEstimatedKeyboardTracking() {
+    if (!this.permissionsGranted || !this.idleBackend) {
+      this.keyboardBackend = null;
+      console.log('⚠️ No keyboard activity source available');
+      return false;
+    }
+
+    this.keyboardBackend = 'estimate';
+    let lastMousePos = null;
+    let lastReading = null;
+
+    // Reuses the idle check's latest measured reading rather than reading idle time again, which on the D-Bus
+    // backends would start another process every interval. Upper bounds are never used: they say nothing about
+    // recent typing.
     this.keyboardTrackingInterval = setInterval(() => {
       try {
-        // Since direct keyboard monitoring requires complex global hooks,
-        // we'll use system activity changes as a proxy for keyboard activity
-        
-        // Method 1: Monitor mouse position changes (indicates user interaction)
-        let activityDetected = false;
-        
-        if (this.robot) {
-          try {
-            const currentMousePos = this.robot.getMousePos();
-            
-            // Check for mouse movement
-            if (this.lastMousePos && 
-                (Math.abs(currentMousePos.x - this.lastMousePos.x) > 5 || 
-                 Math.abs(currentMousePos.y - this.lastMousePos.y) > 5)) {
-              activityDetected = true;
-            }
-            
-            this.lastMousePos = currentMousePos;
-          } catch (error) {
-            console.log('Mouse position check error:', error.message);
-          }
+        const reading = this.lastIdleReading;
+        if (!reading || reading === lastReading || Date.now() - reading.at >= ESTIMATE_INTERVAL) {
+          return;
         }
-        
-        // Method 2: Use system idle time as proxy for keyboard activity
-        if (!activityDetected && (this.desktopIdle || this.realIdle)) {
-          try {
-            let idleTime = -1;
-            
-            if (this.realIdle) {
-              idleTime = this.realIdle.getIdleSeconds() * 1000;
-            } else if (this.desktopIdle) {
-              idleTime = this.desktopIdle.getIdleTime();
-            }
-            
-            // If idle time is very low (< 2 seconds), assume keyboard activity
-            if (idleTime !== -1 && idleTime < 2000) {
-              const now = Date.now();
-              if (now - this.lastKeypressTime > 2000) { // Throttle to prevent spam
-                activityDetected = true;
-              }
-            }
-          } catch (error) {
-            console.log('Idle time check error:', error.message);
-          }
+        lastReading = reading;
+        const idleTime = reading.idleTime;
+
+        let mouseMoved = false;
+        if (this.robot) {
+          const mousePos = this.robot.getMousePos();
+          mouseMoved = Boolean(lastMousePos) && (mousePos.x !== lastMousePos.x || mousePos.y !== lastMousePos.y);
+          lastMousePos = mousePos;
         }
-        
-        if (activityDetected) {
-          this.recordKeypressActivity();
+
+        if (idleTime >= 0 && idleTime < ESTIMATE_INTERVAL && !mouseMoved) {
+          this.countKeyPress(Date.now());
         }
-        
       } catch (error) {
-        console.log('Keyboard tracking error:', error.message);
+        console.log('Keyboard estimate error:', error.message);
       }
-    }, 2000); // Check every 2 seconds
-    
-    console.log('⌨️ Keyboard tracking started successfully');
+    }, ESTIMATE_INTERVAL);
+
+    console.log('⌨️ Keyboard tracking started (estimated from idle time)');
+    return true;
   }
-  
-  recordKeypressActivity() {
-    const now = Date.now();
+
+  countKeyPress(timestamp) {
     this.stats.keyPresses++;
-    this.lastKeypressTime = now;
+    this.lastKeyPress = timestamp;
+    this.keyPressTimes.push(timestamp);
+    this.pendingKeyPresses++;
+  }
+
+  // Key presses in the last minute
+  getKeysPerMinute(now = Date.now()) {
+    this.keyPressTimes = this.keyPressTimes.filter(timestamp => now - timestamp < 60000);
+    return this.keyPressTimes.length;
+  }
+
+  // Batches key presses into one 'keyboard-activity' event per KEYBOARD_REPORT_INTERVAL
+  reportKeyboardActivity() {
+    if (this.pendingKeyPresses === 0) return;
+
+    const now = Date.now();
+    const keyPresses = this.pendingKeyPresses;
+    this.pendingKeyPresses = 0;
     this.recordActivity('keyboard');
-    
-    // Emit keyboard activity event
+
     this.emit('keyboard-activity', {
       timestamp: now,
-      totalKeyPresses: this.stats.keyPresses
+      keyPresses,
+      totalKeyPresses: this.stats.keyPresses,
+      keysPerMinute: this.getKeysPerMinute(now),
+      source: this.keyboardBackend
     });
-    
-    console.log(`⌨️ Keyboard activity detected (total: ${this.stats.keyPresses})`);
   }
 
   startFallbackTracking() {
@@ -415,6 +578,7 @@ class HybridActivityMonitor extends EventEmitter {
 
   handleActivityStart() {
     this.sessionStartTime = Date.now();
+    this.focusStart = this.sessionStartTime;
     this.stats.totalSessions++;
     
     this.emit('activity-start', {
@@ -424,6 +588,10 @@ class HybridActivityMonitor extends EventEmitter {
   }
 
   handleActivityEnd() {
+    // Idle time doesn't count towards the focused app
+    this.countApplicationTime();
+    this.focusStart = null;
+
     if (this.sessionStartTime) {
       const sessionLength = Date.now() - this.sessionStartTime;
       this.stats.totalActiveTime += sessionLength;
@@ -437,6 +605,21 @@ class HybridActivityMonitor extends EventEmitter {
     }
   }
 
+  // Screen lock or suspend (see ActivityEngine.handlePowerEvent): the session ends there, rather than when the
+  // idle check next notices, which after a suspend may count the sleep as active. Unlock and resume need
+  // nothing here; the next input starts a session as usual.
+  handlePowerEvent(event) {
+    if ((event === 'lock' || event === 'suspend') && this.isActive) {
+      this.isActive = false;
+      this.emit('activity-changed', {
+        isActive: false,
+        previousState: true,
+        timestamp: Date.now()
+      });
+      this.handleActivityEnd();
+    }
+  }
+
   async checkPermissions() {
     // Return cached result if available
     if (this.permissionsChecked && this.permissionsResult) {
@@ -464,6 +647,9 @@ class HybridActivityMonitor extends EventEmitter {
       desktopIdle: false,
       realIdle: false,
       robotjs: false,
+      session: isWaylandSession() ? 'wayland' : process.platform === 'linux' ? 'x11' : process.platform,
+      idleBackend: null, // See selectIdleBackend()
+      windowBackend: null, // 'active-win', or 'xwayland' when active-win only sees X11 windows under Wayland
       overall: 'available'
     };
     
@@ -528,12 +714,19 @@ class HybridActivityMonitor extends EventEmitter {
       }
     }
     
+    permissions.idleBackend = await this.selectIdleBackend(permissions);
+    if (permissions.activeWin) {
+      permissions.windowBackend = permissions.session === 'wayland' ? 'xwayland' : 'active-win';
+    }
+    this.idleBackend = permissions.idleBackend;
+    
     // Determine overall status
     const workingLibraries = [permissions.activeWin, permissions.desktopIdle, permissions.realIdle, permissions.robotjs];
     const workingCount = workingLibraries.filter(Boolean).length;
     
     if (workingCount === 0) {
-      permissions.overall = 'none';
+      // D-Bus and powerMonitor idle detection need no permissions
+      permissions.overall = permissions.idleBackend ? 'partial' : 'none';
     } else if (workingCount < workingLibraries.length) {
       permissions.overall = 'partial';
     } else {
@@ -552,11 +745,16 @@ class HybridActivityMonitor extends EventEmitter {
   }
 
   getStats() {
+    this.countApplicationTime();
+
     return {
       ...this.stats,
       isActive: this.isActive,
       lastActivity: this.lastActivity,
       uptime: Date.now() - (this.sessionStartTime || Date.now()),
+      keysPerMinute: this.getKeysPerMinute(),
+      lastKeyPress: this.lastKeyPress,
+      keyboardSource: this.keyboardBackend,
       applicationUsage: Object.fromEntries(this.stats.applicationUsage)
     };
   }
@@ -605,6 +803,9 @@ class HybridActivityMonitor extends EventEmitter {
       windowSwitches: 0,
       applicationUsage: new Map()
     };
+    this.keyPressTimes = [];
+    this.lastKeyPress = null;
+    this.focusStart = this.isActive ? Date.now() : null;
     
     this.emit('stats-reset');
   }
@@ -631,11 +832,19 @@ class HybridActivityMonitor extends EventEmitter {
       this.activityCheckInterval = null;
     }
     
+    // The keyboard estimate reads the idle time too; a real keyboard source keeps counting
+    if (this.keyboardTrackingInterval) {
+      clearInterval(this.keyboardTrackingInterval);
+      this.keyboardTrackingInterval = null;
+      this.keyboardBackend = null;
+    }
+    
     // Completely disable native libraries to prevent any future calls
     this.robot = null;
     this.activeWin = null;
     this.desktopIdle = null;
     this.realIdle = null;
+    this.idleBackend = null;
     
     console.log('🚫 All native libraries disabled due to permission denial');
     
@@ -676,6 +885,17 @@ class HybridActivityMonitor extends EventEmitter {
       this.keyboardTrackingInterval = null;
     }
     
+    if (this.keyboardReportInterval) {
+      clearInterval(this.keyboardReportInterval);
+      this.keyboardReportInterval = null;
+    }
+    
+    if (this.keyboardSource) {
+      this.keyboardSource.stop();
+      this.keyboardSource = null;
+    }
+    this.keyboardBackend = null;
+    
     if (this.windowTrackingInterval) {
       clearInterval(this.windowTrackingInterval);
       this.windowTrackingInterval = null;
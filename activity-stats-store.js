@@ -0,0 +1,17 @@
+// Read-only access to today's activity, for processes that can't reach the activity engine directly
+// (the MCP servers). Reads the activity history the main process flushes every minute.
+
+import { readActivityHistory } from './activity-history-store.js';
+
+// Returns today's stats in seconds, or zeros when nothing was recorded today
+export function readTodayActivityStats(dataDir) {
+  const [today] = readActivityHistory(dataDir, {});
+
+  return {
+    date: today.date,
+    activeTime: Math.round(today.activeTime / 1000),
+    idleTime: Math.round(today.idleTime / 1000),
+    sessions: today.sessions,
+    lastUpdated: today.lastUpdated
+  };
+}
@@ -0,0 +1,141 @@
+// Progress drafts built from window activity
+// WindowActivityLog turns the activity monitor's window-changed events into focus intervals
+// ({ appName, title, url, project, start, end }), leaving out the time the user was idle, and emits each
+// finished interval as 'interval'. buildProgressSuggestion() summarizes the intervals of the last hour into
+// a draft progress item for the hourly prompt. The log keeps its intervals in memory; window-usage-store.js saves daily totals.
+
+import { EventEmitter } from 'events';
+
+const DEFAULT_RETENTION = 3 * 60 * 60 * 1000; // Keep three hours of intervals
+const MIN_SUGGESTION_TIME = 5 * 60 * 1000;     // Less focused time than this isn't worth a draft
+const MAX_TITLE_LENGTH = 60;
+
+export class WindowActivityLog extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      retention: options.retention || DEFAULT_RETENTION
+    };
+
+    this.entries = [];
+    this.current = null;    // Interval for the focused window, while the user is active
+    this.lastWindow = null; // Focused window, kept while idle so activity can resume on it
+  }
+
+  // A window gained focus (or changed its title); project comes from the project rules
+  recordWindow({ appName, title, url = null, project = null }, timestamp = Date.now()) {
+    this.close(timestamp);
+    this.lastWindow = { appName: appName || 'Unknown', title: title || '', url, project };
+    this.current = { ...this.lastWindow, start: timestamp, end: null };
+  }
+
+  // The user went idle - idle time doesn't count towards any window
+  pause(timestamp = Date.now()) {
+    this.close(timestamp);
+  }
+
+  // The user is back on the window that had focus before going idle
+  resume(timestamp = Date.now()) {
+    if (!this.current && this.lastWindow) {
+      this.current = { ...this.lastWindow, start: timestamp, end: null };
+    }
+  }
+
+  // The interval still being measured, ending at until, or null while idle
+  getCurrent(until = Date.now()) {
+    return this.current ? { ...this.current, end: until } : null;
+  }
+
+  close(timestamp) {
+    if (this.current) {
+      if (timestamp > this.current.start) {
+        const entry = { ...this.current, end: timestamp };
+        this.entries.push(entry);
+        this.emit('interval', entry);
+      }
+      this.current = null;
+    }
+    this.prune(timestamp);
+  }
+
+  prune(now) {
+    const cutoff = now - this.options.retention;
+    this.entries = this.entries.filter(entry => entry.end > cutoff);
+  }
+
+  // Intervals overlapping [since, until], clipped to that range; the open interval counts up to until
+  getEntries(since, until = Date.now()) {
+    const entries = this.current ? [...this.entries, { ...this.current, end: until }] : this.entries;
+    return entries
+      .filter(entry => entry.end > since && entry.start < until)
+      .map(entry => ({
+        ...entry,
+        start: Math.max(entry.start, since),
+        end: Math.min(entry.end, until)
+      }));
+  }
+}
+
+function formatMinutes(ms) {
+  const minutes = Math.round(ms / 60000);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+function shortenTitle(title) {
+  const clean = title.replace(/\s+/g, ' ').trim();
+  return clean.length > MAX_TITLE_LENGTH ? `${clean.slice(0, MAX_TITLE_LENGTH - 1)}…` : clean;
+}
+
+// Sums durations per key, largest first
+function totalsBy(entries, getKey) {
+  const totals = new Map();
+  entries.forEach(entry => {
+    const key = getKey(entry);
+    if (key) {
+      totals.set(key, (totals.get(key) || 0) + (entry.end - entry.start));
+    }
+  });
+  return [...totals.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+// Draft { project, hours, description, date, activeMinutes, since, apps } for [since, until], or null without
+// enough activity. project is null when no window could be mapped to a project.
+export function buildProgressSuggestion(entries, { since, until = Date.now(), maxApps = 3 } = {}) {
+  const activeTime = entries.reduce((total, entry) => total + (entry.end - entry.start), 0);
+  if (activeTime < MIN_SUGGESTION_TIME) {
+    return null;
+  }
+
+  // Dominant apps: the largest ones, skipping apps with under a tenth of the active time
+  const apps = totalsBy(entries, entry => entry.appName)
+    .filter(([, time], index) => index === 0 || time >= activeTime * 0.1)
+    .slice(0, maxApps)
+    .map(([appName, time]) => ({
+      appName,
+      time,
+      titles: totalsBy(entries.filter(entry => entry.appName === appName), entry => shortenTitle(entry.title))
+        .slice(0, 2)
+        .map(([title]) => title)
+    }));
+
+  const description = apps
+    .map(app => `${app.appName} (${formatMinutes(app.time)})${app.titles.length > 0 ? `: ${app.titles.join('; ')}` : ''}`)
+    .join(' · ');
+
+  // The project with the most mapped time wins
+  const [topProject] = totalsBy(entries, entry => entry.project);
+
+  // Hours are rounded to quarter hours, like the progress form
+  const hours = Math.max(Math.round(activeTime / 900000) / 4, 0.25);
+
+  return {
+    project: topProject ? topProject[0] : null,
+    hours,
+    description: `Worked in ${description}`,
+    date: new Date(until).toISOString(),
+    activeMinutes: Math.round(activeTime / 60000),
+    since: new Date(since).toISOString(),
+    apps: apps.map(({ appName, time }) => ({ appName, minutes: Math.round(time / 60000) }))
+  };
+}
@@ -0,0 +1,138 @@
+// Airtable storage for MCP Progress Tracker
+// Optional storage backend, selected in progress-store.js
+
+import Airtable from 'airtable';
+import { getPageStart, paginate } from './progress-query.js';
+
+export function createAirtableStore({ apiKey, baseId, tableName = 'Progress Items', log = console.log }) {
+  if (!apiKey || !baseId) {
+    throw new Error('AIRTABLE_API_KEY and AIRTABLE_BASE_ID environment variables must be set');
+  }
+
+  const base = new Airtable({ apiKey }).base(baseId);
+  const table = base(tableName);
+
+  function toProgressItem(record) {
+    return {
+      hours: record.get('Hours'),
+      description: record.get('Description'),
+      date: new Date(record.get('Date')) || new Date(),
+      project: record.get('Project'),
+      id: record.id
+    };
+  }
+
+  // Airtable formulas use single-quoted strings
+  function quoteFormulaString(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+
+  function buildFilterFormula({ from, to, project }) {
+    const conditions = [];
+    if (from) conditions.push(`NOT(IS_BEFORE({Date}, ${quoteFormulaString(from.toISOString())}))`);
+    if (to) conditions.push(`NOT(IS_AFTER({Date}, ${quoteFormulaString(to.toISOString())}))`);
+    if (project) conditions.push(`{Project} = ${quoteFormulaString(project)}`);
+    return conditions.length > 0 ? `AND(${conditions.join(', ')})` : '';
+  }
+
+  function isNotFound(error) {
+    return error.statusCode === 404 || error.error === 'NOT_FOUND';
+  }
+
+  async function createItem(item) {
+    try {
+      const recordData = {
+        'Hours': item.hours,
+        'Description': item.description,
+        'Project': item.project,
+        'Created At': Date.now(),
+        'Date': item.date.toISOString()
+      };
+
+      // typecast lets Airtable add options to the Project select field for newly registered projects
+      const record = await table.create(recordData, { typecast: true });
+      log(`Saved progress item to Airtable: ${record.id}`);
+      return toProgressItem(record);
+    } catch (error) {
+      log(`Error saving to Airtable: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Filtering and sorting run in Airtable; only the records up to the end of the page are fetched
+  async function queryItems(query = {}) {
+    const sort = query.sort || '-date';
+    const selectOptions = {
+      sort: [{
+        field: sort.replace(/^-/, '') === 'date' ? 'Date' : 'Created At',
+        direction: sort.startsWith('-') ? 'desc' : 'asc'
+      }]
+    };
+
+    const formula = buildFilterFormula(query);
+    if (formula) {
+      selectOptions.filterByFormula = formula;
+    }
+    if (query.limit) {
+      // One extra record tells us whether there is another page
+      selectOptions.maxRecords = getPageStart(query) + query.limit + 1;
+    }
+
+    try {
+      const records = await table.select(selectOptions).all();
+      const page = paginate(records, query);
+      return {
+        items: page.items.map(toProgressItem),
+        nextCursor: page.nextCursor
+      };
+    } catch (error) {
+      log(`Error querying Airtable: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Returns the updated item, or null when no record has that id
+  async function updateItem(id, changes) {
+    const fields = {};
+    if (changes.hours !== undefined) fields['Hours'] = changes.hours;
+    if (changes.description !== undefined) fields['Description'] = changes.description;
+    if (changes.project !== undefined) fields['Project'] = changes.project;
+    if (changes.date !== undefined) fields['Date'] = changes.date.toISOString();
+
+    try {
+      const record = await table.update(id, fields, { typecast: true });
+      log(`Updated progress item in Airtable: ${record.id}`);
+      return toProgressItem(record);
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      log(`Error updating Airtable record: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Returns the deleted item, or null when no record has that id
+  async function deleteItem(id) {
+    try {
+      const record = await table.find(id);
+      await table.destroy(id);
+      log(`Deleted progress item from Airtable: ${id}`);
+      return toProgressItem(record);
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      log(`Error deleting Airtable record: ${error.message}`);
+      throw error;
+    }
+  }
+
+  return {
+    name: 'airtable',
+    createItem,
+    queryItems,
+    updateItem,
+    deleteItem
+  };
+}
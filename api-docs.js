@@ -0,0 +1,423 @@
+// OpenAPI document and docs page for the embedded HTTP server
+// The document is generated from the zod schemas in api-schemas.js, so the published contract is the one
+// the routes actually enforce. API_ROUTES lists every REST route with the schema entry that validates it;
+// add new routes here as well as in embedded-http-server.js.
+
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { MAX_DESCRIPTION_LENGTH } from './api-schemas.js';
+
+export const API_ROUTES = [
+  { method: 'post', path: '/add-progress', schema: 'addProgress', tag: 'Progress', summary: 'Add a progress item', response: 'Message' },
+  { method: 'get', path: '/progress-report', schema: 'progressReport', tag: 'Progress', summary: 'List progress items (from, to, project, limit, cursor, sort)', response: 'ProgressPage' },
+  { method: 'patch', path: '/progress/:id', schema: 'updateProgress', tag: 'Progress', summary: 'Update a progress item', response: 'ProgressItemResult', notFound: true },
+  { method: 'delete', path: '/progress/:id', schema: 'deleteProgress', tag: 'Progress', summary: 'Delete a progress item', response: 'ProgressItemResult', notFound: true },
+  { method: 'get', path: '/projects', schema: 'listProjects', tag: 'Projects', summary: 'List projects', response: 'ProjectList' },
+  { method: 'post', path: '/projects', schema: 'createProject', tag: 'Projects', summary: 'Create a project', response: 'ProjectResult', status: 201, conflict: true },
+  { method: 'get', path: '/projects/:name', schema: 'getProject', tag: 'Projects', summary: 'Get a project', response: 'ProjectResult', notFound: true },
+  { method: 'patch', path: '/projects/:name', schema: 'updateProject', tag: 'Projects', summary: 'Update a project (archive, color, client, rate)', response: 'ProjectResult', notFound: true },
+  { method: 'delete', path: '/projects/:name', schema: 'deleteProject', tag: 'Projects', summary: 'Delete a project', response: 'ProjectResult', notFound: true },
+  { method: 'get', path: '/activity-history', schema: 'activityHistory', tag: 'Activity', summary: 'Per-minute activity, sessions and app time per day (from, to)', response: 'ActivityHistory' },
+  { method: 'post', path: '/generate-plan', schema: 'generatePlan', tag: 'Planning', summary: 'Generate an AI weekly plan', response: 'PlanResult' },
+  { method: 'get', path: '/health', tag: 'Server', summary: 'Health check (no token needed)', response: 'Health', public: true }
+];
+
+// Shapes of the successful responses; these aren't validated, so they are written out by hand
+const RESPONSE_SCHEMAS = {
+  ProgressItem: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      hours: { type: 'number' },
+      description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH },
+      date: { type: 'string', format: 'date-time' },
+      project: { type: 'string' }
+    }
+  },
+  Project: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      color: { type: 'string' },
+      archived: { type: 'boolean' },
+      client: { type: 'string', nullable: true },
+      billable: { type: 'boolean' },
+      hourlyRate: { type: 'number', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  ActivityDay: {
+    type: 'object',
+    properties: {
+      date: { type: 'string', format: 'date' },
+      minutes: { type: 'string', minLength: 1440, maxLength: 1440, description: "One character per minute of the day: 'a' active, 'i' idle, '-' no data" },
+      sessions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            start: { type: 'string', format: 'date-time' },
+            end: { type: 'string', format: 'date-time' }
+          }
+        }
+      },
+      apps: { type: 'object', additionalProperties: { type: 'number' }, description: 'Active milliseconds per application' },
+      away: {
+        type: 'array',
+        description: 'What the user decided about time away; the minutes themselves stay idle',
+        items: {
+          type: 'object',
+          properties: {
+            start: { type: 'string', format: 'date-time' },
+            end: { type: 'string', format: 'date-time' },
+            decision: { type: 'string', enum: ['discard', 'break', 'assign'] },
+            project: { type: 'string', nullable: true },
+            category: { type: 'string', enum: ['meeting', 'thinking'], nullable: true },
+            logged: { type: 'boolean', description: 'Whether a progress item was created for it' }
+          }
+        }
+      },
+      power: {
+        type: 'array',
+        description: 'Screen locks, suspends and what ended them; locked time is idle, suspended time has no data',
+        items: {
+          type: 'object',
+          properties: {
+            event: { type: 'string', enum: ['lock', 'unlock', 'suspend', 'resume'] },
+            at: { type: 'string', format: 'date-time' }
+          }
+        }
+      },
+      activeTime: { type: 'number', description: 'Milliseconds' },
+      idleTime: { type: 'number', description: 'Milliseconds' },
+      lastUpdated: { type: 'string', format: 'date-time', nullable: true }
+    }
+  },
+  Message: successSchema({ message: { type: 'string' } }),
+  ProgressPage: successSchema({
+    rawItems: { type: 'array', items: { $ref: '#/components/schemas/ProgressItem' } },
+    nextCursor: { type: 'string', nullable: true, description: 'Pass as cursor to fetch the next page; null on the last page' }
+  }),
+  ProgressItemResult: successSchema({ item: { $ref: '#/components/schemas/ProgressItem' } }),
+  ProjectList: successSchema({ projects: { type: 'array', items: { $ref: '#/components/schemas/Project' } } }),
+  ProjectResult: successSchema({ project: { $ref: '#/components/schemas/Project' } }),
+  PlanResult: successSchema({ plan: { type: 'string' } }),
+  ActivityHistory: successSchema({ days: { type: 'array', items: { $ref: '#/components/schemas/ActivityDay' } } }),
+  Health: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', example: 'ok' },
+      timestamp: { type: 'string', format: 'date-time' },
+      server: { type: 'string' },
+      port: { type: 'integer' },
+      storage: { type: 'string', example: 'local' }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', example: 'VALIDATION_ERROR' },
+          message: { type: 'string' },
+          fields: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+            description: 'Validation message per field; messages about the request as a whole are under _form'
+          }
+        }
+      }
+    }
+  }
+};
+
+function successSchema(properties) {
+  return {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: true },
+      ...properties
+    }
+  };
+}
+
+function toJsonSchema(schema) {
+  const { $schema, ...jsonSchema } = zodToJsonSchema(schema, { target: 'openApi3', $refStrategy: 'none' });
+  return jsonSchema;
+}
+
+// Query and path schemas become individual parameters
+function toParameters(schema, location) {
+  if (!schema) return [];
+
+  const { properties = {}, required = [] } = toJsonSchema(schema);
+  return Object.entries(properties).map(([name, { description, ...propertySchema }]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    ...(description ? { description } : {}),
+    schema: propertySchema
+  }));
+}
+
+function errorResponse(description) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  };
+}
+
+function buildOperation(route, schemas) {
+  const routeSchemas = route.schema ? schemas[route.schema] : {};
+  const operation = {
+    operationId: route.schema || route.path.replace(/\W/g, ''),
+    summary: route.summary,
+    tags: [route.tag],
+    parameters: [
+      ...toParameters(routeSchemas.params, 'path'),
+      ...toParameters(routeSchemas.query, 'query')
+    ],
+    responses: {
+      [route.status || 200]: {
+        description: 'Success',
+        content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.response}` } } }
+      }
+    }
+  };
+
+  if (routeSchemas.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: toJsonSchema(routeSchemas.body) } }
+    };
+  }
+
+  if (route.schema) {
+    operation.responses[400] = errorResponse('Validation failed (VALIDATION_ERROR) or the body is not valid JSON (INVALID_JSON)');
+  }
+  if (route.public) {
+    operation.security = [];
+  } else {
+    operation.responses[401] = errorResponse('Missing or invalid API token (UNAUTHORIZED)');
+  }
+  if (route.notFound) {
+    operation.responses[404] = errorResponse('Not found (NOT_FOUND)');
+  }
+  if (route.conflict) {
+    operation.responses[409] = errorResponse('Already exists (CONFLICT)');
+  }
+  operation.responses[500] = errorResponse('Server or storage error');
+
+  return operation;
+}
+
+export function buildOpenApiDocument({ schemas, serverUrl, version = '1.0.0' }) {
+  const paths = {};
+  API_ROUTES.forEach(route => {
+    // Express :param segments become OpenAPI {param} templates
+    const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][route.method] = buildOperation(route, schemas);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'MCP Progress Tracker API',
+      version,
+      description: 'REST API of the desktop app\'s embedded server. Send the API token from Settings > MCP Server Configuration ' +
+        'as "Authorization: Bearer <token>". MCP clients use /mcp (Streamable HTTP) or /mcp/sse instead.'
+    },
+    servers: serverUrl ? [{ url: serverUrl }] : [],
+    security: [{ bearerAuth: [] }],
+    tags: [
+      { name: 'Progress', description: 'Logged hours' },
+      { name: 'Projects', description: 'The project registry' },
+      { name: 'Activity', description: 'Activity history recorded by the desktop app' },
+      { name: 'Planning', description: 'AI weekly planning (needs ANTHROPIC_API_KEY)' },
+      { name: 'Server' }
+    ],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' }
+      },
+      schemas: RESPONSE_SCHEMAS
+    }
+  };
+}
+
+// Self-contained docs page: renders /openapi.json in the browser and can send requests with a pasted token.
+// Nothing is loaded from a CDN, so it works offline and with the server bound to localhost.
+export function renderDocsPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>MCP Progress Tracker API</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; margin: 0; background: #0d1117; color: #c9d1d9; }
+    main { max-width: 960px; margin: 0 auto; padding: 24px; }
+    h1 { margin-bottom: 4px; }
+    h2 { margin-top: 32px; border-bottom: 1px solid #30363d; padding-bottom: 6px; }
+    a { color: #58a6ff; }
+    code, pre, textarea, input { font-family: SFMono-Regular, Menlo, monospace; font-size: 13px; }
+    pre { background: #161b22; border: 1px solid #30363d; border-radius: 6px; padding: 12px; overflow: auto; }
+    details { background: #161b22; border: 1px solid #30363d; border-radius: 6px; margin: 8px 0; }
+    summary { cursor: pointer; padding: 10px 12px; }
+    .operation-body { padding: 0 12px 12px; }
+    .method { display: inline-block; min-width: 60px; font-weight: 600; text-transform: uppercase; }
+    .get { color: #3fb950; } .post { color: #58a6ff; } .patch { color: #d29922; } .delete { color: #ff7b72; }
+    table { border-collapse: collapse; width: 100%; margin: 8px 0; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #30363d; vertical-align: top; }
+    input, textarea { background: #0d1117; color: #c9d1d9; border: 1px solid #30363d; border-radius: 4px; padding: 4px 6px; }
+    textarea { width: 100%; min-height: 90px; box-sizing: border-box; }
+    button { background: #238636; color: #fff; border: 0; border-radius: 4px; padding: 6px 12px; cursor: pointer; }
+    .token { display: flex; gap: 8px; align-items: center; margin: 16px 0; }
+    .token input { flex: 1; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>MCP Progress Tracker API</h1>
+    <p id="description"></p>
+    <p>Machine-readable contract: <a href="/openapi.json">/openapi.json</a></p>
+    <div class="token">
+      <label for="token">API token</label>
+      <input id="token" type="password" placeholder="Paste the token from Settings > MCP Server Configuration">
+    </div>
+    <div id="operations">Loading...</div>
+  </main>
+  <script>
+    const tokenInput = document.getElementById('token');
+    tokenInput.value = sessionStorage.getItem('apiToken') || '';
+    tokenInput.addEventListener('input', () => sessionStorage.setItem('apiToken', tokenInput.value));
+
+    function element(tag, attributes = {}, children = []) {
+      const node = document.createElement(tag);
+      Object.entries(attributes).forEach(([key, value]) => {
+        if (key === 'text') node.textContent = value;
+        else node.setAttribute(key, value);
+      });
+      children.forEach(child => node.appendChild(child));
+      return node;
+    }
+
+    // Example body built from the schema defaults, enums and types
+    function exampleFor(schema) {
+      if (!schema) return null;
+      if (schema.default !== undefined) return schema.default;
+      if (schema.enum) return schema.enum[0];
+      switch (schema.type) {
+        case 'object': {
+          const example = {};
+          Object.entries(schema.properties || {}).forEach(([name, property]) => {
+            if ((schema.required || []).includes(name)) example[name] = exampleFor(property);
+          });
+          return example;
+        }
+        case 'array': return [exampleFor(schema.items)];
+        case 'number': return 1;
+        case 'integer': return 1;
+        case 'boolean': return true;
+        default: return schema.pattern && schema.pattern.startsWith('^\\\\d{4}') ? new Date().toISOString().slice(0, 10) : 'string';
+      }
+    }
+
+    function renderOperation(path, method, operation) {
+      const body = element('div', { class: 'operation-body' });
+      const inputs = {};
+
+      if (operation.parameters.length > 0) {
+        const table = element('table', {}, [element('tr', {}, ['Parameter', 'In', 'Description', 'Value'].map(text => element('th', { text })))]);
+        operation.parameters.forEach(parameter => {
+          const input = element('input', { placeholder: parameter.schema.enum ? parameter.schema.enum.join(' | ') : parameter.schema.type });
+          inputs[parameter.name] = { input, location: parameter.in };
+          table.appendChild(element('tr', {}, [
+            element('td', {}, [element('code', { text: parameter.name + (parameter.required ? ' *' : '') })]),
+            element('td', { text: parameter.in }),
+            element('td', { text: parameter.description || '' }),
+            element('td', {}, [input])
+          ]));
+        });
+        body.appendChild(table);
+      }
+
+      let bodyInput = null;
+      if (operation.requestBody) {
+        const schema = operation.requestBody.content['application/json'].schema;
+        body.appendChild(element('p', { text: 'Request body' }));
+        body.appendChild(element('pre', { text: JSON.stringify(schema, null, 2) }));
+        bodyInput = element('textarea');
+        bodyInput.value = JSON.stringify(exampleFor(schema), null, 2);
+        body.appendChild(bodyInput);
+      }
+
+      body.appendChild(element('p', { text: 'Responses: ' + Object.entries(operation.responses).map(([status, response]) => status + ' ' + response.description).join(', ') }));
+
+      const output = element('pre', { text: '' });
+      const send = element('button', { text: 'Send request' });
+      send.addEventListener('click', async () => {
+        let url = path;
+        const query = new URLSearchParams();
+        Object.entries(inputs).forEach(([name, { input, location }]) => {
+          if (location === 'path') url = url.replace('{' + name + '}', encodeURIComponent(input.value));
+          else if (input.value !== '') query.set(name, input.value);
+        });
+        if (query.toString()) url += '?' + query.toString();
+
+        const options = { method: method.toUpperCase(), headers: {} };
+        if (tokenInput.value) options.headers.Authorization = 'Bearer ' + tokenInput.value;
+        if (bodyInput) {
+          options.headers['Content-Type'] = 'application/json';
+          options.body = bodyInput.value;
+        }
+
+        try {
+          const response = await fetch(url, options);
+          const text = await response.text();
+          let formatted = text;
+          try { formatted = JSON.stringify(JSON.parse(text), null, 2); } catch (error) { /* not JSON */ }
+          output.textContent = response.status + ' ' + response.statusText + '\\n\\n' + formatted;
+        } catch (error) {
+          output.textContent = 'Request failed: ' + error.message;
+        }
+      });
+      body.appendChild(send);
+      body.appendChild(output);
+
+      return element('details', {}, [
+        element('summary', {}, [
+          element('span', { class: 'method ' + method, text: method }),
+          element('code', { text: path }),
+          element('span', { text: ' - ' + operation.summary })
+        ]),
+        body
+      ]);
+    }
+
+    fetch('/openapi.json').then(response => response.json()).then(spec => {
+      document.getElementById('description').textContent = spec.info.description;
+      const container = document.getElementById('operations');
+      container.textContent = '';
+
+      spec.tags.forEach(tag => {
+        const section = element('section', {}, [element('h2', { text: tag.name })]);
+        if (tag.description) section.appendChild(element('p', { text: tag.description }));
+        Object.entries(spec.paths).forEach(([path, methods]) => {
+          Object.entries(methods).forEach(([method, operation]) => {
+            if (operation.tags.includes(tag.name)) section.appendChild(renderOperation(path, method, operation));
+          });
+        });
+        container.appendChild(section);
+      });
+    }).catch(error => {
+      document.getElementById('operations').textContent = 'Could not load /openapi.json: ' + error.message;
+    });
+  </script>
+</body>
+</html>`;
+}
@@ -0,0 +1,237 @@
+// Request validation for the embedded HTTP server
+// Every REST route declares zod schemas for its body, query and params. Failures are answered with
+//   400 { error: { code: 'VALIDATION_ERROR', message, fields: { <field>: <message> } } }
+// so the renderer can show each message next to the matching form field. Other errors use the same
+// { error: { code, message } } shape through sendError().
+
+import { z } from 'zod';
+import { parseRangeStart, parseRangeEnd } from './date-utils.js';
+import { PROGRESS_SORTS, MAX_PAGE_SIZE, decodeCursor } from './progress-query.js';
+import { PROJECT_NAME_PATTERN, PROJECT_NAME_RULES, MAX_PROJECT_NAME_LENGTH } from './project-registry.js';
+
+export const MAX_DESCRIPTION_LENGTH = 1000;
+
+// Error codes for the statuses the routes use
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  500: 'INTERNAL_ERROR'
+};
+
+export function sendError(res, status, message, { code = ERROR_CODES[status] || 'ERROR', fields } = {}) {
+  return res.status(status).json({
+    error: fields ? { code, message, fields } : { code, message }
+  });
+}
+
+// YYYY-MM-DD or a full ISO 8601 date-time
+// Range checks use zod's own validators rather than refine() so they also appear in the OpenAPI document
+const isoDateString = z.string({ required_error: 'Date is required' })
+  .trim()
+  .regex(/^\d{4}-\d{2}-\d{2}($|T)/, 'Must be an ISO date (YYYY-MM-DD) or date-time')
+  .refine(value => !isNaN(Date.parse(value)), 'Not a valid date')
+  .describe('ISO date (YYYY-MM-DD, local time) or ISO 8601 date-time');
+
+const hours = z.coerce.number({ required_error: 'Hours are required', invalid_type_error: 'Hours must be a number' })
+  .gt(0, 'Hours must be more than 0')
+  .max(24, 'Hours cannot be more than 24')
+  .describe('Hours worked, more than 0 and at most 24');
+
+const description = z.string({ required_error: 'Description is required' })
+  .trim()
+  .min(1, 'Description is required')
+  .max(MAX_DESCRIPTION_LENGTH, `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`)
+  .describe('What was done');
+
+// A calendar day in local time
+const localDate = z.string()
+  .trim()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, 'Use a date like 2025-06-16')
+  .refine(value => !isNaN(Date.parse(value)), 'Not a valid date');
+
+const hexColor = z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Use a hex color like #58a6ff').describe('Hex color like #58a6ff');
+
+// Project existence depends on the registry, so the schemas are built per server
+export function createApiSchemas({ projects }) {
+  // Resolves to the registry's spelling of the project name
+  const activeProject = z.string({ required_error: 'Project is required' })
+    .trim()
+    .min(1, 'Project is required')
+    .transform((name, ctx) => {
+      try {
+        return projects.requireActiveProject(name);
+      } catch (error) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: error.message });
+        return z.NEVER;
+      }
+    })
+    .describe('Name of an active project in the registry (case-insensitive)');
+
+  const progressId = z.object({
+    id: z.string().trim().min(1, 'Progress item id is required')
+  });
+
+  const projectName = z.object({
+    name: z.string().trim().min(1, 'Project name is required')
+  });
+
+  const projectFields = {
+    color: hexColor.optional(),
+    archived: z.boolean().optional(),
+    client: z.string().trim().max(200).nullable().optional(),
+    billable: z.boolean().optional(),
+    hourlyRate: z.coerce.number().nonnegative('Hourly rate cannot be negative').nullable().optional()
+  };
+
+  return {
+    addProgress: {
+      body: z.object({
+        hours,
+        description,
+        date: isoDateString.transform(parseRangeStart),
+        project: activeProject.default('GGSA')
+      })
+    },
+
+    updateProgress: {
+      params: progressId,
+      body: z.object({
+        hours: hours.optional(),
+        description: description.optional(),
+        date: isoDateString.transform(parseRangeStart).optional(),
+        project: activeProject.optional()
+      }).refine(changes => Object.values(changes).some(value => value !== undefined), {
+        message: 'Nothing to update: provide hours, description, date or project'
+      })
+    },
+
+    deleteProgress: {
+      params: progressId
+    },
+
+    // Produces the storage query described in progress-query.js
+    progressReport: {
+      query: z.object({
+        from: isoDateString.transform(parseRangeStart).optional()
+          .describe('Earliest item date, inclusive; a bare date means the start of that day'),
+        to: isoDateString.transform(parseRangeEnd).optional()
+          .describe('Latest item date, inclusive; a bare date means the end of that day'),
+        project: z.string().trim().min(1).optional().describe('Only items for this project'),
+        sort: z.enum(PROGRESS_SORTS, {
+          errorMap: () => ({ message: `Use one of: ${PROGRESS_SORTS.join(', ')}` })
+        }).default('-date').describe('Sort order; a leading - means descending'),
+        limit: z.coerce.number().int('Limit must be a whole number').min(1).max(MAX_PAGE_SIZE).optional()
+          .describe('Page size; without it every matching item is returned'),
+        cursor: z.string().refine(value => {
+          try {
+            decodeCursor(value);
+            return true;
+          } catch (error) {
+            return false;
+          }
+        }, 'Invalid cursor').optional().describe('nextCursor from the previous page')
+      }).refine(query => !query.from || !query.to || query.from <= query.to, {
+        message: 'from must not be after to',
+        path: ['from']
+      })
+    },
+
+    // Days of activity history; the store limits how many days one request may cover
+    activityHistory: {
+      query: z.object({
+        from: localDate.optional().describe('First day (YYYY-MM-DD, local time); defaults to to, or today'),
+        to: localDate.optional().describe('Last day, inclusive; defaults to from')
+      }).refine(query => !query.from || !query.to || query.from <= query.to, {
+        message: 'from must not be after to',
+        path: ['from']
+      })
+    },
+
+    listProjects: {
+      query: z.object({
+        includeArchived: z.enum(['true', 'false']).optional().describe('Include archived projects')
+      })
+    },
+
+    getProject: {
+      params: projectName
+    },
+
+    createProject: {
+      body: z.object({
+        name: z.string({ required_error: 'Project name is required' }).trim()
+          .min(1, 'Project name is required')
+          .max(MAX_PROJECT_NAME_LENGTH, `Project name must be at most ${MAX_PROJECT_NAME_LENGTH} characters`)
+          .regex(PROJECT_NAME_PATTERN, PROJECT_NAME_RULES),
+        ...projectFields
+      })
+    },
+
+    updateProject: {
+      params: projectName,
+      body: z.object(projectFields).strict('Projects cannot be renamed, because progress items refer to them by name')
+    },
+
+    deleteProject: {
+      params: projectName
+    },
+
+    generatePlan: {
+      body: z.object({
+        project: z.string({ required_error: 'Project is required' }).trim().min(1, 'Project is required'),
+        goals: z.string({ required_error: 'Goals are required' }).trim()
+          .min(1, 'Goals are required')
+          .max(5000, 'Goals must be at most 5000 characters'),
+        workPattern: z.coerce.number({ invalid_type_error: 'Work pattern must be a number' })
+          .gt(0, 'Work pattern must be more than 0 hours')
+          .max(24, 'Work pattern cannot be more than 24 hours'),
+        workingDays: z.array(z.coerce.number().int().min(1).max(7), {
+          required_error: 'Working days are required'
+        }).min(1, 'Select at least one working day')
+      })
+    }
+  };
+}
+
+// { 'hours': 'Hours must be a number', ... } - the first message per field; form-level issues go under '_form'
+function collectFieldErrors(error, prefix) {
+  const fields = {};
+  error.issues.forEach(issue => {
+    const key = issue.path.length > 0 ? issue.path.join('.') : prefix;
+    if (!fields[key]) {
+      fields[key] = issue.message;
+    }
+  });
+  return fields;
+}
+
+// Express middleware: validates req.body, req.query and req.params against the given schemas and
+// exposes the parsed values as req.valid.body, req.valid.query and req.valid.params
+export function validateRequest(schemas) {
+  return (req, res, next) => {
+    req.valid = {};
+    const fields = {};
+
+    for (const part of ['params', 'query', 'body']) {
+      if (!schemas[part]) continue;
+
+      const result = schemas[part].safeParse(req[part] ?? {});
+      if (result.success) {
+        req.valid[part] = result.data;
+      } else {
+        Object.assign(fields, collectFieldErrors(result.error, '_form'));
+      }
+    }
+
+    if (Object.keys(fields).length > 0) {
+      const message = Object.entries(fields)
+        .map(([field, fieldMessage]) => field === '_form' ? fieldMessage : `${field}: ${fieldMessage}`)
+        .join('; ');
+      return sendError(res, 400, message, { code: 'VALIDATION_ERROR', fields });
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,78 @@
+// API token for the MCP Progress Tracker HTTP servers
+// One bearer token, stored in api-token.json in userData, protects the embedded server and the standalone
+// HTTP MCP server alike. The desktop app sends it on every request; MCP clients put it in an
+// `Authorization: Bearer <token>` header. Nothing here may import electron.
+
+import fs from 'node:fs';
+import path from 'path';
+import { randomBytes, timingSafeEqual } from 'node:crypto';
+
+export function getApiTokenPath(dataDir) {
+  return path.join(dataDir, 'api-token.json');
+}
+
+function generateToken() {
+  return randomBytes(32).toString('hex');
+}
+
+function writeApiToken(dataDir, token) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(getApiTokenPath(dataDir), JSON.stringify({
+    token,
+    createdAt: new Date().toISOString()
+  }, null, 2), { mode: 0o600 });
+  return token;
+}
+
+export function readApiToken(dataDir) {
+  const tokenPath = getApiTokenPath(dataDir);
+  try {
+    if (fs.existsSync(tokenPath)) {
+      const data = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+      return data.token || null;
+    }
+  } catch (error) {
+    console.error('Error reading API token:', error);
+  }
+  return null;
+}
+
+// Returns the stored token, generating one on first use
+export function ensureApiToken(dataDir) {
+  return readApiToken(dataDir) || writeApiToken(dataDir, generateToken());
+}
+
+// Replaces the token; clients holding the old one get 401 from then on
+export function rotateApiToken(dataDir) {
+  return writeApiToken(dataDir, generateToken());
+}
+
+function tokensMatch(provided, expected) {
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// Express middleware rejecting requests without the current token. The token is read on every
+// request, so a rotation in the desktop app applies to the standalone servers without a restart.
+// publicPaths (e.g. /health) stay reachable without a token.
+export function requireApiToken({ dataDir, publicPaths = [], log = console.log }) {
+  return (req, res, next) => {
+    if (req.method === 'OPTIONS' || publicPaths.includes(req.path)) {
+      return next();
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    const expected = readApiToken(dataDir);
+
+    if (!match || !expected || !tokensMatch(match[1], expected)) {
+      log(`Rejected unauthenticated request: ${req.method} ${req.path}`);
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        error: { code: 'UNAUTHORIZED', message: 'Missing or invalid API token. Send it as "Authorization: Bearer <token>".' }
+      });
+    }
+
+    next();
+  };
+}
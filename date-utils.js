@@ -0,0 +1,84 @@
+// Date helpers for MCP Progress Tracker
+// Weeks follow ISO 8601: they start on Monday and are written as YYYY-Www (e.g. 2025-W25)
+
+export function formatLocalDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+export function startOfDay(date) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+}
+
+export function endOfDay(date) {
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+  return end;
+}
+
+// Local midnight after timestamp (ms), in ms
+export function startOfNextDay(timestamp) {
+  const next = startOfDay(new Date(timestamp));
+  next.setDate(next.getDate() + 1);
+  return next.getTime();
+}
+
+// A bare YYYY-MM-DD lower bound starts at local midnight rather than UTC midnight
+export function parseRangeStart(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00`)
+    : new Date(value);
+}
+
+// A bare YYYY-MM-DD upper bound should include the whole day
+export function parseRangeEnd(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T23:59:59.999`)
+    : new Date(value);
+}
+
+export function getIsoWeek(date = new Date()) {
+  // The ISO week belongs to the year that contains its Thursday
+  const thursday = startOfDay(date);
+  thursday.setDate(thursday.getDate() + 3 - ((thursday.getDay() + 6) % 7));
+
+  const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+  firstThursday.setDate(firstThursday.getDate() + 3 - ((firstThursday.getDay() + 6) % 7));
+
+  const week = 1 + Math.round((thursday - firstThursday) / (7 * 24 * 60 * 60 * 1000));
+  return `${thursday.getFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+export function isValidIsoWeek(isoWeek) {
+  const match = /^(\d{4})-W(\d{2})$/.exec(isoWeek || '');
+  if (!match) {
+    return false;
+  }
+  const week = parseInt(match[2], 10);
+  return week >= 1 && week <= 53 && getIsoWeek(getIsoWeekRange(isoWeek).start) === isoWeek;
+}
+
+// Monday 00:00 to Sunday 23:59:59.999 in local time
+export function getIsoWeekRange(isoWeek) {
+  const match = /^(\d{4})-W(\d{2})$/.exec(isoWeek || '');
+  if (!match) {
+    throw new Error(`Invalid ISO week: ${isoWeek} (expected YYYY-Www)`);
+  }
+
+  const year = parseInt(match[1], 10);
+  const week = parseInt(match[2], 10);
+
+  // January 4th is always in week 1
+  const jan4 = new Date(year, 0, 4);
+  const start = new Date(jan4);
+  start.setDate(jan4.getDate() - ((jan4.getDay() + 6) % 7) + (week - 1) * 7);
+
+  const end = new Date(start);
+  end.setDate(start.getDate() + 6);
+
+  return { start: startOfDay(start), end: endOfDay(end) };
+}
@@ -5,16 +5,34 @@ import express from 'express';
 import cors from 'cors';
 import fs from 'node:fs';
 import https from 'node:https';
-import Airtable from 'airtable';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { app } from 'electron';
+import { createProgressStore } from './progress-store.js';
+import { createApiSchemas, validateRequest, sendError } from './api-schemas.js';
+import { API_ROUTES, buildOpenApiDocument, renderDocsPage } from './api-docs.js';
+import { generateAIPlan } from './ai-planner.js';
+import { createProgressMcpServer } from './mcp-progress-server.js';
+import { mountMcpEndpoints, closeMcpSessions } from './mcp-http-transport.js';
+import { readTodos } from './todos-store.js';
+import { createProjectRegistry } from './project-registry.js';
+import { ensureApiToken, requireApiToken } from './api-token.js';
+import { readCurrentPlan, writeCurrentPlan } from './plan-store.js';
+import { readTodayActivityStats } from './activity-stats-store.js';
+import { readActivityHistory } from './activity-history-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 let server = null;
 let isServerRunning = false;
+let serverAddress = null;
+
+export const DEFAULT_PORT = 8087;
+export const DEFAULT_HOST = 'localhost';
+
+// How many ports after the configured one to try before letting the OS pick a free port
+const PORT_FALLBACK_ATTEMPTS = 10;
 
 // Setup logging - use userData directory for writable logs
 const getLogPath = () => {
@@ -27,6 +45,25 @@ const getLogPath = () => {
   }
 };
 
+// userData holds local progress items plus the to-dos, current plan and activity stats read by the MCP endpoints
+const getDataDir = () => {
+  try {
+    return app.getPath('userData');
+  } catch (error) {
+    // Fallback for development
+    return __dirname;
+  }
+};
+
+// Shown as the API version in /openapi.json
+const getAppVersion = () => {
+  try {
+    return app.getVersion();
+  } catch (error) {
+    return undefined;
+  }
+};
+
 let logFile = null;
 
 function log(message) {
@@ -110,10 +147,36 @@ function loadEnvVars() {
   log(`AIRTABLE_BASE_ID: ${process.env.AIRTABLE_BASE_ID ? 'SET' : 'NOT SET'}`);
 }
 
-export function startEmbeddedServer() {
+// Listens on the first free port from port upwards; resolves with the http.Server
+function listenWithFallback(expressApp, port, host, attempt = 0) {
+  return new Promise((resolve, reject) => {
+    // Port 0 asks the OS for any free port once the configured range is exhausted
+    const candidate = attempt < PORT_FALLBACK_ATTEMPTS ? port + attempt : 0;
+    const httpServer = expressApp.listen(candidate, host);
+
+    httpServer.once('listening', () => resolve(httpServer));
+    httpServer.once('error', (error) => {
+      if (error.code === 'EADDRINUSE' && candidate !== 0) {
+        log(`Port ${candidate} is in use, trying ${attempt + 1 < PORT_FALLBACK_ATTEMPTS ? candidate + 1 : 'a free port'}`);
+        listenWithFallback(expressApp, port, host, attempt + 1).then(resolve, reject);
+      } else {
+        reject(error);
+      }
+    });
+  });
+}
+
+function formatServerUrl(host, port) {
+  // Wildcard addresses aren't connectable; clients on this machine reach them through localhost
+  const connectHost = host === '0.0.0.0' || host === '::' ? 'localhost' : host;
+  return `http://${connectHost.includes(':') ? `[${connectHost}]` : connectHost}:${port}`;
+}
+
+// options: { port, host, allowedOrigins } from settings.server; resolves with { port, host, url } of the running server
+export function startEmbeddedServer({ port = DEFAULT_PORT, host = DEFAULT_HOST, allowedOrigins = [] } = {}) {
   if (isServerRunning) {
     log('Server is already running');
-    return Promise.resolve();
+    return Promise.resolve(serverAddress);
   }
 
   return new Promise((resolve, reject) => {
@@ -122,252 +185,181 @@ export function startEmbeddedServer() {
       loadEnvVars();
 
       const app = express();
-      const PORT = 8087;
-
-      // Middleware
-      app.use(cors());
-      app.use(express.json());
 
       // Environment variable handling
       const apiKey = process.env.ANTHROPIC_API_KEY;
-      const airtableApiKey = process.env.AIRTABLE_API_KEY;
-      const airtableBaseId = process.env.AIRTABLE_BASE_ID;
-      const airtableTableName = process.env.AIRTABLE_TABLE_NAME || 'Progress Items';
       const fullName = process.env.USER_FULL_NAME || 'User';
+      const dataDir = getDataDir();
 
-      if (!airtableApiKey || !airtableBaseId) {
-        const error = 'AIRTABLE_API_KEY and AIRTABLE_BASE_ID environment variables must be set';
-        log(`Error: ${error}`);
-        log('Available environment variables:');
-        log(`AIRTABLE_API_KEY: ${airtableApiKey ? 'SET' : 'NOT SET'}`);
-        log(`AIRTABLE_BASE_ID: ${airtableBaseId ? 'SET' : 'NOT SET'}`);
-        log(`AIRTABLE_TABLE_NAME: ${airtableTableName}`);
-        
-        // Check if variables exist but are empty
-        if (process.env.AIRTABLE_API_KEY === '') {
-          log('AIRTABLE_API_KEY is empty string');
-        }
-        if (process.env.AIRTABLE_BASE_ID === '') {
-          log('AIRTABLE_BASE_ID is empty string');
-        }
-        
-        reject(new Error(error));
+      ensureApiToken(dataDir);
+
+      // Middleware
+      // Browsers only get CORS headers for allowlisted origins; the desktop app and MCP clients send no Origin
+      app.use(cors({
+        origin: (origin, callback) => callback(null, Boolean(origin) && allowedOrigins.includes(origin))
+      }));
+      app.use(express.json());
+      app.use(requireApiToken({ dataDir, publicPaths: ['/health', '/openapi.json', '/docs'], log }));
+
+      // Initialize storage - local JSON by default, Airtable when configured
+      let storage;
+      try {
+        storage = createProgressStore({ dataDir, log });
+      } catch (error) {
+        log(`Error: ${error.message}`);
+        log(`STORAGE_BACKEND: ${process.env.STORAGE_BACKEND || 'NOT SET'}`);
+        log(`AIRTABLE_API_KEY: ${process.env.AIRTABLE_API_KEY ? 'SET' : 'NOT SET'}`);
+        log(`AIRTABLE_BASE_ID: ${process.env.AIRTABLE_BASE_ID ? 'SET' : 'NOT SET'}`);
+        reject(error);
         return;
       }
 
-      // Initialize Airtable
-      const base = new Airtable({ apiKey: airtableApiKey }).base(airtableBaseId);
-      const table = base(airtableTableName);
+      const projects = createProjectRegistry({ dataDir, log });
+
+      const schemas = createApiSchemas({ projects });
 
-      // Airtable helper functions
-      async function saveToAirtable(item) {
+      // API Routes - request schemas live in api-schemas.js
+      app.post('/add-progress', validateRequest(schemas.addProgress), async (req, res) => {
         try {
-          const validProjects = ['GGSA', 'Nestly', 'Seenspire'];
-          const project = validProjects.includes(item.project) ? item.project : 'GGSA';
+          const item = req.valid.body;
+
+          await storage.createItem(item);
           
-          const recordData = {
-            'Hours': item.hours,
-            'Description': item.description,
-            'Project': project,
-            'Created At': Date.now(),
-            'Date': item.date.toISOString()
-          };
-
-          const record = await table.create(recordData);
-          log(`Saved progress item to Airtable: ${record.id}`);
-          return record;
+          res.json({
+            success: true,
+            message: `Progress item added: ${item.hours}h - ${item.description} (${item.project})`
+          });
         } catch (error) {
-          log(`Error saving to Airtable: ${error.message}`);
-          throw error;
+          log(`Error adding progress: ${error.message}`);
+          sendError(res, error.status || 500, error.message);
         }
-      }
+      });
 
-      async function getFromAirtable() {
+      // Query parameters: from, to, project, limit, cursor, sort (see progress-query.js)
+      app.get('/progress-report', validateRequest(schemas.progressReport), async (req, res) => {
         try {
-          const records = await table.select({
-            sort: [{ field: 'Created At', direction: 'desc' }]
-          }).all();
+          const { items, nextCursor } = await storage.queryItems(req.valid.query);
           
-          return records.map(record => ({
-            hours: record.get('Hours'),
-            description: record.get('Description'),
-            date: new Date(record.get('Date')) || new Date(),
-            project: record.get('Project'),
-            id: record.id
-          }));
+          res.json({
+            success: true,
+            rawItems: items,
+            nextCursor
+          });
         } catch (error) {
-          log(`Error fetching from Airtable: ${error.message}`);
-          throw error;
+          log(`Error getting progress report: ${error.message}`);
+          sendError(res, 500, error.message);
         }
-      }
-
-      // AI Planning function
-      async function generateAIPlan(project, goals, workPattern, workingDays, apiKey) {
-        const dayNames = ['', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-        const selectedDays = workingDays.map(day => dayNames[day]).join(', ');
-        
-        const prompt = `You are an AI project planning assistant. I need you to create a detailed weekly work plan for a software development project.
-
-PROJECT: ${project}
-WEEKLY GOALS: ${goals}
-WORK PATTERN: ${workPattern} hours per day
-WORKING DAYS: ${selectedDays}
-
-Please analyze the goals and create a realistic weekly plan with specific, actionable tasks. Each task should:
-1. Be directly related to achieving the stated goals
-2. Have a realistic time estimate (0.5h to 3h chunks)
-3. Be scheduled with appropriate breaks between longer tasks
-4. Build logically on previous tasks
-
-For each working day, provide 2-4 tasks that add up to ${workPattern} hours total. Tasks should be:
-- Specific and actionable (not vague like "work on feature")
-- Technically realistic for software development
-- Properly sequenced (research before implementation, testing after coding, etc.)
-- Include variety (coding, testing, documentation, planning, etc.)
-
-Return your response as a JSON object with this exact structure:
-{
-  "project": "${project}",
-  "totalHours": ${workingDays.length * workPattern},
-  "totalDays": ${workingDays.length},
-  "workPattern": ${workPattern},
-  "tasks": [
-    {
-      "id": "task-1",
-      "title": "Specific task title",
-      "hours": 2.5,
-      "dayName": "Monday",
-      "date": "2024-01-15",
-      "startTime": "09:00",
-      "endTime": "11:30",
-      "description": "Detailed description of what this task involves"
-    }
-  ]
-}
-
-Calculate dates for the current week starting from Monday. Include realistic start/end times with breaks. Make sure tasks are genuinely relevant to the stated goals and technically sound.`;
+      });
 
+      app.patch('/progress/:id', validateRequest(schemas.updateProgress), async (req, res) => {
         try {
-          const response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'x-api-key': apiKey,
-              'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify({
-              model: 'claude-3-5-sonnet-20241022',
-              max_tokens: 4000,
-              messages: [
-                {
-                  role: 'user',
-                  content: prompt
-                }
-              ]
-            })
-          });
-
-          if (!response.ok) {
-            const errorData = await response.text();
-            throw new Error(`Anthropic API error: ${response.status} - ${errorData}`);
+          const { id } = req.valid.params;
+          const item = await storage.updateItem(id, req.valid.body);
+          if (!item) {
+            return sendError(res, 404, `Progress item not found: ${id}`);
           }
 
-          const data = await response.json();
-          const content = data.content[0].text;
-          
-          // Extract JSON from the response
-          const jsonMatch = content.match(/\{[\s\S]*\}/);
-          if (!jsonMatch) {
-            throw new Error('No valid JSON found in AI response');
-          }
-          
-          const plan = JSON.parse(jsonMatch[0]);
-          
-          // Add proper dates for current week
-          const currentDate = new Date();
-          const startOfWeek = new Date(currentDate);
-          startOfWeek.setDate(currentDate.getDate() - currentDate.getDay() + 1); // Start from Monday
-          
-          plan.tasks.forEach((task, index) => {
-            const dayIndex = workingDays[Math.floor(index / Math.ceil(plan.tasks.length / workingDays.length))];
-            const date = new Date(startOfWeek);
-            date.setDate(startOfWeek.getDate() + dayIndex - 1);
-            task.date = date.toISOString().split('T')[0];
+          res.json({
+            success: true,
+            item
           });
-          
-          log(`AI plan generated successfully with ${plan.tasks.length} tasks`);
-          return plan;
-          
         } catch (error) {
-          log(`Error calling Anthropic API: ${error.message}`);
-          throw new Error(`Failed to generate AI plan: ${error.message}`);
+          log(`Error updating progress item: ${error.message}`);
+          sendError(res, error.status || 500, error.message);
         }
-      }
+      });
 
-      // API Routes
-      app.post('/add-progress', async (req, res) => {
+      app.delete('/progress/:id', validateRequest(schemas.deleteProgress), async (req, res) => {
         try {
-          const { hours, description, date, project = 'GGSA' } = req.body;
-          
-          if (!hours || !description || !date) {
-            return res.status(400).json({ 
-              error: 'Missing required fields: hours, description, date' 
-            });
+          const { id } = req.valid.params;
+          const item = await storage.deleteItem(id);
+          if (!item) {
+            return sendError(res, 404, `Progress item not found: ${id}`);
           }
 
-          const item = {
-            hours: parseFloat(hours),
-            description,
-            date: new Date(date),
-            project
-          };
+          res.json({
+            success: true,
+            item
+          });
+        } catch (error) {
+          log(`Error deleting progress item: ${error.message}`);
+          sendError(res, 500, error.message);
+        }
+      });
 
-          await saveToAirtable(item);
-          
+      // Activity history the app saves every minute; today may be up to a minute behind
+      app.get('/activity-history', validateRequest(schemas.activityHistory), (req, res) => {
+        try {
           res.json({
             success: true,
-            message: `Progress item added: ${hours}h - ${description} (${project})`
+            days: readActivityHistory(dataDir, req.valid.query)
           });
         } catch (error) {
-          log(`Error adding progress: ${error.message}`);
-          res.status(500).json({ error: error.message });
+          log(`Error reading activity history: ${error.message}`);
+          sendError(res, error.status || 500, error.message);
         }
       });
 
-      app.get('/progress-report', async (req, res) => {
+      // Project registry - the projects progress can be logged against
+      app.get('/projects', validateRequest(schemas.listProjects), (req, res) => {
         try {
-          const items = await getFromAirtable();
-          
           res.json({
             success: true,
-            rawItems: items
+            projects: projects.listProjects({ includeArchived: req.valid.query.includeArchived === 'true' })
           });
         } catch (error) {
-          log(`Error getting progress report: ${error.message}`);
-          res.status(500).json({ error: error.message });
+          log(`Error listing projects: ${error.message}`);
+          sendError(res, 500, error.message);
+        }
+      });
+
+      app.get('/projects/:name', validateRequest(schemas.getProject), (req, res) => {
+        const project = projects.getProject(req.valid.params.name);
+        if (!project) {
+          return sendError(res, 404, `Unknown project "${req.valid.params.name}"`);
+        }
+        res.json({ success: true, project });
+      });
+
+      app.post('/projects', validateRequest(schemas.createProject), (req, res) => {
+        try {
+          res.status(201).json({ success: true, project: projects.createProject(req.valid.body) });
+        } catch (error) {
+          log(`Error creating project: ${error.message}`);
+          sendError(res, error.status || 500, error.message);
+        }
+      });
+
+      app.patch('/projects/:name', validateRequest(schemas.updateProject), (req, res) => {
+        try {
+          res.json({ success: true, project: projects.updateProject(req.valid.params.name, req.valid.body) });
+        } catch (error) {
+          log(`Error updating project: ${error.message}`);
+          sendError(res, error.status || 500, error.message);
+        }
+      });
+
+      app.delete('/projects/:name', validateRequest(schemas.deleteProject), (req, res) => {
+        try {
+          res.json({ success: true, project: projects.deleteProject(req.valid.params.name) });
+        } catch (error) {
+          log(`Error deleting project: ${error.message}`);
+          sendError(res, error.status || 500, error.message);
         }
       });
 
       // AI Planning endpoint
-      app.post('/generate-plan', async (req, res) => {
+      app.post('/generate-plan', validateRequest(schemas.generatePlan), async (req, res) => {
         try {
-          const { project, goals, workPattern, workingDays } = req.body;
-          
-          if (!project || !goals || !workPattern || !workingDays) {
-            return res.status(400).json({ 
-              error: 'Missing required fields: project, goals, workPattern, workingDays' 
-            });
-          }
+          const { project, goals, workPattern, workingDays } = req.valid.body;
 
           if (!apiKey) {
-            return res.status(500).json({ 
-              error: 'ANTHROPIC_API_KEY environment variable not set' 
-            });
+            return sendError(res, 500, 'ANTHROPIC_API_KEY environment variable not set', { code: 'NOT_CONFIGURED' });
           }
 
           log(`Generating AI plan for project: ${project}`);
           
-          const plan = await generateAIPlan(project, goals, workPattern, workingDays, apiKey);
+          const plan = await generateAIPlan(project, goals, workPattern, workingDays, apiKey, log);
           
           res.json({
             success: true,
@@ -375,7 +367,7 @@ Calculate dates for the current week starting from Monday. Include realistic sta
           });
         } catch (error) {
           log(`Error generating AI plan: ${error.message}`);
-          res.status(500).json({ error: error.message });
+          sendError(res, 500, error.message);
         }
       });
 
@@ -384,23 +376,70 @@ Calculate dates for the current week starting from Monday. Include realistic sta
           status: 'ok', 
           timestamp: new Date().toISOString(),
           server: 'Embedded MCP Progress Server',
-          port: PORT
+          port: serverAddress?.port,
+          storage: storage.name
         });
       });
 
-      // Start the server
-      server = app.listen(PORT, 'localhost', () => {
-        isServerRunning = true;
-        log(`Embedded MCP Progress Server running on port ${PORT}`);
-        log('Available endpoints:');
-        log('  POST /add-progress - Add a progress item');
-        log('  GET /progress-report - Get progress items');
-        log('  POST /generate-plan - Generate AI weekly plan');
-        log('  GET /health - Health check');
-        resolve();
+      // API documentation, generated from the route schemas - public so it can be read before setting up a token
+      app.get('/openapi.json', (req, res) => {
+        res.json(buildOpenApiDocument({
+          schemas,
+          serverUrl: serverAddress?.url,
+          version: getAppVersion()
+        }));
+      });
+
+      app.get('/docs', (req, res) => {
+        res.type('html').send(renderDocsPage());
       });
 
-      server.on('error', (error) => {
+      // MCP endpoints - same tools, resources and prompts as the stdio server, for clients of the running app
+      mountMcpEndpoints(app, () => createProgressMcpServer({
+        storage,
+        projects,
+        getTodos: () => readTodos(dataDir),
+        getCurrentPlan: () => readCurrentPlan(dataDir),
+        saveCurrentPlan: (plan) => writeCurrentPlan(dataDir, plan),
+        getActivityStats: () => readTodayActivityStats(dataDir),
+        anthropicApiKey: apiKey,
+        log
+      }), log);
+
+      // Malformed JSON bodies and other unhandled errors get the same error shape as the routes
+      app.use((error, req, res, next) => {
+        if (error.type === 'entity.parse.failed') {
+          return sendError(res, 400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+        }
+        log(`Unhandled error on ${req.method} ${req.path}: ${error.message}`);
+        sendError(res, error.status || 500, error.message);
+      });
+
+      // Start the server, moving to the next free port if the configured one is taken
+      listenWithFallback(app, port, host).then((httpServer) => {
+        server = httpServer;
+        isServerRunning = true;
+
+        const boundPort = httpServer.address().port;
+        serverAddress = { port: boundPort, host, url: formatServerUrl(host, boundPort) };
+        if (boundPort !== port) {
+          log(`Configured port ${port} was unavailable`);
+        }
+
+        server.on('error', (error) => {
+          log(`Server error: ${error.message}`);
+        });
+
+        log(`Embedded MCP Progress Server running at ${serverAddress.url} (bound to ${host})`);
+        log('Available endpoints:');
+        API_ROUTES.forEach(route => {
+          log(`  ${route.method.toUpperCase()} ${route.path} - ${route.summary}`);
+        });
+        log('  GET /openapi.json, GET /docs - OpenAPI document and API docs (no token needed)');
+        log('  POST|GET|DELETE /mcp - MCP Streamable HTTP endpoint');
+        log('  GET /mcp/sse, POST /mcp/messages - MCP legacy SSE endpoint');
+        resolve(serverAddress);
+      }).catch((error) => {
         log(`Server error: ${error.message}`);
         isServerRunning = false;
         reject(error);
@@ -413,11 +452,15 @@ Calculate dates for the current week starting from Monday. Include realistic sta
   });
 }
 
-export function stopEmbeddedServer() {
+export async function stopEmbeddedServer() {
+  // Open MCP streams would otherwise keep the server from closing
+  await closeMcpSessions();
+
   return new Promise((resolve) => {
     if (server && isServerRunning) {
       server.close(() => {
         isServerRunning = false;
+        serverAddress = null;
         log('Embedded server stopped');
         resolve();
       });
@@ -429,4 +472,9 @@ export function stopEmbeddedServer() {
 
 export function isServerHealthy() {
   return isServerRunning;
+}
+
+// { port, host, url } of the running server, or null when it isn't running
+export function getServerAddress() {
+  return serverAddress;
 } 
\ No newline at end of file
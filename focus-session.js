@@ -0,0 +1,168 @@
+import { EventEmitter } from 'events';
+
+// Focus mode: pomodoro-style work phases alternating with breaks, every longBreakEvery-th break a long one.
+// Runs in the main process, so it keeps going while the window is closed. It isn't saved - quitting ends it.
+// Events:
+//   'changed'     (state) - started, stopped or moved to the next phase
+//   'completed'   ({ project, todoId, description, start, end, count }) - a work phase ran to its end; emitted
+//                 once the break has started. start and end are the planned phase times in ms, moved on by any
+//                 time the machine slept through, so end - start is the time actually spent working.
+//   'break-ended' (state) - back to work after a break
+//   'tick'        (state) - every second while running, for countdowns
+export const DEFAULT_FOCUS_SETTINGS = {
+  workMinutes: 25,
+  breakMinutes: 5,
+  longBreakMinutes: 15,
+  longBreakEvery: 4
+};
+
+const TICK_INTERVAL = 1000;
+
+class FocusSession extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = { ...DEFAULT_FOCUS_SETTINGS };
+    this.configure(options);
+
+    // { project, todoId, description, phase: 'work' | 'break' | 'long-break', phaseStart, phaseEnd, completed,
+    //   suspendedAt }
+    this.session = null;
+    this.phaseTimeout = null;
+    this.tickInterval = null;
+  }
+
+  // Lengths in minutes; a change applies from the next phase on
+  configure(options = {}) {
+    Object.keys(DEFAULT_FOCUS_SETTINGS).forEach(key => {
+      const value = Number(options[key]);
+      if (Number.isFinite(value) && value > 0) {
+        this.options[key] = key === 'longBreakEvery' ? Math.round(value) : value;
+      }
+    });
+  }
+
+  isActive() {
+    return this.session !== null;
+  }
+
+  // project is required; todoId records the to-do the session was started from. Replaces a running session.
+  start({ project, todoId = null, description = '' } = {}) {
+    if (!project) {
+      throw new Error('A focus session needs a project');
+    }
+
+    this.clearTimers();
+    this.session = { project, todoId, description, phase: null, phaseStart: null, phaseEnd: null, completed: 0,
+      suspendedAt: null };
+    this.tickInterval = setInterval(() => this.emit('tick', this.getState()), TICK_INTERVAL);
+    this.startPhase('work', Date.now());
+
+    console.log(`Started focus session for ${project}`);
+    return this.getState();
+  }
+
+  // Ends the session; a work phase cut short isn't counted
+  stop() {
+    if (!this.session) {
+      return this.getState();
+    }
+
+    console.log(`Stopped focus session for ${this.session.project} after ${this.session.completed} pomodoros`);
+    this.clearTimers();
+    this.session = null;
+    this.emit('changed', this.getState());
+    return this.getState();
+  }
+
+  startPhase(phase, now) {
+    const minutes = {
+      work: this.options.workMinutes,
+      break: this.options.breakMinutes,
+      'long-break': this.options.longBreakMinutes
+    }[phase];
+
+    this.session.phase = phase;
+    this.session.phaseStart = now;
+    this.session.phaseEnd = now + minutes * 60000;
+    this.phaseTimeout = setTimeout(() => this.finishPhase(), this.session.phaseEnd - now);
+    this.emit('changed', this.getState());
+  }
+
+  // Sleep isn't focus time: a work phase is held while the machine is suspended and carries on with the time it
+  // had left on resume. Breaks keep running - sleeping through one is a break too.
+  suspend(now = Date.now()) {
+    if (!this.session || this.session.phase !== 'work' || this.session.suspendedAt !== null) {
+      return;
+    }
+
+    clearTimeout(this.phaseTimeout);
+    this.phaseTimeout = null;
+    this.session.suspendedAt = now;
+  }
+
+  resume(now = Date.now()) {
+    if (!this.session || this.session.suspendedAt === null) {
+      return;
+    }
+
+    const slept = Math.max(now - this.session.suspendedAt, 0);
+    this.session.suspendedAt = null;
+    this.session.phaseStart += slept;
+    this.session.phaseEnd += slept;
+    this.phaseTimeout = setTimeout(() => this.finishPhase(), Math.max(this.session.phaseEnd - now, 0));
+    console.log(`Focus phase held for ${Math.round(slept / 1000)}s while suspended`);
+    this.emit('changed', this.getState());
+  }
+
+  // A break's timeout fires late after a suspend; the next phase starts from when it did
+  finishPhase() {
+    const { phase, phaseStart, phaseEnd } = this.session;
+    const now = Date.now();
+
+    if (phase !== 'work') {
+      this.startPhase('work', now);
+      this.emit('break-ended', this.getState());
+      return;
+    }
+
+    this.session.completed++;
+    const { project, todoId, description, completed } = this.session;
+    this.startPhase(completed % this.options.longBreakEvery === 0 ? 'long-break' : 'break', now);
+    this.emit('completed', { project, todoId, description, start: phaseStart, end: phaseEnd, count: completed });
+  }
+
+  clearTimers() {
+    if (this.phaseTimeout) {
+      clearTimeout(this.phaseTimeout);
+      this.phaseTimeout = null;
+    }
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+  }
+
+  // Snapshot for the renderer and the tray; remainingMs is as of now
+  getState(now = Date.now()) {
+    if (!this.session) {
+      return { active: false, settings: { ...this.options } };
+    }
+
+    return {
+      active: true,
+      ...this.session,
+      remainingMs: Math.max(this.session.phaseEnd - now, 0),
+      settings: { ...this.options }
+    };
+  }
+}
+
+// m:ss, as shown in the tray
+export function formatCountdown(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+export { FocusSession };
+export default FocusSession;
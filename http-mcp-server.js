@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+// Standalone HTTP MCP server for MCP Progress Tracker
+// Serves the MCP endpoints without the desktop app, e.g. on a headless machine.
+// When the desktop app is running, connect to its embedded server on port 8087 instead.
+
+import express from 'express';
+import { createProgressStore } from './progress-store.js';
+import { createProgressMcpServer } from './mcp-progress-server.js';
+import { mountMcpEndpoints, closeMcpSessions } from './mcp-http-transport.js';
+import { readTodos } from './todos-store.js';
+import { createProjectRegistry } from './project-registry.js';
+import { ensureApiToken, getApiTokenPath, requireApiToken } from './api-token.js';
+import { readCurrentPlan, writeCurrentPlan } from './plan-store.js';
+import { readTodayActivityStats } from './activity-stats-store.js';
+import { resolveDataDir, loadEnvVars } from './standalone-env.js';
+
+function log(message) {
+  console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+function main() {
+  const dataDir = resolveDataDir();
+  log(`Using data directory: ${dataDir}`);
+  loadEnvVars(dataDir, log);
+
+  const PORT = parseInt(process.env.PORT, 10) || 8080;
+
+  const storage = createProgressStore({ dataDir, log });
+  const projects = createProjectRegistry({ dataDir, log });
+
+  // Same token as the desktop app's embedded server
+  ensureApiToken(dataDir);
+  log(`API token stored in ${getApiTokenPath(dataDir)}`);
+
+  const app = express();
+  app.use(express.json());
+  app.use(requireApiToken({ dataDir, publicPaths: ['/health'], log }));
+
+  mountMcpEndpoints(app, () => createProgressMcpServer({
+    storage,
+    projects,
+    getTodos: () => readTodos(dataDir),
+    getCurrentPlan: () => readCurrentPlan(dataDir),
+    saveCurrentPlan: (plan) => writeCurrentPlan(dataDir, plan),
+    getActivityStats: () => readTodayActivityStats(dataDir),
+    anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+    log
+  }), log);
+
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      server: 'Standalone MCP Progress Server',
+      port: PORT
+    });
+  });
+
+  const server = app.listen(PORT, 'localhost', () => {
+    log(`MCP Progress HTTP server running on port ${PORT}`);
+    log('  POST|GET|DELETE /mcp - MCP Streamable HTTP endpoint');
+    log('  GET /mcp/sse, POST /mcp/messages - MCP legacy SSE endpoint');
+    log('  GET /health - Health check');
+  });
+
+  const shutdown = async () => {
+    await closeMcpSessions();
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+try {
+  main();
+} catch (error) {
+  log(`Failed to start MCP HTTP server: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,206 @@
+// Global keyboard activity on Linux, counted without capturing keys
+// Backends, tried in order by start():
+//   evdev  - reads the keyboards in /dev/input directly. Needs read access to the devices (usually membership
+//            of the `input` group) and works under X11 and Wayland alike.
+//   xinput - raw key events from `xinput test-xi2 --root`, in X11 sessions with xinput installed. Not used on
+//            Wayland, where it would only see keys typed into X11 apps.
+// Only the fact that a key went down is used: evdev events are read for their type and value, xinput output
+// for its event type line. Key codes are never parsed or stored. Emits 'keypress' (timestamp) for every press
+// and 'stopped' ({ backend, reason }) when a running backend goes away.
+
+import fs from 'node:fs';
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { isWaylandSession } from './linux-idle-backend.js';
+
+const EV_KEY = 0x01;
+const KEY_PRESS = 1; // 0 is a release, 2 an auto-repeat
+const EV_KEY_BIT = 1 << EV_KEY;
+const EV_REP_BIT = 1 << 0x14; // Only real keyboards repeat keys; power buttons and the like don't
+const EVDEV_POLL_INTERVAL = 250;
+const EVDEV_READ_SIZE = 4096;
+const XINPUT_KEY_PRESS = /^EVENT type \d+ \(RawKeyPress\)/;
+
+// struct input_event is a timeval followed by type (u16), code (u16) and value (s32)
+const INPUT_EVENT_SIZE = ['x64', 'arm64', 'ppc64', 's390x', 'riscv64', 'loong64', 'mips64'].includes(process.arch) ? 24 : 16;
+
+// Readable /dev/input/event* devices that are keyboards, from /proc/bus/input/devices
+export function findKeyboardDevices() {
+  let devices;
+  try {
+    devices = fs.readFileSync('/proc/bus/input/devices', 'utf8');
+  } catch (error) {
+    return [];
+  }
+
+  return devices.split(/\n\s*\n/)
+    .map(block => {
+      const handlers = (/^H: Handlers=(.*)$/m.exec(block)?.[1] || '').trim().split(/\s+/);
+      const events = parseInt(/^B: EV=([0-9a-f]+)$/m.exec(block)?.[1] || '0', 16);
+      const eventHandler = handlers.find(handler => /^event\d+$/.test(handler));
+      const isKeyboard = handlers.includes('kbd') && (events & EV_KEY_BIT) && (events & EV_REP_BIT);
+      return isKeyboard && eventHandler ? `/dev/input/${eventHandler}` : null;
+    })
+    .filter(device => {
+      if (!device) return false;
+      try {
+        fs.accessSync(device, fs.constants.R_OK);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+}
+
+class KeyboardActivitySource extends EventEmitter {
+  constructor() {
+    super();
+    this.backend = null;
+    this.evdevDevices = []; // { path, fd, leftover }
+    this.evdevInterval = null;
+    this.xinputProcess = null;
+  }
+
+  // Resolves to the backend in use ('evdev' or 'xinput'), or null when neither is available
+  async start() {
+    if (process.platform !== 'linux') {
+      return null;
+    }
+
+    if (this.startEvdev()) {
+      this.backend = 'evdev';
+    } else if (await this.startXinput()) {
+      this.backend = 'xinput';
+    }
+
+    return this.backend;
+  }
+
+  startEvdev() {
+    for (const path of findKeyboardDevices()) {
+      try {
+        // Non-blocking, so polling never ties up a thread waiting for the next key
+        const fd = fs.openSync(path, fs.constants.O_RDONLY | fs.constants.O_NONBLOCK);
+        this.evdevDevices.push({ path, fd, leftover: Buffer.alloc(0) });
+      } catch (error) {
+        console.log(`⚠️ Cannot open ${path}: ${error.message}`);
+      }
+    }
+
+    if (this.evdevDevices.length === 0) {
+      return false;
+    }
+
+    console.log(`⌨️ Counting key presses from ${this.evdevDevices.map(device => device.path).join(', ')}`);
+    this.evdevInterval = setInterval(() => this.readEvdev(), EVDEV_POLL_INTERVAL);
+    return true;
+  }
+
+  readEvdev() {
+    const buffer = Buffer.alloc(EVDEV_READ_SIZE);
+    const now = Date.now();
+
+    for (const device of [...this.evdevDevices]) {
+      try {
+        let bytes;
+        while ((bytes = fs.readSync(device.fd, buffer, 0, buffer.length, null)) > 0) {
+          this.countEvdevPresses(device, Buffer.concat([device.leftover, buffer.subarray(0, bytes)]), now);
+        }
+      } catch (error) {
+        if (error.code === 'EAGAIN') continue; // Nothing new
+
+        // Unplugged keyboards stop being read; the others carry on
+        console.log(`⚠️ Stopped reading ${device.path}: ${error.message}`);
+        this.closeEvdevDevice(device);
+        if (this.evdevDevices.length === 0) {
+          this.stop();
+          this.emit('stopped', { backend: 'evdev', reason: error.message });
+        }
+      }
+    }
+  }
+
+  countEvdevPresses(device, data, timestamp) {
+    const complete = data.length - (data.length % INPUT_EVENT_SIZE);
+    for (let offset = 0; offset < complete; offset += INPUT_EVENT_SIZE) {
+      const type = data.readUInt16LE(offset + INPUT_EVENT_SIZE - 8);
+      const value = data.readInt32LE(offset + INPUT_EVENT_SIZE - 4);
+      if (type === EV_KEY && value === KEY_PRESS) {
+        this.emit('keypress', timestamp);
+      }
+    }
+    device.leftover = Buffer.from(data.subarray(complete));
+  }
+
+  closeEvdevDevice(device) {
+    try {
+      fs.closeSync(device.fd);
+    } catch (error) {
+      // Already gone
+    }
+    this.evdevDevices = this.evdevDevices.filter(other => other !== device);
+  }
+
+  startXinput() {
+    if (!process.env.DISPLAY || isWaylandSession()) {
+      return Promise.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+      const xinput = spawn('xinput', ['test-xi2', '--root'], { stdio: ['ignore', 'pipe', 'ignore'] });
+      let pending = '';
+
+      xinput.once('error', (error) => {
+        console.log('⚠️ xinput not available:', error.message);
+        this.xinputProcess = null;
+        resolve(false);
+      });
+
+      xinput.once('spawn', () => {
+        console.log('⌨️ Counting key presses from xinput (XInput2 raw events)');
+        this.xinputProcess = xinput;
+        resolve(true);
+      });
+
+      // Only the event type lines are looked at; the detail lines with key codes are skipped unread
+      xinput.stdout.setEncoding('utf8');
+      xinput.stdout.on('data', (chunk) => {
+        const lines = (pending + chunk).split('\n');
+        pending = lines.pop();
+        const now = Date.now();
+        lines.forEach(line => {
+          if (XINPUT_KEY_PRESS.test(line)) {
+            this.emit('keypress', now);
+          }
+        });
+      });
+
+      xinput.once('exit', (code) => {
+        if (this.xinputProcess === xinput) {
+          this.xinputProcess = null;
+          this.backend = null;
+          this.emit('stopped', { backend: 'xinput', reason: `xinput exited with code ${code}` });
+        }
+      });
+    });
+  }
+
+  stop() {
+    if (this.evdevInterval) {
+      clearInterval(this.evdevInterval);
+      this.evdevInterval = null;
+    }
+    [...this.evdevDevices].forEach(device => this.closeEvdevDevice(device));
+
+    if (this.xinputProcess) {
+      const xinput = this.xinputProcess;
+      this.xinputProcess = null;
+      xinput.kill();
+    }
+
+    this.backend = null;
+  }
+}
+
+export { KeyboardActivitySource };
+export default KeyboardActivitySource;
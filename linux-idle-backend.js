@@ -0,0 +1,107 @@
+// System idle time on Linux desktops over D-Bus, for Wayland sessions where desktop-idle and real-idle only
+// see input to X11 (XWayland) windows
+// Backends, probed in order by detect():
+//   mutter      - org.gnome.Mutter.IdleMonitor on GNOME, idle time in milliseconds
+//   screensaver - org.freedesktop.ScreenSaver GetSessionIdleTime on KDE Plasma and others; the spec leaves the
+//                 unit open, KDE (the main implementation) answers in milliseconds
+// Calls go through the `gdbus` tool that comes with GLib, so no native D-Bus module is needed. Each call is a
+// process, so getIdleTime() only makes one when the answer could change whether the user counts as idle, or when
+// the caller needs a measured value.
+
+import { execFile } from 'child_process';
+
+const GDBUS_TIMEOUT = 2000;
+const IDLE_POLL_INTERVAL = 2000; // Once idle, how often to ask whether the user is back
+
+const BACKENDS = {
+  mutter: {
+    dest: 'org.gnome.Mutter.IdleMonitor',
+    objectPath: '/org/gnome/Mutter/IdleMonitor/Core',
+    method: 'org.gnome.Mutter.IdleMonitor.GetIdletime'
+  },
+  screensaver: {
+    dest: 'org.freedesktop.ScreenSaver',
+    objectPath: '/org/freedesktop/ScreenSaver',
+    method: 'org.freedesktop.ScreenSaver.GetSessionIdleTime'
+  }
+};
+
+export function isWaylandSession() {
+  return process.platform === 'linux' &&
+    (process.env.XDG_SESSION_TYPE === 'wayland' || Boolean(process.env.WAYLAND_DISPLAY));
+}
+
+// Resolves to the first number in a gdbus reply such as "(uint64 1234,)"
+function callGdbus({ dest, objectPath, method }) {
+  return new Promise((resolve, reject) => {
+    const args = ['call', '--session', '--dest', dest, '--object-path', objectPath, '--method', method];
+    execFile('gdbus', args, { timeout: GDBUS_TIMEOUT }, (error, stdout) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+
+      const match = /^\((?:uint64|uint32)?\s*(\d+),?\)/.exec(stdout.trim());
+      if (!match) {
+        reject(new Error(`Unexpected reply from ${method}: ${stdout.trim()}`));
+        return;
+      }
+      resolve(Number(match[1]));
+    });
+  });
+}
+
+class LinuxIdleBackend {
+  constructor() {
+    this.backend = null; // 'mutter', 'screensaver' or null
+    this.sample = null; // Last answer from D-Bus: { idleTime, at }
+  }
+
+  // Resolves to the first backend that answers, or null
+  async detect() {
+    this.backend = null;
+    this.sample = null;
+    if (process.platform !== 'linux') {
+      return null;
+    }
+
+    for (const name of Object.keys(BACKENDS)) {
+      try {
+        await callGdbus(BACKENDS[name]);
+        this.backend = name;
+        console.log(`✅ D-Bus idle backend available: ${name}`);
+        break;
+      } catch (error) {
+        console.log(`⚠️ D-Bus idle backend ${name} not available:`, error.message);
+      }
+    }
+
+    return this.backend;
+  }
+
+  // Idle time in milliseconds as { idleTime, measured }; rejects when the backend stops answering.
+  // Idle time only grows until the next input, so the last answer plus the time since is an upper bound. While
+  // that bound is under idleThreshold the user is active whatever happened since, and the bound is returned
+  // (measured: false) without asking D-Bus, for at most maxSampleAge. Past the threshold, D-Bus is asked at most
+  // every IDLE_POLL_INTERVAL.
+  async getIdleTime(idleThreshold = 0, maxSampleAge = Infinity) {
+    if (!this.backend) {
+      throw new Error('No D-Bus idle backend detected');
+    }
+
+    if (this.sample) {
+      const elapsed = Date.now() - this.sample.at;
+      const bound = this.sample.idleTime + elapsed;
+      if ((bound < idleThreshold && elapsed < maxSampleAge) || elapsed < IDLE_POLL_INTERVAL) {
+        return { idleTime: bound, measured: false };
+      }
+    }
+
+    const idleTime = await callGdbus(BACKENDS[this.backend]);
+    this.sample = { idleTime, at: Date.now() };
+    return { idleTime, measured: true };
+  }
+}
+
+export { LinuxIdleBackend };
+export default LinuxIdleBackend;
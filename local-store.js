@@ -0,0 +1,127 @@
+// Local JSON storage for MCP Progress Tracker
+// The default storage backend: keeps progress items in userData so the app works fully offline.
+// The file is re-read on every call because the embedded server and the stdio MCP server may both write it.
+
+import fs from 'node:fs';
+import path from 'path';
+import { randomUUID } from 'node:crypto';
+import { paginate } from './progress-query.js';
+
+export function createLocalStore({ dataDir, log = console.log }) {
+  if (!dataDir) {
+    throw new Error('Local storage needs a data directory');
+  }
+
+  const itemsPath = path.join(dataDir, 'progress-items.json');
+
+  function readItems() {
+    try {
+      if (fs.existsSync(itemsPath)) {
+        const data = JSON.parse(fs.readFileSync(itemsPath, 'utf8'));
+        return Array.isArray(data.items) ? data.items : [];
+      }
+    } catch (error) {
+      log(`Error reading local progress items: ${error.message}`);
+      throw error;
+    }
+    return [];
+  }
+
+  function writeItems(items) {
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    // Write to a temp file and rename, so a crash never leaves a half-written file behind
+    const tempPath = `${itemsPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ items, lastUpdated: new Date().toISOString() }, null, 2));
+    fs.renameSync(tempPath, itemsPath);
+  }
+
+  function toProgressItem(record) {
+    return {
+      hours: record.hours,
+      description: record.description,
+      date: new Date(record.date),
+      project: record.project,
+      id: record.id
+    };
+  }
+
+  async function createItem(item) {
+    const record = {
+      id: `local-${randomUUID()}`,
+      hours: item.hours,
+      description: item.description,
+      project: item.project,
+      date: item.date.toISOString(),
+      createdAt: Date.now()
+    };
+
+    const items = readItems();
+    items.push(record);
+    writeItems(items);
+
+    log(`Saved progress item to local storage: ${record.id}`);
+    return toProgressItem(record);
+  }
+
+  async function queryItems(query = {}) {
+    const { from, to, project, sort = '-date' } = query;
+    const field = sort.replace(/^-/, '');
+    const direction = sort.startsWith('-') ? -1 : 1;
+    const sortValue = (record) => field === 'date' ? new Date(record.date).getTime() : record.createdAt;
+
+    const records = readItems()
+      .filter(record => !project || record.project === project)
+      .filter(record => !from || new Date(record.date) >= from)
+      .filter(record => !to || new Date(record.date) <= to)
+      .sort((a, b) => (sortValue(a) - sortValue(b)) * direction);
+
+    const page = paginate(records, query);
+    return {
+      items: page.items.map(toProgressItem),
+      nextCursor: page.nextCursor
+    };
+  }
+
+  // Returns the updated item, or null when no item has that id
+  async function updateItem(id, changes) {
+    const items = readItems();
+    const record = items.find(entry => entry.id === id);
+    if (!record) {
+      return null;
+    }
+
+    if (changes.hours !== undefined) record.hours = changes.hours;
+    if (changes.description !== undefined) record.description = changes.description;
+    if (changes.project !== undefined) record.project = changes.project;
+    if (changes.date !== undefined) record.date = changes.date.toISOString();
+    record.updatedAt = Date.now();
+
+    writeItems(items);
+
+    log(`Updated progress item in local storage: ${id}`);
+    return toProgressItem(record);
+  }
+
+  // Returns the deleted item, or null when no item has that id
+  async function deleteItem(id) {
+    const items = readItems();
+    const record = items.find(entry => entry.id === id);
+    if (!record) {
+      return null;
+    }
+
+    writeItems(items.filter(entry => entry.id !== id));
+
+    log(`Deleted progress item from local storage: ${id}`);
+    return toProgressItem(record);
+  }
+
+  return {
+    name: 'local',
+    createItem,
+    queryItems,
+    updateItem,
+    deleteItem
+  };
+}
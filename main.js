@@ -1,10 +1,24 @@
-import { app, BrowserWindow, Tray, Menu, ipcMain, Notification } from 'electron';
+import { app, BrowserWindow, Tray, Menu, ipcMain, Notification, powerMonitor } from 'electron';
 import path from 'path';
 import fs from 'fs';
 import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
-import { startEmbeddedServer, stopEmbeddedServer } from './embedded-http-server.js';
+import { startEmbeddedServer, stopEmbeddedServer, getServerAddress, DEFAULT_PORT, DEFAULT_HOST } from './embedded-http-server.js';
 import { HybridActivityMonitor } from './activity-monitor.js';
+import { ActivityEngine, DEFAULT_AWAY_PROMPT_MINUTES, DEFAULT_IDLE_THRESHOLD_SECONDS } from './activity-engine.js';
+import { writeTodos } from './todos-store.js';
+import { writeCurrentPlan } from './plan-store.js';
+import { ProgressOutbox } from './progress-outbox.js';
+import { TimerManager, formatElapsed } from './timer-manager.js';
+import { FocusSession, DEFAULT_FOCUS_SETTINGS, formatCountdown } from './focus-session.js';
+import { WindowActivityLog, buildProgressSuggestion } from './activity-suggestions.js';
+import { createProjectRulesStore, createProjectResolver } from './project-rules.js';
+import { createWindowUsageStore, summarizeApps } from './window-usage-store.js';
+import { createActivityHistoryStore, DEFAULT_RETENTION_DAYS, DEFAULT_SESSION_GAP } from './activity-history-store.js';
+import { buildWeeklyInsights } from './weekly-insights.js';
+import { formatLocalDate, getIsoWeek, getIsoWeekRange, isValidIsoWeek } from './date-utils.js';
+import { createProjectRegistry } from './project-registry.js';
+import { ensureApiToken, rotateApiToken } from './api-token.js';
 
 // ES module equivalent of __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -17,30 +31,40 @@ let mcpServerProcess = null;
 let httpServerProcess = null;
 let serverStatus = { healthy: false, message: 'Server not started' };
 
-// Activity monitoring
-let activityMonitor = {
-  isMonitoring: false,
-  currentSession: {
-    startTime: null,
-    lastActivity: null,
-    totalActiveTime: 0,
-    isActive: false
-  },
-  dailyStats: {
-    activeTime: 0,
-    idleTime: 0,
-    sessions: [],
-    lastReset: new Date().toDateString()
-  },
-  intervals: {
-    monitor: null,
-    save: null
-  }
-};
+// Whether the user is active: the native monitor when its idle detection runs, window focus otherwise
+let activityEngine = null;
+let pendingAwayTime = null; // Time away the user came back from while no window was open; asked about in the next window
 
 // Native activity monitor instance
 let nativeActivityMonitor = null;
 
+// Focused windows from the native monitor, used to draft the hourly progress report
+const windowActivityLog = new WindowActivityLog();
+
+// Project rules (project-rules.json) assign focused windows to projects; their time adds up in window-usage.json
+let projectRules = null;
+let resolveWindowProject = () => null;
+let windowUsage = null;
+let windowUsageInterval = null;
+
+// Per-minute activity, sessions and app time for every day, in activity-history/ (kept settings.activity.historyRetentionDays)
+let activityHistory = null;
+let activityHistoryInterval = null;
+
+// Outbox for progress submissions that failed to reach the server
+let progressOutbox = null;
+
+// Project registry (projects.json), shared with the embedded server and the MCP servers
+let projectRegistry = null;
+
+// Start/stop timers (timers.json) and the interval that keeps the tray's elapsed time current
+let timerManager = null;
+let trayTimerInterval = null;
+let pendingStoppedTimer = null; // Stopped from the tray while no window was open; picked up by the next window
+
+// Focus mode (pomodoros); completed pomodoros are logged as progress and hourly prompts wait while it runs
+let focusSession = null;
+
 // Settings management
 const settingsPath = path.join(app.getPath('userData'), 'settings.json');
 let settings = {};
@@ -64,6 +88,10 @@ function loadSettings() {
           url: 'http://localhost:8087',
           endpoint: '/add-progress'
         },
+        server: {
+          port: DEFAULT_PORT,
+          host: DEFAULT_HOST
+        },
         projects: ['GGSA', 'Nestly', 'Seenspire'], // Array instead of object
         defaultProject: 'GGSA',
         paused: false,
@@ -75,7 +103,16 @@ function loadSettings() {
         tracking: {
           isPaused: false,
           isEnabled: true
-        }
+        },
+        activity: {
+          historyRetentionDays: DEFAULT_RETENTION_DAYS,
+          awayPromptMinutes: DEFAULT_AWAY_PROMPT_MINUTES,
+          idleThresholdSeconds: DEFAULT_IDLE_THRESHOLD_SECONDS,
+          sessionGraceMinutes: DEFAULT_SESSION_GAP / 60000,
+          countMouseJitter: false,
+          promptAfterLock: true
+        },
+        focus: { ...DEFAULT_FOCUS_SETTINGS }
       };
       saveSettings();
       console.log('Created default settings:', settings);
@@ -99,6 +136,10 @@ function getDefaultSettings() {
       url: 'http://localhost:8087',
       endpoint: '/add-progress'
     },
+    server: {
+      port: DEFAULT_PORT,
+      host: DEFAULT_HOST
+    },
     projects: ['GGSA', 'Nestly', 'Seenspire'],
     defaultProject: 'GGSA',
     paused: false,
@@ -110,7 +151,16 @@ function getDefaultSettings() {
     tracking: {
       isPaused: false,
       isEnabled: true
-    }
+    },
+    activity: {
+      historyRetentionDays: DEFAULT_RETENTION_DAYS,
+      awayPromptMinutes: DEFAULT_AWAY_PROMPT_MINUTES,
+      idleThresholdSeconds: DEFAULT_IDLE_THRESHOLD_SECONDS,
+      sessionGraceMinutes: DEFAULT_SESSION_GAP / 60000,
+      countMouseJitter: false,
+      promptAfterLock: true
+    },
+    focus: { ...DEFAULT_FOCUS_SETTINGS }
   };
 }
 
@@ -191,13 +241,13 @@ function createWindow() {
     mainWindow = null;
   });
 
-  // Track window focus for activity monitoring
+  // Window focus is the activity fallback until native idle detection runs
   mainWindow.on('focus', () => {
-    simulateActivityDetection();
+    if (activityEngine) activityEngine.reportWindowFocus(true);
   });
 
   mainWindow.on('blur', () => {
-    // Window lost focus - could indicate user switched to another app
+    if (activityEngine) activityEngine.reportWindowFocus(false);
   });
 
   // Handle minimize to tray on macOS
@@ -243,6 +293,8 @@ function createTray() {
         showProgressDialog();
       }
     },
+    ...getTimerMenuItems(),
+    ...getFocusMenuItems(),
     { type: 'separator' },
     {
       label: settings.paused ? 'Resume Tracking' : 'Pause Tracking',
@@ -266,7 +318,7 @@ function createTray() {
   ]);
 
   tray.setContextMenu(contextMenu);
-  tray.setToolTip('MCP Progress Tracker');
+  updateTrayTimer();
   
   // Handle tray click on macOS
   tray.on('click', () => {
@@ -311,6 +363,8 @@ function updateTrayMenu() {
         showProgressDialog();
       }
     },
+    ...getTimerMenuItems(),
+    ...getFocusMenuItems(),
     { type: 'separator' },
     {
       label: settings.paused ? 'Resume Tracking' : 'Pause Tracking',
@@ -345,9 +399,111 @@ function updateTrayMenu() {
   ]);
 
   tray.setContextMenu(contextMenu);
+  updateTrayTimer();
   console.log('Tray menu updated');
 }
 
+// Tray entries for the running timer, or to resume or start one
+function getTimerMenuItems() {
+  if (!timerManager) {
+    return [];
+  }
+
+  const timers = timerManager.getTimers();
+  const running = timers.find(timer => timer.status === 'running');
+  const paused = timers.filter(timer => timer.status === 'paused');
+  const items = [{ type: 'separator' }];
+
+  if (running) {
+    items.push(
+      { label: `⏱ ${running.project} - ${formatElapsed(running.elapsedMs)}`, enabled: false },
+      { label: 'Pause Timer', click: () => timerManager.pause(running.id) },
+      { label: 'Stop Timer and Log Progress', click: () => stopTimerFromTray(running.id) }
+    );
+  }
+
+  paused.forEach(timer => {
+    items.push({
+      label: `Resume Timer: ${timer.project} (${formatElapsed(timer.elapsedMs)})`,
+      click: () => timerManager.resume(timer.id)
+    });
+  });
+
+  if (!running && settings.defaultProject) {
+    items.push({
+      label: `Start Timer (${settings.defaultProject})`,
+      click: () => timerManager.start({ project: settings.defaultProject })
+    });
+  }
+
+  return items;
+}
+
+const FOCUS_PHASE_LABELS = { work: 'Focus', break: 'Break', 'long-break': 'Long break' };
+
+// Tray entries for the focus session, or to start one for the default project
+function getFocusMenuItems() {
+  if (!focusSession) {
+    return [];
+  }
+
+  const focus = focusSession.getState();
+  if (focus.active) {
+    const until = new Date(focus.phaseEnd).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return [
+      { label: `🍅 ${FOCUS_PHASE_LABELS[focus.phase]}: ${focus.project} until ${until} (${focus.completed} done)`, enabled: false },
+      { label: 'Stop Focus', click: () => focusSession.stop() }
+    ];
+  }
+
+  if (settings.defaultProject) {
+    return [{
+      label: `Start Focus (${settings.defaultProject})`,
+      click: () => focusSession.start({ project: settings.defaultProject })
+    }];
+  }
+
+  return [];
+}
+
+// Shows the focus countdown or the running timer next to the tray icon (macOS) and in the tooltip
+function updateTrayTimer() {
+  if (!tray) {
+    return;
+  }
+
+  const focus = focusSession ? focusSession.getState() : null;
+  const running = timerManager ? timerManager.getRunning() : null;
+  if (focus && focus.active) {
+    const countdown = formatCountdown(focus.remainingMs);
+    tray.setTitle(`🍅 ${countdown}`);
+    tray.setToolTip(`MCP Progress Tracker - ${FOCUS_PHASE_LABELS[focus.phase]} on ${focus.project}, ${countdown} left`);
+  } else if (running) {
+    tray.setTitle(formatElapsed(running.elapsedMs));
+    tray.setToolTip(`MCP Progress Tracker - ${running.project} timer running (${formatElapsed(running.elapsedMs)})`);
+  } else {
+    tray.setTitle('');
+    tray.setToolTip('MCP Progress Tracker');
+  }
+}
+
+// Opens the app with the progress form filled in from the stopped timer
+function stopTimerFromTray(id) {
+  try {
+    const result = timerManager.stop(id);
+    if (mainWindow) {
+      mainWindow.show();
+      mainWindow.focus();
+      mainWindow.webContents.send('timer-stopped', result);
+    } else {
+      pendingStoppedTimer = result;
+      createWindow();
+    }
+  } catch (error) {
+    console.error('Error stopping timer:', error);
+  }
+}
+
 async function startMcpServer() {
   try {
     // Check if we're in a packaged app
@@ -362,7 +518,7 @@ async function startMcpServer() {
       mcpServerProcess = spawn('node', ['mcp-server.js'], {
         cwd: __dirname,
         stdio: 'pipe',
-        env: process.env
+        env: { ...process.env, MCP_PROGRESS_DATA_DIR: app.getPath('userData') }
       });
 
       mcpServerProcess.stdout.on('data', (data) => {
@@ -382,414 +538,974 @@ async function startMcpServer() {
       console.log('Skipping MCP server spawn in packaged app');
     }
 
-    // Start the embedded HTTP server
-    console.log('Starting embedded HTTP server...');
-    
-    // Send initial status
-    updateServerStatus({ healthy: false, message: 'Starting server...' });
-    
-    try {
-      await startEmbeddedServer();
-      console.log('Embedded HTTP server started successfully');
-    } catch (serverError) {
-      console.error('Failed to start embedded HTTP server:', serverError);
-      updateServerStatus({ healthy: false, message: `Server startup failed: ${serverError.message}` });
-      throw serverError; // Re-throw to be caught by outer try-catch
-    }
-    
-    // Health check the HTTP server
-    setTimeout(async () => {
-      try {
-        console.log('Performing HTTP server health check...');
-        const response = await fetch('http://localhost:8087/health');
-        if (response.ok) {
-          const data = await response.json();
-          console.log('HTTP server health check passed:', data);
-          
-          // Notify renderer that server is healthy
-          updateServerStatus({ healthy: true, message: 'Server running' });
-        } else {
-          console.error('HTTP server health check failed:', response.status);
-          updateServerStatus({ healthy: false, message: 'Server health check failed' });
-        }
-      } catch (error) {
-        console.error('HTTP server health check error:', error.message);
-        updateServerStatus({ healthy: false, message: `Server error: ${error.message}` });
-      }
-    }, 2000); // Wait 2 seconds for server to start
-    
+    await startHttpServer();
   } catch (error) {
     console.error('Error starting servers:', error);
     updateServerStatus({ healthy: false, message: `Failed to start server: ${error.message}` });
   }
 }
 
-function showProgressDialog() {
-  if (!Notification.isSupported()) {
-    console.log('Notifications not supported');
-    return;
-  }
-
-  console.log('Showing progress notification');
-  const notification = new Notification({
-    title: 'Progress Report Time',
-    body: 'Time to submit your hourly progress report!',
-    icon: path.join(__dirname, 'assets', 'icon.png'),
-    urgency: 'normal'
-  });
+// Where the app reaches its HTTP server: the address the embedded server actually bound to
+// (which differs from settings.server.port after a port fallback), else the configured URL
+function getServerUrl() {
+  return getServerAddress()?.url || settings.mcpServer.url;
+}
 
-  notification.show();
-  
-  notification.on('click', () => {
-    if (mainWindow) {
-      mainWindow.show();
-      mainWindow.focus();
-      mainWindow.webContents.send('show-progress-dialog');
-    } else {
-      createWindow();
+// fetch() against the HTTP server with the API token attached
+function serverFetch(pathname, options = {}) {
+  return fetch(`${getServerUrl()}${pathname}`, {
+    ...options,
+    headers: {
+      ...options.headers,
+      'Authorization': `Bearer ${ensureApiToken(app.getPath('userData'))}`
     }
   });
 }
 
-function isCurrentlyInWorkingHours() {
-  if (!settings || !settings.workingHours) {
-    console.log('No working hours settings found');
-    return false;
+// Turns an error response from the embedded server into an Error.
+// The server answers { error: { code, message, fields } }; fields maps form fields to validation messages.
+function serverError(response, data) {
+  const details = data && typeof data.error === 'object' ? data.error : { message: data && data.error };
+  const error = new Error(details.message || `HTTP ${response.status}: ${response.statusText}`);
+  error.status = response.status;
+  error.code = details.code || null;
+  error.fields = details.fields || null;
+  return error;
+}
+
+// Reads a JSON response body without failing on empty or non-JSON error pages
+async function readJson(response) {
+  try {
+    return await response.json();
+  } catch (error) {
+    return null;
   }
+}
 
-  const timezone = settings.workingHours.timezone || 'UTC';
-  const now = new Date();
+async function startHttpServer() {
+  // Start the embedded HTTP server
+  console.log('Starting embedded HTTP server...');
+  
+  // Send initial status
+  updateServerStatus({ healthy: false, message: 'Starting server...' });
   
   try {
-    // Get time in the target timezone using proper Intl API
-    const timeInTimezone = new Intl.DateTimeFormat('en-US', {
-      timeZone: timezone,
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: false,
-      weekday: 'short'
-    }).formatToParts(now);
-    
-    // Extract day and time from the formatted parts
-    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    const dayName = timeInTimezone.find(part => part.type === 'weekday').value;
-    const currentDay = weekdays.indexOf(dayName);
-    
-    const hour = parseInt(timeInTimezone.find(part => part.type === 'hour').value);
-    const minute = parseInt(timeInTimezone.find(part => part.type === 'minute').value);
-    const currentTime = hour * 60 + minute;
-
-    console.log('Working hours check:', {
-      timezone,
-      dayName,
-      currentDay,
-      hour,
-      minute,
-      currentTime,
-      workingDays: settings.workingHours.days,
-      workingHours: `${settings.workingHours.start} - ${settings.workingHours.end}`
+    const address = await startEmbeddedServer({
+      port: settings.server?.port || DEFAULT_PORT,
+      host: settings.server?.host || DEFAULT_HOST,
+      allowedOrigins: settings.server?.allowedOrigins || []
     });
+    console.log('Embedded HTTP server started successfully at', address.url);
+  } catch (serverError) {
+    console.error('Failed to start embedded HTTP server:', serverError);
+    updateServerStatus({ healthy: false, message: `Server startup failed: ${serverError.message}` });
+    throw serverError; // Re-throw to be caught by the caller
+  }
+  
+  // Health check the HTTP server
+  setTimeout(async () => {
+    try {
+      console.log('Performing HTTP server health check...');
+      const response = await serverFetch('/health');
+      if (response.ok) {
+        const data = await response.json();
+        console.log('HTTP server health check passed:', data);
+        
+        // Notify renderer that server is healthy, and where to find it
+        updateServerStatus({ healthy: true, message: 'Server running', url: getServerUrl() });
 
-    // Check if current day is a working day
-    if (!settings.workingHours.days || !settings.workingHours.days.includes(currentDay)) {
-      console.log('Not a working day');
-      return false;
+        // Deliver anything queued while the server was unavailable
+        progressOutbox?.flush({ force: true });
+      } else {
+        console.error('HTTP server health check failed:', response.status);
+        updateServerStatus({ healthy: false, message: 'Server health check failed' });
+      }
+    } catch (error) {
+      console.error('HTTP server health check error:', error.message);
+      updateServerStatus({ healthy: false, message: `Server error: ${error.message}` });
     }
+  }, 2000); // Wait 2 seconds for server to start
+}
 
-    // Check if current time is within working hours
-    const [startHour, startMin] = settings.workingHours.start.split(':').map(Number);
-    const [endHour, endMin] = settings.workingHours.end.split(':').map(Number);
-
-    const startTime = startHour * 60 + startMin;
-    const endTime = endHour * 60 + endMin;
-
-    const isInWorkingHours = currentTime >= startTime && currentTime <= endTime;
-    console.log('Is in working hours:', isInWorkingHours);
-    
-    return isInWorkingHours;
+// Applies changed settings.server by moving the embedded server to the new port or bind address
+async function restartHttpServer() {
+  console.log('Restarting embedded HTTP server with new address settings...');
+  await stopEmbeddedServer();
+  try {
+    await startHttpServer();
   } catch (error) {
-    console.error('Error checking working hours:', error);
-    return false;
+    console.error('Error restarting embedded HTTP server:', error);
   }
 }
 
-function setupHourlyNotifications() {
-  console.log('Setting up hourly notifications...');
-  
-  // Check every minute if we should send a notification or auto-resume
-  setInterval(() => {
-    // Check if we should auto-resume from pause
-    if (settings.paused && settings.pauseUntil) {
-      const pauseUntil = new Date(settings.pauseUntil);
-      if (new Date() >= pauseUntil) {
-        console.log('Auto-resuming tracking - pause period expired');
-        settings.paused = false;
-        settings.pauseUntil = null;
-        saveSettings();
-        updateTrayMenu();
-        if (mainWindow) {
-          mainWindow.webContents.send('tracking-status-changed', { isPaused: settings.paused, isEnabled: settings.enabled });
-        }
-      }
-    }
-    
-    if (!settings.enabled || settings.paused) {
-      return;
-    }
-
-    if (isCurrentlyInWorkingHours()) {
-      const now = new Date();
-      const minutes = now.getMinutes();
-      
-      // Send notification at the top of each hour (when minutes = 0)
-      if (minutes === 0) {
-        console.log('Top of the hour - sending notification');
-        showProgressDialog();
-      }
+// Fetch progress items from the embedded HTTP server.
+// query: { from, to, project, limit, cursor, sort } - see progress-query.js
+async function fetchProgressReport(query = {}) {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.set(key, value);
     }
-  }, 60000); // Check every minute
+  });
 
-  console.log('Hourly notifications set up - checking every minute');
-}
+  const queryString = params.toString();
+  const response = await serverFetch(`/progress-report${queryString ? `?${queryString}` : ''}`);
+  const data = await readJson(response);
 
-// IPC handlers
-// Activity Monitoring Functions
-function startActivityMonitoring() {
-  if (activityMonitor.isMonitoring) return;
-  
-  console.log('Starting activity monitoring...');
-  activityMonitor.isMonitoring = true;
-  activityMonitor.currentSession.startTime = Date.now();
-  activityMonitor.currentSession.lastActivity = Date.now();
-  
-  // Check if we need to reset daily stats
-  const today = new Date().toDateString();
-  if (activityMonitor.dailyStats.lastReset !== today) {
-    resetDailyStats();
+  if (!response.ok) {
+    throw serverError(response, data);
   }
-  
-  // Monitor activity every 10 seconds
-  activityMonitor.intervals.monitor = setInterval(checkActivity, 10000);
-  
-  // Save stats every minute
-  activityMonitor.intervals.save = setInterval(saveActivityStats, 60000);
-
-  // Simulate periodic activity detection
-  setInterval(simulateActivityDetection, 5000);
-  
-  // Load existing stats
-  loadActivityStats();
-}
 
-function stopActivityMonitoring() {
-  if (!activityMonitor.isMonitoring) return;
-  
-  console.log('Stopping activity monitoring...');
-  activityMonitor.isMonitoring = false;
-  
-  if (activityMonitor.intervals.monitor) {
-    clearInterval(activityMonitor.intervals.monitor);
-    activityMonitor.intervals.monitor = null;
-  }
-  
-  if (activityMonitor.intervals.save) {
-    clearInterval(activityMonitor.intervals.save);
-    activityMonitor.intervals.save = null;
-  }
-  
-  // Save final stats
-  saveActivityStats();
+  return data;
 }
 
-function checkActivity() {
-  const now = Date.now();
-  const idleTime = now - activityMonitor.currentSession.lastActivity;
-  const isIdle = idleTime > 60000; // 1 minute of inactivity = idle
+// Send a progress item to the embedded HTTP server.
+// Errors are marked permanent when retrying can't help (the server rejected the data).
+async function postProgress(progressData) {
+  console.log('Sending progress to HTTP server:', `${getServerUrl()}/add-progress`);
+  console.log('Progress data:', JSON.stringify(progressData, null, 2));
   
-  if (!isIdle) {
-    // User is active
-    if (!activityMonitor.currentSession.isActive) {
-      // Just became active
-      activityMonitor.currentSession.isActive = true;
-      console.log('User became active');
-    }
-    activityMonitor.currentSession.lastActivity = now;
-  } else {
-    // User is idle
-    if (activityMonitor.currentSession.isActive) {
-      // Just became idle
-      activityMonitor.currentSession.isActive = false;
-      console.log('User became idle');
-    }
-  }
+  const response = await serverFetch('/add-progress', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(progressData)
+  });
   
-  // Update daily stats
-  if (activityMonitor.currentSession.isActive) {
-    activityMonitor.dailyStats.activeTime += 10; // 10 seconds
-  } else {
-    activityMonitor.dailyStats.idleTime += 10; // 10 seconds
-  }
+  console.log('HTTP response status:', response.status);
+  console.log('HTTP response ok:', response.ok);
   
-  // Send update to renderer
-  if (mainWindow && mainWindow.webContents) {
-    mainWindow.webContents.send('activity-update', {
-      isActive: activityMonitor.currentSession.isActive,
-      sessionTime: now - activityMonitor.currentSession.startTime,
-      dailyActive: activityMonitor.dailyStats.activeTime,
-      dailyIdle: activityMonitor.dailyStats.idleTime
-    });
+  if (!response.ok) {
+    const data = await readJson(response);
+    console.error('HTTP server error response:', data);
+    const error = serverError(response, data);
+    error.permanent = response.status >= 400 && response.status < 500;
+    throw error;
   }
-}
-
-function resetDailyStats() {
-  const today = new Date().toDateString();
-  console.log('Resetting daily stats for:', today);
   
-  activityMonitor.dailyStats = {
-    activeTime: 0,
-    idleTime: 0,
-    sessions: [],
-    lastReset: today
-  };
+  const result = await response.json();
+  console.log('HTTP server response:', result);
+  return result;
 }
 
-function saveActivityStats() {
-  const statsPath = path.join(app.getPath('userData'), 'activity-stats.json');
+// Runs a registry change and returns the updated registry and settings to the renderer
+function handleProjectChange(change) {
   try {
-    const stats = {
-      dailyStats: activityMonitor.dailyStats,
-      lastUpdated: new Date().toISOString()
+    const project = change();
+    syncProjectSettings();
+    refreshProjectResolver();
+    return {
+      success: true,
+      project,
+      projects: projectRegistry.listProjects({ includeArchived: true }),
+      settings
     };
-    fs.writeFileSync(statsPath, JSON.stringify(stats, null, 2));
   } catch (error) {
-    console.error('Error saving activity stats:', error);
+    console.error('Error changing project:', error);
+    return { success: false, error: error.message };
   }
 }
 
-function loadActivityStats() {
-  const statsPath = path.join(app.getPath('userData'), 'activity-stats.json');
+function handleTimerChange(change) {
   try {
-    if (fs.existsSync(statsPath)) {
-      const stats = JSON.parse(fs.readFileSync(statsPath, 'utf8'));
-      
-      // Only load if it's from today
-      const today = new Date().toDateString();
-      if (stats.dailyStats && stats.dailyStats.lastReset === today) {
-        activityMonitor.dailyStats = stats.dailyStats;
-        console.log('Loaded activity stats from file');
-      }
-    }
+    const timer = change();
+    return { success: true, timer, timers: timerManager.getTimers() };
   } catch (error) {
-    console.error('Error loading activity stats:', error);
+    console.error('Error changing timer:', error);
+    return { success: false, error: error.message };
   }
 }
 
-function getActivityStats() {
-  const now = Date.now();
-  const sessionTime = activityMonitor.currentSession.startTime ? 
-    now - activityMonitor.currentSession.startTime : 0;
-  
-  return {
-    isMonitoring: activityMonitor.isMonitoring,
-    isActive: activityMonitor.currentSession.isActive,
-    sessionTime: sessionTime,
-    dailyActive: activityMonitor.dailyStats.activeTime * 1000, // Convert to milliseconds
-    dailyIdle: activityMonitor.dailyStats.idleTime * 1000,
-    totalTime: (activityMonitor.dailyStats.activeTime + activityMonitor.dailyStats.idleTime) * 1000
-  };
+function setupProjectRegistry() {
+  // First run after the registry was introduced: keep the projects users already added in settings
+  projectRegistry = createProjectRegistry({
+    dataDir: app.getPath('userData'),
+    seedNames: Array.isArray(settings.projects) && settings.projects.length > 0 ? settings.projects : undefined
+  });
+  projectRegistry.ensureInitialized();
+  syncProjectSettings();
 }
 
-// Simulate user activity detection (since real system monitoring requires native modules)
-function simulateActivityDetection() {
-  // This is a simplified version - in a real implementation, you'd use:
-  // - Mouse movement detection
-  // - Keyboard input detection
-  // - Screen interaction monitoring
-  
-  // For now, we'll simulate activity based on window focus and basic events
-  if (mainWindow && mainWindow.isFocused()) {
-    activityMonitor.currentSession.lastActivity = Date.now();
+// settings.projects mirrors the active project names for the dropdowns; the registry is the source of truth
+function syncProjectSettings() {
+  settings.projects = projectRegistry.listProjects().map(project => project.name);
+  if (!settings.projects.includes(settings.defaultProject)) {
+    settings.defaultProject = settings.projects[0] || null;
   }
+  saveSettings();
 }
 
-function setupIpcHandlers() {
-  ipcMain.handle('get-settings', () => {
-    console.log('Returning settings:', settings);
-    return settings;
+function setupActivityHistory() {
+  activityHistory = createActivityHistoryStore({
+    dataDir: app.getPath('userData'),
+    retentionDays: settings.activity?.historyRetentionDays || DEFAULT_RETENTION_DAYS
   });
+  windowActivityLog.on('interval', (entry) => activityHistory.addAppTime(entry));
+  activityHistoryInterval = setInterval(() => activityHistory.flush(), 60000);
+}
 
-  ipcMain.handle('save-settings', (event, newSettings) => {
-    try {
-      console.log('Received settings to save:', newSettings);
-      console.log('Current settings before save:', settings);
-      
-      // Merge new settings with existing settings
-      settings = { ...settings, ...newSettings };
-      
-      console.log('Merged settings:', settings);
-      
-      // Save to file
-      saveSettings();
-      
-      // Update tray menu to reflect changes
-      updateTrayMenu();
-      
-      console.log('Settings saved successfully');
-      return settings;
-    } catch (error) {
-      console.error('Error in save-settings handler:', error);
-      throw error;
+// The engine records activity into the history; the window log only collects app time while active
+function setupActivityEngine() {
+  activityEngine = new ActivityEngine({ history: activityHistory, ...getActivityOptions() });
+
+  activityEngine.on('state-changed', (data) => {
+    console.log('Activity changed:', data);
+    if (data.isActive) {
+      windowActivityLog.resume(data.timestamp);
+    } else {
+      windowActivityLog.pause(data.timestamp);
+    }
+    if (mainWindow && mainWindow.webContents) {
+      mainWindow.webContents.send('activity-status-changed', data);
     }
   });
 
-  ipcMain.handle('submit-progress', async (event, progressData) => {
-    try {
-      console.log('Progress submitted:', progressData);
-      
-      // Send data to the embedded HTTP server
-      const url = `${settings.mcpServer.url}/add-progress`;
-      console.log('Sending progress to HTTP server:', url);
-      console.log('Progress data:', JSON.stringify(progressData, null, 2));
-      
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(progressData)
+  activityEngine.on('returned', (period) => promptAwayTime(period));
+
+  // Locked or sleeping time is never active; see ActivityEngine.handlePowerEvent
+  powerMonitor.on('lock-screen', () => activityEngine.handlePowerEvent('lock'));
+  powerMonitor.on('unlock-screen', () => activityEngine.handlePowerEvent('unlock'));
+  powerMonitor.on('suspend', () => activityEngine.handlePowerEvent('suspend'));
+  powerMonitor.on('resume', () => activityEngine.handlePowerEvent('resume'));
+
+  activityEngine.start();
+}
+
+// settings.activity in the engine's terms (ms). An away prompt or grace period of 0 turns it off.
+function getActivityOptions() {
+  const activity = settings.activity || {};
+  const minutes = (value, fallback) => Math.max(Number(value ?? fallback) || 0, 0) * 60000;
+  return {
+    idleThreshold: Math.max(Number(activity.idleThresholdSeconds) || DEFAULT_IDLE_THRESHOLD_SECONDS, 5) * 1000,
+    sessionGap: minutes(activity.sessionGraceMinutes, DEFAULT_SESSION_GAP / 60000),
+    awayThreshold: minutes(activity.awayPromptMinutes, DEFAULT_AWAY_PROMPT_MINUTES),
+    countMouseJitter: Boolean(activity.countMouseJitter),
+    promptOnResume: activity.promptAfterLock !== false
+  };
+}
+
+// Asks what the time away was: discard it, keep it as a break, or assign it to a project.
+// Only for time away within today's working hours - not overnight or while tracking is paused.
+function promptAwayTime(period) {
+  if (settings.paused || !isCurrentlyInWorkingHours() ||
+      formatLocalDate(new Date(period.start)) !== formatLocalDate(new Date(period.end))) {
+    return;
+  }
+
+  const minutes = Math.round(period.duration / 60000);
+  console.log(`Back after ${minutes} minutes away`);
+
+  if (mainWindow) {
+    mainWindow.webContents.send('away-time', period);
+  } else {
+    pendingAwayTime = period;
+  }
+
+  if (Notification.isSupported()) {
+    const notification = new Notification({
+      title: 'Welcome Back',
+      body: `You were away ${minutes} minutes - discard it, keep it as a break, or assign it to a project`,
+      icon: path.join(__dirname, 'assets', 'icon.png')
+    });
+    notification.show();
+
+    notification.on('click', () => {
+      if (mainWindow) {
+        mainWindow.show();
+        mainWindow.focus();
+      } else {
+        createWindow();
+      }
+    });
+  }
+}
+
+// Records the decision about time away in the activity history; time assigned to a project
+// can also be logged as a progress item ({ start, end } in ms, see ActivityEngine 'returned')
+async function resolveAwayTime({ start, end, decision, project = null, category = null, description = '', logProgress = false }) {
+  if (decision === 'assign') {
+    // Same check as timers, focus sessions and rules: unknown and archived projects are rejected
+    project = projectRegistry.requireActiveProject(project);
+  }
+
+  const logged = decision === 'assign' && Boolean(logProgress);
+  activityHistory.recordAway({ start, end, decision, project, category, logged });
+  console.log(`Time away ${new Date(start).toLocaleTimeString()}-${new Date(end).toLocaleTimeString()}: ${decision}${project ? ` to ${project}` : ''}`);
+
+  if (!logged) {
+    return { progress: null };
+  }
+
+  const progress = await submitProgressData({
+    project,
+    hours: Math.min(Math.max(Math.round((end - start) / 36000) / 100, 0.01), 24),
+    description: description.trim() || (category === 'meeting' ? 'Meeting' : 'Thinking time'),
+    date: new Date(end).toISOString()
+  });
+  return { progress };
+}
+
+async function getWeeklyInsights(week) {
+  if (!isValidIsoWeek(week)) {
+    throw new Error(`Invalid ISO week: ${week} (expected YYYY-Www)`);
+  }
+
+  const { start, end } = getIsoWeekRange(week);
+  const previousStart = new Date(start);
+  previousStart.setDate(start.getDate() - 7);
+  const previousEnd = new Date(end);
+  previousEnd.setDate(end.getDate() - 7);
+
+  const [report, previousReport] = await Promise.all([
+    fetchProgressReport({ from: start.toISOString(), to: end.toISOString(), sort: 'date' }),
+    fetchProgressReport({ from: previousStart.toISOString(), to: previousEnd.toISOString(), sort: 'date' })
+  ]);
+
+  const nextStart = new Date(end);
+  nextStart.setDate(end.getDate() + 1);
+
+  const insights = buildWeeklyInsights({
+    week,
+    days: activityHistory.getDays({ from: formatLocalDate(start), to: formatLocalDate(end) }),
+    previousDays: activityHistory.getDays({ from: formatLocalDate(previousStart), to: formatLocalDate(previousEnd) }),
+    items: report.rawItems || [],
+    previousItems: previousReport.rawItems || []
+  });
+
+  // For the week chooser's previous/next buttons
+  return { ...insights, previousWeek: getIsoWeek(previousStart), nextWeek: getIsoWeek(nextStart) };
+}
+
+function setupProjectRules() {
+  projectRules = createProjectRulesStore({ dataDir: app.getPath('userData') });
+  refreshProjectResolver();
+
+  windowUsage = createWindowUsageStore({
+    dataDir: app.getPath('userData'),
+    retentionDays: settings.activity?.historyRetentionDays || DEFAULT_RETENTION_DAYS
+  });
+  windowActivityLog.on('interval', (entry) => windowUsage.addInterval(entry));
+  windowUsageInterval = setInterval(() => windowUsage.flush(), 60000);
+}
+
+// Rebuilds the resolver the activity monitor uses after rules or projects change
+function refreshProjectResolver() {
+  if (!projectRules || !projectRegistry) {
+    return;
+  }
+
+  resolveWindowProject = createProjectResolver(
+    projectRules.listRules(),
+    projectRegistry.listProjects().map(project => project.name)
+  );
+}
+
+function handleProjectRuleChange(change) {
+  try {
+    const rule = change();
+    refreshProjectResolver();
+    return { success: true, rule, rules: projectRules.listRules() };
+  } catch (error) {
+    console.error('Error changing project rule:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// A day's active time per project and app in milliseconds, including the window that has focus right now
+function getWindowUsage(date = new Date()) {
+  return windowUsage.getDay(date, windowActivityLog.getCurrent());
+}
+
+function setupProgressOutbox() {
+  progressOutbox = new ProgressOutbox({
+    dataDir: app.getPath('userData'),
+    send: postProgress
+  });
+
+  progressOutbox.on('changed', (summary) => {
+    if (mainWindow && mainWindow.webContents) {
+      mainWindow.webContents.send('outbox-updated', summary);
+    }
+  });
+
+  progressOutbox.on('delivered', (entry) => {
+    if (Notification.isSupported()) {
+      const notification = new Notification({
+        title: 'Queued Progress Submitted',
+        body: `Logged ${entry.progressData.hours} hours for ${entry.progressData.project}`,
+        icon: path.join(__dirname, 'assets', 'icon.png')
       });
+      notification.show();
+    }
+  });
+
+  progressOutbox.start();
+  console.log('Progress outbox started with', progressOutbox.getSummary().pending, 'pending submissions');
+}
+
+function setupTimers() {
+  timerManager = new TimerManager({
+    dataDir: app.getPath('userData')
+  });
+
+  timerManager.on('changed', (timers) => {
+    if (mainWindow && mainWindow.webContents) {
+      mainWindow.webContents.send('timers-updated', timers);
+    }
+    updateTrayMenu();
+  });
+
+  // The tray shows minutes, so refreshing once a minute is enough
+  trayTimerInterval = setInterval(() => {
+    if (timerManager.getRunning()) {
+      updateTrayMenu();
+    }
+  }, 60000);
+
+  const running = timerManager.getRunning();
+  if (running) {
+    console.log(`Resumed running timer for ${running.project} (${formatElapsed(running.elapsedMs)} so far)`);
+  }
+}
+
+function setupFocusSession() {
+  focusSession = new FocusSession(getFocusOptions());
+
+  focusSession.on('changed', (state) => {
+    if (mainWindow && mainWindow.webContents) {
+      mainWindow.webContents.send('focus-updated', state);
+    }
+    updateTrayMenu();
+  });
+
+  focusSession.on('tick', () => updateTrayTimer());
+
+  // Sleep isn't logged as focus time
+  powerMonitor.on('suspend', () => focusSession.suspend());
+  powerMonitor.on('resume', () => focusSession.resume());
+
+  focusSession.on('completed', async (pomodoro) => {
+    const { phase, phaseStart, phaseEnd } = focusSession.getState();
+    const breakMinutes = Math.round((phaseEnd - phaseStart) / 60000);
+    const result = await logPomodoro(pomodoro);
+    const logged = result && result.success ? ` ${result.queued ? 'Saved offline' : 'Logged'} for ${pomodoro.project}.` : '';
+    showFocusNotification(`Pomodoro ${pomodoro.count} done`, `${logged} Take a ${breakMinutes}-minute ${phase === 'long-break' ? 'long break' : 'break'}.`.trim());
+  });
+
+  focusSession.on('break-ended', (state) => {
+    showFocusNotification('Break over', `Back to ${state.description || state.project} until ${new Date(state.phaseEnd).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+  });
+}
+
+// settings.focus with the defaults filled in
+function getFocusOptions() {
+  return { ...DEFAULT_FOCUS_SETTINGS, ...(settings.focus || {}) };
+}
+
+// A completed pomodoro becomes a progress item for its project (and to-do, through the description).
+// Nothing is logged while tracking is paused.
+async function logPomodoro({ project, description, start, end }) {
+  if (settings.paused) {
+    console.log('Tracking paused - completed pomodoro not logged');
+    return null;
+  }
+
+  return submitProgressData({
+    project,
+    hours: Math.round((end - start) / 36000) / 100,
+    description: description.trim() || 'Focus session',
+    date: new Date(end).toISOString()
+  }, { notify: false });
+}
+
+function showFocusNotification(title, body) {
+  if (!Notification.isSupported()) {
+    return;
+  }
+
+  const notification = new Notification({
+    title,
+    body,
+    icon: path.join(__dirname, 'assets', 'icon.png')
+  });
+  notification.show();
+
+  notification.on('click', () => {
+    if (mainWindow) {
+      mainWindow.show();
+      mainWindow.focus();
+    } else {
+      createWindow();
+    }
+  });
+}
+
+function showProgressDialog() {
+  if (!Notification.isSupported()) {
+    console.log('Notifications not supported');
+    return;
+  }
+
+  console.log('Showing progress notification');
+  const suggestion = getProgressSuggestion();
+  const notification = new Notification({
+    title: 'Progress Report Time',
+    body: suggestion
+      ? `Draft ready: ${suggestion.hours}h${suggestion.project ? ` on ${suggestion.project}` : ''} - ${suggestion.apps.map(a => a.appName).join(', ')}`
+      : 'Time to submit your hourly progress report!',
+    icon: path.join(__dirname, 'assets', 'icon.png'),
+    urgency: 'normal'
+  });
+
+  notification.show();
+  
+  notification.on('click', () => {
+    if (mainWindow) {
+      mainWindow.show();
+      mainWindow.focus();
+      mainWindow.webContents.send('show-progress-dialog');
+    } else {
+      createWindow();
+    }
+  });
+}
+
+// Draft progress item for the last hour, from the windows the user worked in; null without enough activity
+function getProgressSuggestion() {
+  const until = Date.now();
+  const since = until - 60 * 60 * 1000;
+  return buildProgressSuggestion(windowActivityLog.getEntries(since, until), { since, until });
+}
+
+function isCurrentlyInWorkingHours() {
+  if (!settings || !settings.workingHours) {
+    console.log('No working hours settings found');
+    return false;
+  }
+
+  const timezone = settings.workingHours.timezone || 'UTC';
+  const now = new Date();
+  
+  try {
+    // Get time in the target timezone using proper Intl API
+    const timeInTimezone = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hour12: false,
+      weekday: 'short'
+    }).formatToParts(now);
+    
+    // Extract day and time from the formatted parts
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const dayName = timeInTimezone.find(part => part.type === 'weekday').value;
+    const currentDay = weekdays.indexOf(dayName);
+    
+    const hour = parseInt(timeInTimezone.find(part => part.type === 'hour').value);
+    const minute = parseInt(timeInTimezone.find(part => part.type === 'minute').value);
+    const currentTime = hour * 60 + minute;
+
+    console.log('Working hours check:', {
+      timezone,
+      dayName,
+      currentDay,
+      hour,
+      minute,
+      currentTime,
+      workingDays: settings.workingHours.days,
+      workingHours: `${settings.workingHours.start} - ${settings.workingHours.end}`
+    });
+
+    // Check if current day is a working day
+    if (!settings.workingHours.days || !settings.workingHours.days.includes(currentDay)) {
+      console.log('Not a working day');
+      return false;
+    }
+
+    // Check if current time is within working hours
+    const [startHour, startMin] = settings.workingHours.start.split(':').map(Number);
+    const [endHour, endMin] = settings.workingHours.end.split(':').map(Number);
+
+    const startTime = startHour * 60 + startMin;
+    const endTime = endHour * 60 + endMin;
+
+    const isInWorkingHours = currentTime >= startTime && currentTime <= endTime;
+    console.log('Is in working hours:', isInWorkingHours);
+    
+    return isInWorkingHours;
+  } catch (error) {
+    console.error('Error checking working hours:', error);
+    return false;
+  }
+}
+
+function setupHourlyNotifications() {
+  console.log('Setting up hourly notifications...');
+  
+  // Check every minute if we should send a notification or auto-resume
+  setInterval(() => {
+    // Check if we should auto-resume from pause
+    if (settings.paused && settings.pauseUntil) {
+      const pauseUntil = new Date(settings.pauseUntil);
+      if (new Date() >= pauseUntil) {
+        console.log('Auto-resuming tracking - pause period expired');
+        settings.paused = false;
+        settings.pauseUntil = null;
+        saveSettings();
+        updateTrayMenu();
+        if (mainWindow) {
+          mainWindow.webContents.send('tracking-status-changed', { isPaused: settings.paused, isEnabled: settings.enabled });
+        }
+      }
+    }
+    
+    if (!settings.enabled || settings.paused) {
+      return;
+    }
+
+    if (isCurrentlyInWorkingHours()) {
+      const now = new Date();
+      const minutes = now.getMinutes();
       
-      console.log('HTTP response status:', response.status);
-      console.log('HTTP response ok:', response.ok);
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('HTTP server error response:', errorText);
-        throw new Error(`HTTP ${response.status}: ${errorText}`);
+      // Send notification at the top of each hour (when minutes = 0), unless the user is in a focus session
+      if (minutes === 0 && focusSession && focusSession.isActive()) {
+        console.log('Top of the hour - focus session running, no notification');
+      } else if (minutes === 0) {
+        console.log('Top of the hour - sending notification');
+        showProgressDialog();
       }
+    }
+  }, 60000); // Check every minute
+
+  console.log('Hourly notifications set up - checking every minute');
+}
+
+// IPC handlers
+// Sends a progress item to the server, or keeps it in the outbox while the server is unavailable.
+// notify: false leaves telling the user to the caller.
+async function submitProgressData(progressData, { notify = true } = {}) {
+  try {
+    console.log('Progress submitted:', progressData);
+    
+    // Send data to the embedded HTTP server
+    const result = await postProgress(progressData);
+    
+    // Show success notification
+    if (notify && Notification.isSupported()) {
+      const notification = new Notification({
+        title: 'Progress Submitted',
+        body: `Successfully logged ${progressData.hours} hours for ${progressData.project}`,
+        icon: path.join(__dirname, 'assets', 'icon.png')
+      });
+      notification.show();
+    }
+    
+    return { success: true, data: result };
+  } catch (error) {
+    console.error('Error submitting progress:', error);
+    console.error('Error details:', {
+      name: error.name,
+      message: error.message,
+      stack: error.stack
+    });
+
+    // Rejected data won't get better by retrying - report it straight away
+    if (error.permanent || !progressOutbox) {
+      return { success: false, error: error.message, fields: error.fields || null };
+    }
+
+    // Server or storage unavailable - keep the report and retry in the background
+    progressOutbox.enqueue(progressData, error);
+
+    if (notify && Notification.isSupported()) {
+      const notification = new Notification({
+        title: 'Progress Saved Offline',
+        body: `${progressData.hours} hours for ${progressData.project} will be submitted when the server is back`,
+        icon: path.join(__dirname, 'assets', 'icon.png')
+      });
+      notification.show();
+    }
+
+    return { success: true, queued: true, error: error.message };
+  }
+}
+
+function setupIpcHandlers() {
+  ipcMain.handle('get-settings', () => {
+    console.log('Returning settings:', settings);
+    return settings;
+  });
+
+  ipcMain.handle('save-settings', (event, newSettings) => {
+    try {
+      console.log('Received settings to save:', newSettings);
+      console.log('Current settings before save:', settings);
+      
+      const previousServer = { ...settings.server };
+
+      // Merge new settings with existing settings - projects are managed through the project registry
+      const { projects, ...otherSettings } = newSettings;
+      settings = { ...settings, ...otherSettings };
+      syncProjectSettings();
+      
+      console.log('Merged settings:', settings);
       
-      const result = await response.json();
-      console.log('HTTP server response:', result);
+      // Save to file
+      saveSettings();
       
-      // Show success notification
-      if (Notification.isSupported()) {
-        const notification = new Notification({
-          title: 'Progress Submitted',
-          body: `Successfully logged ${progressData.hours} hours for ${progressData.project}`,
-          icon: path.join(__dirname, 'assets', 'icon.png')
-        });
-        notification.show();
+      // Update tray menu to reflect changes
+      updateTrayMenu();
+
+      activityHistory.setRetention(settings.activity?.historyRetentionDays || DEFAULT_RETENTION_DAYS);
+      windowUsage.setRetention(settings.activity?.historyRetentionDays || DEFAULT_RETENTION_DAYS);
+      activityEngine.configure(getActivityOptions());
+      focusSession.configure(getFocusOptions());
+
+      // Move the embedded server if its port, bind address or CORS allowlist changed
+      if (JSON.stringify(settings.server) !== JSON.stringify(previousServer)) {
+        restartHttpServer();
       }
       
-      return { success: true, data: result };
+      console.log('Settings saved successfully');
+      return settings;
     } catch (error) {
-      console.error('Error submitting progress:', error);
-      console.error('Error details:', {
-        name: error.name,
-        message: error.message,
-        stack: error.stack
-      });
+      console.error('Error in save-settings handler:', error);
+      throw error;
+    }
+  });
+
+  // Project registry
+  ipcMain.handle('get-projects', () => {
+    try {
+      return { success: true, projects: projectRegistry.listProjects({ includeArchived: true }) };
+    } catch (error) {
+      console.error('Error loading projects:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('create-project', (event, data) => {
+    return handleProjectChange(() => projectRegistry.createProject(data));
+  });
+
+  ipcMain.handle('update-project', (event, name, changes) => {
+    return handleProjectChange(() => projectRegistry.updateProject(name, changes));
+  });
+
+  ipcMain.handle('delete-project', (event, name) => {
+    return handleProjectChange(() => projectRegistry.deleteProject(name));
+  });
+
+  ipcMain.handle('submit-progress', (event, progressData) => submitProgressData(progressData));
+
+  // Outbox management
+  ipcMain.handle('get-outbox', () => {
+    return progressOutbox ? progressOutbox.getSummary() : { pending: 0, failed: 0, entries: [] };
+  });
+
+  ipcMain.handle('retry-outbox', async (event, id = null) => {
+    try {
+      const summary = await progressOutbox.retry(id);
+      return { success: true, ...summary };
+    } catch (error) {
+      console.error('Error retrying outbox:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('discard-outbox-item', (event, id) => {
+    try {
+      const summary = progressOutbox.discard(id);
+      return { success: true, ...summary };
+    } catch (error) {
+      console.error('Error discarding outbox item:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Timers - every change is pushed to the renderer through 'timers-updated'
+  ipcMain.handle('get-timers', () => {
+    return timerManager ? timerManager.getTimers() : [];
+  });
+
+  ipcMain.handle('start-timer', (event, options) => {
+    // Checked at start, so time isn't tracked against a project the stopped timer couldn't be logged to
+    return handleTimerChange(() => timerManager.start({
+      ...options,
+      project: projectRegistry.requireActiveProject(options?.project)
+    }));
+  });
+
+  ipcMain.handle('pause-timer', (event, id) => {
+    return handleTimerChange(() => timerManager.pause(id));
+  });
+
+  ipcMain.handle('resume-timer', (event, id) => {
+    return handleTimerChange(() => timerManager.resume(id));
+  });
+
+  ipcMain.handle('stop-timer', (event, id) => {
+    try {
+      const { timer, progressData } = timerManager.stop(id);
+      return { success: true, timer, progressData, timers: timerManager.getTimers() };
+    } catch (error) {
+      console.error('Error stopping timer:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('discard-timer', (event, id) => {
+    return handleTimerChange(() => timerManager.discard(id));
+  });
+
+  // Focus mode
+  ipcMain.handle('get-focus-session', () => {
+    return focusSession.getState();
+  });
+
+  ipcMain.handle('start-focus', (event, options) => {
+    try {
+      // Checked now rather than when the first pomodoro is logged, so no focus time is lost to a rejected project
+      const project = projectRegistry.requireActiveProject(options?.project);
+      return { success: true, focus: focusSession.start({ ...options, project }) };
+    } catch (error) {
+      console.error('Error starting focus session:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('stop-focus', () => {
+    return { success: true, focus: focusSession.stop() };
+  });
+
+  // Project rules - first match wins, see project-rules.js
+  ipcMain.handle('get-project-rules', () => {
+    return { success: true, rules: projectRules.listRules() };
+  });
+
+  ipcMain.handle('create-project-rule', (event, data) => {
+    return handleProjectRuleChange(() => projectRules.createRule({
+      ...data,
+      project: projectRegistry.requireActiveProject(data.project)
+    }));
+  });
+
+  ipcMain.handle('update-project-rule', (event, id, changes) => {
+    return handleProjectRuleChange(() => projectRules.updateRule(id, changes.project === undefined
+      ? changes
+      : { ...changes, project: projectRegistry.requireActiveProject(changes.project) }));
+  });
+
+  ipcMain.handle('delete-project-rule', (event, id) => {
+    return handleProjectRuleChange(() => projectRules.deleteRule(id));
+  });
+
+  ipcMain.handle('move-project-rule', (event, id, offset) => {
+    return handleProjectRuleChange(() => projectRules.moveRule(id, offset));
+  });
+
+  // Today's active time per project, from the rules above
+  ipcMain.handle('get-project-time', () => {
+    try {
+      return { success: true, usage: getWindowUsage() };
+    } catch (error) {
+      console.error('Error getting project time:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Activity history for a { from, to } range of YYYY-MM-DD dates (default today)
+  ipcMain.handle('get-activity-history', (event, range = {}) => {
+    try {
+      return { success: true, days: activityHistory.getDays(range) };
+    } catch (error) {
+      console.error('Error getting activity history:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Insights for an ISO week (YYYY-Www, default this week) from activity history and logged progress
+  ipcMain.handle('get-weekly-insights', async (event, isoWeek = null) => {
+    try {
+      return { success: true, insights: await getWeeklyInsights(isoWeek || getIsoWeek(new Date())) };
+    } catch (error) {
+      console.error('Error getting weekly insights:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Time per app and window title for a day (YYYY-MM-DD, default today), largest first
+  ipcMain.handle('get-app-usage', (event, date = null) => {
+    try {
+      const usage = getWindowUsage(date || new Date());
+      const apps = summarizeApps(usage);
+      return {
+        success: true,
+        usage: {
+          date: usage.date,
+          activeTime: apps.reduce((total, entry) => total + entry.time, 0),
+          apps
+        },
+        days: windowUsage.listDays()
+      };
+    } catch (error) {
+      console.error('Error getting app usage:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Draft for the progress form, built from the last hour of window activity
+  ipcMain.handle('get-progress-suggestion', () => {
+    try {
+      return { success: true, suggestion: getProgressSuggestion() };
+    } catch (error) {
+      console.error('Error building progress suggestion:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('take-stopped-timer', () => {
+    const result = pendingStoppedTimer;
+    pendingStoppedTimer = null;
+    return result;
+  });
+
+  // Time away to ask about
+  ipcMain.handle('take-away-time', () => {
+    const period = pendingAwayTime;
+    pendingAwayTime = null;
+    return period;
+  });
+
+  ipcMain.handle('resolve-away-time', async (event, resolution) => {
+    try {
+      return { success: true, ...(await resolveAwayTime(resolution)) };
+    } catch (error) {
+      console.error('Error resolving time away:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Mirror renderer to-dos to disk so the MCP server can list them
+  ipcMain.handle('sync-todos', (event, todos) => {
+    try {
+      writeTodos(app.getPath('userData'), todos);
+      return { success: true };
+    } catch (error) {
+      console.error('Error syncing todos:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Mirror the planner's current plan to disk for the plan://current MCP resource
+  ipcMain.handle('sync-current-plan', (event, plan) => {
+    try {
+      writeCurrentPlan(app.getPath('userData'), plan);
+      return { success: true };
+    } catch (error) {
+      console.error('Error syncing current plan:', error);
       return { success: false, error: error.message };
     }
   });
@@ -797,13 +1513,57 @@ function setupIpcHandlers() {
   ipcMain.handle('test-server-connection', async () => {
     try {
       // Test connection to MCP server
-      const response = await fetch(`${settings.mcpServer.url}/health`);
+      const response = await serverFetch('/health');
       return { success: response.ok, status: response.status };
     } catch (error) {
       return { success: false, error: error.message };
     }
   });
 
+  // AI planning goes through the main process, which holds the API token
+  ipcMain.handle('generate-plan', async (event, request) => {
+    try {
+      const response = await serverFetch('/generate-plan', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(request)
+      });
+
+      const data = await readJson(response);
+      if (!response.ok) {
+        throw serverError(response, data);
+      }
+
+      return { success: true, plan: data.plan };
+    } catch (error) {
+      console.error('Error generating plan:', error);
+      return { success: false, error: error.message, fields: error.fields || null };
+    }
+  });
+
+  // API token for the HTTP and MCP endpoints
+  ipcMain.handle('get-api-token', () => {
+    try {
+      return { success: true, token: ensureApiToken(app.getPath('userData')) };
+    } catch (error) {
+      console.error('Error reading API token:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('rotate-api-token', () => {
+    try {
+      const token = rotateApiToken(app.getPath('userData'));
+      console.log('API token rotated');
+      return { success: true, token };
+    } catch (error) {
+      console.error('Error rotating API token:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   ipcMain.handle('test-notification', () => {
     console.log('Testing notification...');
     showProgressDialog();
@@ -815,25 +1575,16 @@ function setupIpcHandlers() {
     return serverStatus;
   });
 
+  ipcMain.handle('get-server-url', () => {
+    return getServerUrl();
+  });
+
   // Progress items management
-  ipcMain.handle('get-progress-items', async () => {
+  ipcMain.handle('get-progress-items', async (event, query = {}) => {
     try {
-      const url = `${settings.mcpServer.url}/progress-report`;
       console.log('Fetching progress items from HTTP server...');
-      console.log('Settings:', JSON.stringify(settings, null, 2));
-      console.log('Fetch URL:', url);
-      
-      const response = await fetch(url);
-      console.log('Response status:', response.status);
-      console.log('Response ok:', response.ok);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
+      const data = await fetchProgressReport(query);
       console.log('Progress items fetched:', data.rawItems?.length || 0, 'items');
-      console.log('First item sample:', data.rawItems?.[0]);
       
       return data.rawItems || [];
     } catch (error) {
@@ -847,105 +1598,77 @@ function setupIpcHandlers() {
     }
   });
 
+  // Paged variant for the Progress tab: { success, items, nextCursor }
+  ipcMain.handle('query-progress-items', async (event, query = {}) => {
+    try {
+      const data = await fetchProgressReport(query);
+      return { success: true, items: data.rawItems || [], nextCursor: data.nextCursor || null };
+    } catch (error) {
+      console.error('Error querying progress items:', error);
+      return { success: false, error: error.message, items: [], nextCursor: null };
+    }
+  });
+
   ipcMain.handle('update-progress-item', async (event, item) => {
     try {
       console.log('Updating progress item:', item);
-      
-      // For now, we'll just return success as Airtable doesn't have a direct update API
-      // In a real implementation, you'd need to implement update functionality in your HTTP server
-      console.warn('Update functionality not yet implemented in HTTP server');
-      
-      return { 
-        success: false, 
-        error: 'Update functionality not yet implemented. Please delete and recreate the item instead.' 
-      };
+
+      const { id, ...changes } = item;
+      const response = await serverFetch(`/progress/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(changes)
+      });
+
+      const result = await readJson(response);
+      if (!response.ok) {
+        throw serverError(response, result);
+      }
+
+      return { success: true, item: result.item };
     } catch (error) {
       console.error('Error updating progress item:', error);
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, fields: error.fields || null };
     }
   });
 
   ipcMain.handle('delete-progress-item', async (event, id) => {
     try {
       console.log('Deleting progress item:', id);
-      
-      // For now, we'll just return success as Airtable doesn't have a direct delete API
-      // In a real implementation, you'd need to implement delete functionality in your HTTP server
-      console.warn('Delete functionality not yet implemented in HTTP server');
-      
-      return { 
-        success: false, 
-        error: 'Delete functionality not yet implemented. You can delete items directly in Airtable.' 
-      };
+
+      const response = await serverFetch(`/progress/${encodeURIComponent(id)}`, {
+        method: 'DELETE'
+      });
+
+      const result = await readJson(response);
+      if (!response.ok) {
+        throw serverError(response, result);
+      }
+
+      return { success: true, item: result.item };
     } catch (error) {
       console.error('Error deleting progress item:', error);
       return { success: false, error: error.message };
     }
   });
 
-  // Activity monitoring handlers
-  ipcMain.handle('start-activity-monitoring', () => {
-    startActivityMonitoring();
-    return { success: true };
-  });
-
-  ipcMain.handle('stop-activity-monitoring', () => {
-    stopActivityMonitoring();
-    return { success: true };
-  });
-
-  ipcMain.handle('get-activity-stats', () => {
-    return getActivityStats();
-  });
-
-  ipcMain.handle('reset-activity-stats', () => {
-    resetDailyStats();
-    return { success: true };
-  });
-
-  // Native activity monitoring handlers
-  ipcMain.handle('get-native-activity-stats', async () => {
+  // Today's activity, input counters and what the native monitor can do - the one stats API for the renderer
+  ipcMain.handle('get-activity-stats', async () => {
     try {
-      if (!nativeActivityMonitor) {
-        return {
-          error: 'Native activity monitor not initialized',
-          permissions: {
-            hasPermissions: false,
-            fallbackMode: true,
-            message: 'Using fallback activity tracking. Native libraries not available.'
-          }
-        };
-      }
-
-      const permissions = await nativeActivityMonitor.checkPermissions();
-      const stats = nativeActivityMonitor.getStats();
-      
       return {
-        isMonitoring: nativeActivityMonitor.isActive,
-        lastActivity: nativeActivityMonitor.lastActivity,
-        stats: stats,
-        permissions: {
-          hasPermissions: permissions.overall !== 'none',
-          fallbackMode: permissions.overall === 'none',
-          message: permissions.overall === 'none' 
-            ? 'System permissions required for advanced activity tracking'
-            : `Active with ${permissions.overall} permissions`,
-          details: permissions
-        }
+        success: true,
+        stats: activityEngine.getStats(),
+        permissions: await activityEngine.getPermissions()
       };
     } catch (error) {
-      console.error('Error getting native activity stats:', error);
-      return {
-        error: error.message,
-        permissions: {
-          hasPermissions: false,
-          fallbackMode: true,
-          message: 'Error accessing native activity tracking'
-        }
-      };
+      console.error('Error getting activity stats:', error);
+      return { success: false, error: error.message };
     }
   });
 
+  // Native activity monitoring handlers
   ipcMain.handle('test-native-activity', async () => {
     try {
       if (!nativeActivityMonitor) {
@@ -1036,6 +1759,10 @@ function ensureEnvFile() {
 // App event handlers
 app.whenReady().then(async () => {
   loadSettings();
+  setupProjectRegistry();
+  setupProjectRules();
+  setupActivityHistory();
+  setupActivityEngine();
   ensureEnvFile(); // Ensure .env file is available
   createWindow();
   
@@ -1044,6 +1771,10 @@ app.whenReady().then(async () => {
     createTray();
   }
   
+  setupProgressOutbox();
+  setupTimers();
+  setupFocusSession();
+  updateTrayMenu();
   setupIpcHandlers();
   startMcpServer();
 
@@ -1056,63 +1787,61 @@ app.whenReady().then(async () => {
   // Set up hourly notifications
   setupHourlyNotifications();
 
-  // Start activity monitoring
-  startActivityMonitoring();
-
   // Initialize native activity monitor after a delay to prevent immediate permission requests
   setTimeout(async () => {
     try {
       console.log('Initializing native activity monitor...');
       nativeActivityMonitor = new HybridActivityMonitor({
-        idleThreshold: 60000, // 1 minute
         checkInterval: 5000,  // 5 seconds
         trackMouse: true,
-        trackKeyboard: true
+        trackKeyboard: true,
+        resolveProject: (window) => resolveWindowProject(window),
+        getSystemIdleTime: () => powerMonitor.getSystemIdleTime()
       });
 
-    // Set up event listeners
-    nativeActivityMonitor.on('activity-changed', (data) => {
-      console.log('Native activity changed:', data);
-      if (mainWindow && mainWindow.webContents) {
-        // Send both the native activity event and the activity status change
-        mainWindow.webContents.send('native-activity-changed', data);
-        mainWindow.webContents.send('activity-status-changed', data);
-      }
-    });
+      // Idle detection takes over from the window focus fallback once the monitor has started;
+      // the engine also hands it the idle threshold and jitter setting
+      activityEngine.attachMonitor(nativeActivityMonitor);
 
-    nativeActivityMonitor.on('libraries-loaded', (libraries) => {
-      console.log('Native activity libraries loaded:', libraries);
-    });
+      nativeActivityMonitor.on('libraries-loaded', (libraries) => {
+        console.log('Native activity libraries loaded:', libraries);
+      });
 
-    nativeActivityMonitor.on('error', (error) => {
-      console.error('Native activity monitor error:', error);
-    });
+      nativeActivityMonitor.on('error', (error) => {
+        console.error('Native activity monitor error:', error);
+      });
 
-    // Listen for mouse, keyboard, and window activity for real-time updates
-    nativeActivityMonitor.on('mouse-activity', (data) => {
-      if (mainWindow && mainWindow.webContents) {
-        mainWindow.webContents.send('native-activity', { type: 'mouse', ...data });
-      }
-    });
+      // Listen for mouse, keyboard, and window activity for real-time updates
+      nativeActivityMonitor.on('mouse-activity', (data) => {
+        if (mainWindow && mainWindow.webContents) {
+          mainWindow.webContents.send('native-activity', { type: 'mouse', ...data });
+        }
+      });
 
-    nativeActivityMonitor.on('keyboard-activity', (data) => {
-      if (mainWindow && mainWindow.webContents) {
-        mainWindow.webContents.send('native-activity', { type: 'keyboard', ...data });
-      }
-    });
+      nativeActivityMonitor.on('keyboard-activity', (data) => {
+        if (mainWindow && mainWindow.webContents) {
+          mainWindow.webContents.send('native-activity', { type: 'keyboard', ...data });
+        }
+      });
 
-    nativeActivityMonitor.on('window-changed', (data) => {
-      if (mainWindow && mainWindow.webContents) {
-        mainWindow.webContents.send('native-activity', { type: 'window', ...data });
-      }
-    });
+      nativeActivityMonitor.on('window-changed', (data) => {
+        windowActivityLog.recordWindow({
+          appName: data.appName,
+          title: data.window?.title,
+          url: data.window?.url,
+          project: data.project
+        });
+        if (mainWindow && mainWindow.webContents) {
+          mainWindow.webContents.send('native-activity', { type: 'window', ...data });
+        }
+      });
 
       // Start the native monitor
       await nativeActivityMonitor.start();
       console.log('Native activity monitor started successfully');
     } catch (error) {
       console.error('Failed to initialize native activity monitor:', error);
-      console.log('Continuing with basic activity monitoring only');
+      console.log('Continuing with window focus activity tracking only');
     }
   }, 3000); // 3 second delay to allow app to fully initialize
 
@@ -1136,6 +1865,11 @@ app.on('window-all-closed', () => {
 app.on('before-quit', async () => {
   app.isQuiting = true;
   
+  // A pomodoro cut short by quitting isn't logged; stopped before the tray goes, which it updates
+  if (focusSession) {
+    focusSession.stop();
+  }
+  
   // Clean up tray icon
   if (tray) {
     console.log('Destroying tray icon');
@@ -1143,6 +1877,40 @@ app.on('before-quit', async () => {
     tray = null;
   }
   
+  // Stop outbox retries - pending entries stay on disk for the next launch
+  if (progressOutbox) {
+    progressOutbox.stop();
+  }
+  
+  // No more state changes once the logs below are closed
+  if (activityEngine) {
+    activityEngine.stop();
+  }
+  
+  // Save the window usage collected since the last flush
+  if (windowUsageInterval) {
+    clearInterval(windowUsageInterval);
+    windowUsageInterval = null;
+  }
+  if (windowUsage) {
+    windowActivityLog.pause(); // Ends the open interval so its time is saved too
+    windowUsage.flush();
+  }
+  if (activityHistoryInterval) {
+    clearInterval(activityHistoryInterval);
+    activityHistoryInterval = null;
+  }
+  if (activityHistory) {
+    activityHistory.recordState(null); // The time until the next launch stays "no data"
+    activityHistory.flush();
+  }
+  
+  // Running timers are already saved and keep counting from their start on the next launch
+  if (trayTimerInterval) {
+    clearInterval(trayTimerInterval);
+    trayTimerInterval = null;
+  }
+  
   // Clean up native activity monitor
   if (nativeActivityMonitor) {
     console.log('Stopping native activity monitor...');
@@ -0,0 +1,125 @@
+// MCP HTTP transports for MCP Progress Tracker
+// Mounts Streamable HTTP (current spec) and legacy SSE endpoints on an Express app.
+// Every client session gets its own McpServer from createServer().
+
+import { randomUUID } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+// Active transports, keyed by MCP session id
+const streamableTransports = new Map();
+const sseTransports = new Map();
+
+function sendJsonRpcError(res, status, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null
+  });
+}
+
+export function mountMcpEndpoints(app, createServer, log = console.log) {
+  // Streamable HTTP: POST carries client messages, GET opens the server-to-client stream, DELETE ends the session
+  app.post('/mcp', async (req, res) => {
+    try {
+      const sessionId = req.headers['mcp-session-id'];
+      let transport = sessionId ? streamableTransports.get(sessionId) : null;
+
+      if (!transport) {
+        if (sessionId || !isInitializeRequest(req.body)) {
+          return sendJsonRpcError(res, 400, 'Bad Request: No valid session ID provided');
+        }
+
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (newSessionId) => {
+            streamableTransports.set(newSessionId, transport);
+            log(`MCP session started: ${newSessionId}`);
+          }
+        });
+
+        const server = createServer();
+        // connect() takes over transport.onclose, so listen on the server instead
+        server.server.onclose = () => {
+          if (transport.sessionId) {
+            streamableTransports.delete(transport.sessionId);
+            log(`MCP session closed: ${transport.sessionId}`);
+          }
+        };
+
+        await server.connect(transport);
+      }
+
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      log(`Error handling MCP request: ${error.message}`);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, 'Internal server error');
+      }
+    }
+  });
+
+  const handleSessionRequest = async (req, res) => {
+    const transport = streamableTransports.get(req.headers['mcp-session-id']);
+    if (!transport) {
+      return sendJsonRpcError(res, 400, 'Bad Request: No valid session ID provided');
+    }
+
+    try {
+      await transport.handleRequest(req, res);
+    } catch (error) {
+      log(`Error handling MCP session request: ${error.message}`);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, 'Internal server error');
+      }
+    }
+  };
+
+  app.get('/mcp', handleSessionRequest);
+  app.delete('/mcp', handleSessionRequest);
+
+  // Legacy HTTP+SSE transport (protocol version 2024-11-05) for older clients
+  app.get('/mcp/sse', async (req, res) => {
+    try {
+      const transport = new SSEServerTransport('/mcp/messages', res);
+      sseTransports.set(transport.sessionId, transport);
+      log(`MCP SSE session started: ${transport.sessionId}`);
+
+      res.on('close', () => {
+        sseTransports.delete(transport.sessionId);
+        log(`MCP SSE session closed: ${transport.sessionId}`);
+      });
+
+      await createServer().connect(transport);
+    } catch (error) {
+      log(`Error opening MCP SSE stream: ${error.message}`);
+      if (!res.headersSent) {
+        res.status(500).end();
+      }
+    }
+  });
+
+  app.post('/mcp/messages', async (req, res) => {
+    const transport = sseTransports.get(req.query.sessionId);
+    if (!transport) {
+      return res.status(400).json({ error: 'No SSE session found for sessionId' });
+    }
+
+    try {
+      await transport.handlePostMessage(req, res, req.body);
+    } catch (error) {
+      log(`Error handling MCP SSE message: ${error.message}`);
+      if (!res.headersSent) {
+        res.status(500).end();
+      }
+    }
+  });
+}
+
+export async function closeMcpSessions() {
+  const transports = [...streamableTransports.values(), ...sseTransports.values()];
+  streamableTransports.clear();
+  sseTransports.clear();
+  await Promise.allSettled(transports.map(transport => transport.close()));
+}
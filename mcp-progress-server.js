@@ -0,0 +1,406 @@
+// MCP server definition for MCP Progress Tracker
+// Builds an McpServer with the progress tools, resources and prompts; the caller attaches the transport
+
+import fs from 'node:fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { z } from 'zod';
+import { generateAIPlan } from './ai-planner.js';
+import { formatLocalDate, startOfDay, endOfDay, getIsoWeek, getIsoWeekRange, isValidIsoWeek, parseRangeStart, parseRangeEnd } from './date-utils.js';
+import { MAX_PAGE_SIZE } from './progress-query.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function getPackageVersion() {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8'));
+    return pkg.version;
+  } catch (error) {
+    return '0.0.0';
+  }
+}
+
+const isoDate = z.string().refine(value => !isNaN(Date.parse(value)), {
+  message: 'Must be an ISO date (YYYY-MM-DD) or date-time'
+});
+
+function jsonResult(data) {
+  return {
+    content: [{ type: 'text', text: JSON.stringify(data, null, 2) }]
+  };
+}
+
+function errorResult(message) {
+  return {
+    content: [{ type: 'text', text: message }],
+    isError: true
+  };
+}
+
+function jsonResource(uri, data) {
+  return {
+    contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }]
+  };
+}
+
+function sumHours(items) {
+  const total = items.reduce((sum, item) => sum + (parseFloat(item.hours) || 0), 0);
+  return Math.round(total * 100) / 100;
+}
+
+function hoursByProject(items) {
+  const totals = {};
+  items.forEach(item => {
+    const project = item.project || 'Unknown';
+    totals[project] = Math.round(((totals[project] || 0) + (parseFloat(item.hours) || 0)) * 100) / 100;
+  });
+  return totals;
+}
+
+async function getProgressBetween(storage, start, end) {
+  const { items } = await storage.queryItems({ from: start, to: end, sort: 'date' });
+  return items;
+}
+
+async function getWeekReport(storage, isoWeek) {
+  const { start, end } = getIsoWeekRange(isoWeek);
+  const items = await getProgressBetween(storage, start, end);
+  return {
+    week: isoWeek,
+    from: formatLocalDate(start),
+    to: formatLocalDate(end),
+    totalHours: sumHours(items),
+    hoursByProject: hoursByProject(items),
+    items
+  };
+}
+
+function formatItemsForPrompt(items) {
+  if (items.length === 0) {
+    return '(nothing logged)';
+  }
+  return items
+    .map(item => `- ${formatLocalDate(item.date)} [${item.project}] ${item.hours}h: ${item.description}`)
+    .join('\n');
+}
+
+// Most recent working day before today, so Monday standups look back at Friday
+function getPreviousWorkingDay(date, workingDays = [1, 2, 3, 4, 5]) {
+  const previous = startOfDay(date);
+  for (let i = 0; i < 7; i++) {
+    previous.setDate(previous.getDate() - 1);
+    if (workingDays.includes(previous.getDay())) {
+      return previous;
+    }
+  }
+  return previous;
+}
+
+export function createProgressMcpServer(context) {
+  const server = new McpServer({
+    name: 'mcp-progress-tracker',
+    version: getPackageVersion()
+  });
+
+  registerProgressTools(server, context);
+  registerProgressResources(server, context);
+  registerProgressPrompts(server, context);
+
+  return server;
+}
+
+function registerProgressTools(server, { storage, projects, getTodos, saveCurrentPlan, anthropicApiKey, log = console.error }) {
+  server.tool(
+    'add_progress',
+    'Log a progress item (hours worked on a project, with a short description)',
+    {
+      hours: z.number().positive().max(24).describe('Hours spent, e.g. 1.5'),
+      description: z.string().trim().min(1).describe('What was done'),
+      project: z.string().optional().describe('Project name from list_projects, defaults to GGSA'),
+      date: isoDate.optional().describe('When the work happened, defaults to now')
+    },
+    async ({ hours, description, project = 'GGSA', date }) => {
+      try {
+        const item = {
+          hours,
+          description,
+          date: date ? new Date(date) : new Date(),
+          project: projects.requireActiveProject(project)
+        };
+
+        const saved = await storage.createItem(item);
+
+        return jsonResult({
+          success: true,
+          id: saved.id,
+          message: `Progress item added: ${hours}h - ${description} (${project})`
+        });
+      } catch (error) {
+        log(`add_progress failed: ${error.message}`);
+        return errorResult(`Failed to add progress: ${error.message}`);
+      }
+    }
+  );
+
+  server.tool(
+    'list_projects',
+    'List the projects progress can be logged against, with their client and billing details',
+    {
+      includeArchived: z.boolean().optional().describe('Also list archived projects')
+    },
+    async ({ includeArchived = false }) => {
+      try {
+        return jsonResult({ projects: projects.listProjects({ includeArchived }) });
+      } catch (error) {
+        log(`list_projects failed: ${error.message}`);
+        return errorResult(`Failed to list projects: ${error.message}`);
+      }
+    }
+  );
+
+  server.tool(
+    'list_progress',
+    'List logged progress items, most recent first, optionally filtered by date range and project. Returns one page; pass nextCursor back as cursor for the next one',
+    {
+      from: isoDate.optional().describe('Earliest date to include (inclusive)'),
+      to: isoDate.optional().describe('Latest date to include (inclusive)'),
+      project: z.string().optional().describe('Only include this project'),
+      limit: z.number().int().positive().max(MAX_PAGE_SIZE).optional().describe('Maximum number of items, defaults to 50'),
+      cursor: z.string().optional().describe('nextCursor from the previous page')
+    },
+    async ({ from, to, project, limit = 50, cursor }) => {
+      try {
+        // The backend pages, so only this page is read
+        const { items, nextCursor } = await storage.queryItems({
+          from: from ? parseRangeStart(from) : undefined,
+          to: to ? parseRangeEnd(to) : undefined,
+          project,
+          sort: '-date',
+          limit,
+          cursor
+        });
+
+        return jsonResult({
+          pageItems: items.length,
+          pageHours: sumHours(items),
+          items,
+          nextCursor
+        });
+      } catch (error) {
+        log(`list_progress failed: ${error.message}`);
+        return errorResult(`Failed to list progress: ${error.message}`);
+      }
+    }
+  );
+
+  server.tool(
+    'generate_plan',
+    'Generate an AI weekly work plan for a project from a set of goals',
+    {
+      project: z.string().min(1).describe('Project name'),
+      goals: z.string().min(1).describe('What should be achieved this week'),
+      workPattern: z.number().positive().max(24).describe('Hours per working day'),
+      workingDays: z.array(z.number().int().min(1).max(7)).min(1)
+        .describe('Working days, 1 = Monday ... 7 = Sunday')
+    },
+    async ({ project, goals, workPattern, workingDays }) => {
+      if (!anthropicApiKey) {
+        return errorResult('ANTHROPIC_API_KEY environment variable not set');
+      }
+
+      try {
+        const plan = await generateAIPlan(project, goals, workPattern, workingDays, anthropicApiKey, log);
+        if (saveCurrentPlan) {
+          saveCurrentPlan(plan);
+        }
+        return jsonResult(plan);
+      } catch (error) {
+        log(`generate_plan failed: ${error.message}`);
+        return errorResult(error.message);
+      }
+    }
+  );
+
+  server.tool(
+    'list_todos',
+    'List to-dos from the desktop app, optionally filtered by project, date and status',
+    {
+      project: z.string().optional().describe('Only include this project'),
+      date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().describe('Only include to-dos planned for this day (YYYY-MM-DD)'),
+      status: z.enum(['pending', 'completed', 'all']).optional().describe('Defaults to pending')
+    },
+    async ({ project, date, status = 'pending' }) => {
+      try {
+        const todos = getTodos()
+          .filter(todo => !project || todo.project === project)
+          .filter(todo => !date || todo.date === date)
+          .filter(todo => status === 'all' || (status === 'completed' ? todo.completed : !todo.completed));
+
+        return jsonResult({
+          totalTodos: todos.length,
+          todos
+        });
+      } catch (error) {
+        log(`list_todos failed: ${error.message}`);
+        return errorResult(`Failed to list to-dos: ${error.message}`);
+      }
+    }
+  );
+}
+
+function registerProgressResources(server, { storage, getCurrentPlan, getActivityStats }) {
+  server.resource(
+    'progress-today',
+    'progress://today',
+    { description: 'Progress items logged today, with total hours', mimeType: 'application/json' },
+    async (uri) => {
+      const now = new Date();
+      const items = await getProgressBetween(storage, startOfDay(now), endOfDay(now));
+      return jsonResource(uri.href, {
+        date: formatLocalDate(now),
+        totalHours: sumHours(items),
+        hoursByProject: hoursByProject(items),
+        items
+      });
+    }
+  );
+
+  server.resource(
+    'progress-week',
+    new ResourceTemplate('progress://week/{isoWeek}', {
+      // Advertise the current week and the three before it
+      list: async () => {
+        const resources = [];
+        for (let weeksAgo = 0; weeksAgo < 4; weeksAgo++) {
+          const date = new Date();
+          date.setDate(date.getDate() - weeksAgo * 7);
+          const isoWeek = getIsoWeek(date);
+          resources.push({
+            uri: `progress://week/${isoWeek}`,
+            name: weeksAgo === 0 ? `This week (${isoWeek})` : `Week ${isoWeek}`,
+            mimeType: 'application/json'
+          });
+        }
+        return { resources };
+      }
+    }),
+    { description: 'Progress items for an ISO week (e.g. progress://week/2025-W25)', mimeType: 'application/json' },
+    async (uri, { isoWeek }) => {
+      if (!isValidIsoWeek(isoWeek)) {
+        throw new Error(`Invalid ISO week: ${isoWeek} (expected YYYY-Www)`);
+      }
+      return jsonResource(uri.href, await getWeekReport(storage, isoWeek));
+    }
+  );
+
+  server.resource(
+    'plan-current',
+    'plan://current',
+    { description: 'The most recently generated weekly plan', mimeType: 'application/json' },
+    async (uri) => jsonResource(uri.href, { plan: getCurrentPlan ? getCurrentPlan() : null })
+  );
+
+  server.resource(
+    'activity-today',
+    'activity://today',
+    { description: 'Active and idle time tracked by the desktop app today (seconds)', mimeType: 'application/json' },
+    async (uri) => jsonResource(uri.href, getActivityStats ? getActivityStats() : null)
+  );
+}
+
+function registerProgressPrompts(server, { storage, getTodos, getActivityStats }) {
+  server.prompt(
+    'draft_standup',
+    'Draft my standup from yesterday\'s progress, today\'s to-dos and tracked activity',
+    {
+      project: z.string().optional().describe('Only include this project')
+    },
+    async ({ project }) => {
+      const now = new Date();
+      const previousDay = getPreviousWorkingDay(now);
+      const byProject = item => !project || item.project === project;
+
+      const items = (await getProgressBetween(storage, previousDay, endOfDay(now))).filter(byProject);
+      const previousItems = items.filter(item => item.date < startOfDay(now));
+      const todayItems = items.filter(item => item.date >= startOfDay(now));
+
+      const today = formatLocalDate(now);
+      const todos = getTodos()
+        .filter(todo => !todo.completed && todo.date <= today)
+        .filter(byProject);
+      const todoLines = todos.length > 0
+        ? todos.map(todo => `- [${todo.project}] ${todo.hours}h: ${todo.description}${todo.date < today ? ` (planned ${todo.date})` : ''}`).join('\n')
+        : '(no open to-dos)';
+
+      const activity = getActivityStats ? getActivityStats() : null;
+      const activityLine = activity
+        ? `${Math.round(activity.activeTime / 60)} minutes active so far today`
+        : 'not available';
+
+      return {
+        description: 'Standup draft',
+        messages: [{
+          role: 'user',
+          content: {
+            type: 'text',
+            text: `Draft a short standup update for me in three sections: Yesterday, Today, Blockers.
+Keep it to a few bullet points per section, in the first person, and group related items.
+If nothing points to a blocker, write "None".
+
+Logged on ${formatLocalDate(previousDay)}:
+${formatItemsForPrompt(previousItems)}
+
+Logged so far today (${today}):
+${formatItemsForPrompt(todayItems)}
+
+Open to-dos for today:
+${todoLines}
+
+Tracked activity: ${activityLine}`
+          }
+        }]
+      };
+    }
+  );
+
+  server.prompt(
+    'summarize_week',
+    'Summarize a week of logged progress, per project',
+    {
+      isoWeek: z.string().optional().describe('ISO week such as 2025-W25, defaults to the current week')
+    },
+    async ({ isoWeek }) => {
+      const week = isoWeek || getIsoWeek(new Date());
+      if (!isValidIsoWeek(week)) {
+        throw new Error(`Invalid ISO week: ${week} (expected YYYY-Www)`);
+      }
+
+      const report = await getWeekReport(storage, week);
+      const projectLines = Object.entries(report.hoursByProject)
+        .map(([name, hours]) => `- ${name}: ${hours}h`)
+        .join('\n') || '(nothing logged)';
+
+      return {
+        description: `Summary of ${week}`,
+        messages: [{
+          role: 'user',
+          content: {
+            type: 'text',
+            text: `Summarize my week ${week} (${report.from} to ${report.to}).
+Start with the total hours and the split per project, then list the main accomplishments per project,
+and finish with anything that looks unfinished or worth following up next week.
+
+Total: ${report.totalHours}h
+Hours per project:
+${projectLines}
+
+Progress items:
+${formatItemsForPrompt(report.items)}`
+          }
+        }]
+      };
+    }
+  );
+}
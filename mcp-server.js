@@ -1,7 +1,46 @@
 #!/usr/bin/env node
 
-// This is a placeholder MCP server file
-// The actual MCP server functionality is handled by embedded-http-server.js
- 
-console.log('MCP Server placeholder - functionality is handled by embedded-http-server.js');
-process.exit(0); 
\ No newline at end of file
+// Stdio MCP server for MCP Progress Tracker
+// Lets MCP clients (Claude Desktop, IDE assistants) log and read progress without the desktop UI.
+// stdout carries the MCP protocol, so all logging goes to stderr.
+
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { createProgressStore } from './progress-store.js';
+import { createProgressMcpServer } from './mcp-progress-server.js';
+import { readTodos } from './todos-store.js';
+import { createProjectRegistry } from './project-registry.js';
+import { readCurrentPlan, writeCurrentPlan } from './plan-store.js';
+import { readTodayActivityStats } from './activity-stats-store.js';
+import { resolveDataDir, loadEnvVars } from './standalone-env.js';
+
+function log(message) {
+  console.error(`[${new Date().toISOString()}] ${message}`);
+}
+
+async function main() {
+  const dataDir = resolveDataDir();
+  log(`Using data directory: ${dataDir}`);
+  loadEnvVars(dataDir, log);
+
+  const storage = createProgressStore({ dataDir, log });
+  const projects = createProjectRegistry({ dataDir, log });
+
+  const server = createProgressMcpServer({
+    storage,
+    projects,
+    getTodos: () => readTodos(dataDir),
+    getCurrentPlan: () => readCurrentPlan(dataDir),
+    saveCurrentPlan: (plan) => writeCurrentPlan(dataDir, plan),
+    getActivityStats: () => readTodayActivityStats(dataDir),
+    anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+    log
+  });
+
+  await server.connect(new StdioServerTransport());
+  log('MCP Progress stdio server running');
+}
+
+main().catch((error) => {
+  log(`Failed to start MCP stdio server: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,31 @@
+// Weekly plan persistence for MCP Progress Tracker
+// Keeps the most recently generated plan in userData so MCP clients can read it as plan://current
+
+import fs from 'node:fs';
+import path from 'path';
+
+export function getPlanPath(dataDir) {
+  return path.join(dataDir, 'current-plan.json');
+}
+
+export function readCurrentPlan(dataDir) {
+  const planPath = getPlanPath(dataDir);
+  try {
+    if (fs.existsSync(planPath)) {
+      const data = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+      return data.plan || null;
+    }
+  } catch (error) {
+    console.error('Error reading current plan:', error);
+  }
+  return null;
+}
+
+export function writeCurrentPlan(dataDir, plan) {
+  const planPath = getPlanPath(dataDir);
+  const data = {
+    plan: plan || null,
+    lastUpdated: new Date().toISOString()
+  };
+  fs.writeFileSync(planPath, JSON.stringify(data, null, 2));
+}
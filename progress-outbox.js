@@ -0,0 +1,172 @@
+import { EventEmitter } from 'events';
+import fs from 'node:fs';
+import path from 'path';
+import { randomUUID } from 'node:crypto';
+
+// Persistent outbox for progress submissions that could not be delivered.
+// Entries survive restarts (outbox.json in userData) and are retried with exponential backoff
+// until they succeed, or are marked failed after maxAttempts and wait for a manual retry or discard.
+class ProgressOutbox extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      dataDir: options.dataDir,
+      send: options.send,                            // async (progressData) => result, throws on failure
+      baseDelay: options.baseDelay || 30000,         // 30 seconds before the first retry
+      maxDelay: options.maxDelay || 30 * 60000,      // Never wait more than 30 minutes
+      maxAttempts: options.maxAttempts || 10,
+      checkInterval: options.checkInterval || 15000
+    };
+
+    this.outboxPath = path.join(this.options.dataDir, 'outbox.json');
+    this.entries = this.load();
+    this.retryInterval = null;
+    this.isFlushing = false;
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.outboxPath)) {
+        const data = JSON.parse(fs.readFileSync(this.outboxPath, 'utf8'));
+        return Array.isArray(data.entries) ? data.entries : [];
+      }
+    } catch (error) {
+      console.error('Error loading progress outbox:', error);
+    }
+    return [];
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.outboxPath, JSON.stringify({
+        entries: this.entries,
+        lastUpdated: new Date().toISOString()
+      }, null, 2));
+    } catch (error) {
+      console.error('Error saving progress outbox:', error);
+    }
+    this.emit('changed', this.getSummary());
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(this.options.baseDelay * Math.pow(2, Math.max(attempts - 1, 0)), this.options.maxDelay);
+  }
+
+  enqueue(progressData, error) {
+    const now = Date.now();
+    const entry = {
+      id: randomUUID(),
+      progressData,
+      status: 'pending',
+      attempts: 1, // The original submission counts as the first attempt
+      lastError: error ? error.message : null,
+      createdAt: new Date(now).toISOString(),
+      lastAttemptAt: new Date(now).toISOString(),
+      nextAttemptAt: new Date(now + this.getRetryDelay(1)).toISOString()
+    };
+
+    this.entries.push(entry);
+    this.save();
+    console.log(`Queued progress submission ${entry.id} for retry:`, entry.lastError);
+    return entry;
+  }
+
+  async deliver(entry) {
+    entry.attempts++;
+    entry.lastAttemptAt = new Date().toISOString();
+
+    try {
+      await this.options.send(entry.progressData);
+      this.entries = this.entries.filter(e => e.id !== entry.id);
+      console.log(`Delivered queued progress submission ${entry.id} after ${entry.attempts} attempts`);
+      this.emit('delivered', entry);
+      return true;
+    } catch (error) {
+      entry.lastError = error.message;
+      if (error.permanent || entry.attempts >= this.options.maxAttempts) {
+        entry.status = 'failed';
+        entry.nextAttemptAt = null;
+        console.error(`Queued progress submission ${entry.id} failed permanently:`, error.message);
+      } else {
+        entry.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(entry.attempts)).toISOString();
+      }
+      return false;
+    }
+  }
+
+  // Deliver every pending entry whose backoff has elapsed; force ignores the backoff
+  async flush({ force = false } = {}) {
+    if (this.isFlushing) return;
+    this.isFlushing = true;
+
+    try {
+      const now = Date.now();
+      const due = this.entries.filter(entry =>
+        entry.status === 'pending' && (force || new Date(entry.nextAttemptAt).getTime() <= now)
+      );
+
+      for (const entry of due) {
+        const delivered = await this.deliver(entry);
+        // Stop at the first failure - the server is most likely still unreachable
+        if (!delivered && entry.status === 'pending') {
+          break;
+        }
+      }
+
+      if (due.length > 0) {
+        this.save();
+      }
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+
+  // Manual retry: revives failed entries and resets their backoff
+  async retry(id = null) {
+    this.entries
+      .filter(entry => id === null || entry.id === id)
+      .forEach(entry => {
+        entry.status = 'pending';
+        entry.attempts = Math.min(entry.attempts, this.options.maxAttempts - 1);
+        entry.nextAttemptAt = new Date().toISOString();
+      });
+
+    await this.flush({ force: true });
+    return this.getSummary();
+  }
+
+  discard(id) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.id !== id);
+    if (this.entries.length !== before) {
+      this.save();
+    }
+    return this.getSummary();
+  }
+
+  getSummary() {
+    return {
+      pending: this.entries.filter(entry => entry.status === 'pending').length,
+      failed: this.entries.filter(entry => entry.status === 'failed').length,
+      entries: this.entries
+    };
+  }
+
+  start() {
+    if (this.retryInterval) return;
+    this.retryInterval = setInterval(() => {
+      this.flush().catch(error => console.error('Error flushing progress outbox:', error));
+    }, this.options.checkInterval);
+  }
+
+  stop() {
+    if (this.retryInterval) {
+      clearInterval(this.retryInterval);
+      this.retryInterval = null;
+    }
+  }
+}
+
+export { ProgressOutbox };
+export default ProgressOutbox;
@@ -0,0 +1,48 @@
+// Progress item queries for MCP Progress Tracker
+// Every storage backend takes the same query from queryItems(query):
+//   from, to   - Date bounds on the item date, both inclusive
+//   project    - exact project name
+//   sort       - one of PROGRESS_SORTS, a leading '-' means descending
+//   limit      - page size; without it every matching item is returned
+//   cursor     - opaque nextCursor from the previous page
+// and resolves to { items, nextCursor }, where nextCursor is null on the last page.
+// HTTP query strings are turned into this shape by the progressReport schema in api-schemas.js.
+
+export const PROGRESS_SORTS = ['-date', 'date', '-createdAt', 'createdAt'];
+export const MAX_PAGE_SIZE = 500;
+
+// Cursors are offsets into the filtered, sorted result, so they stay valid across backends
+export function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new Error(`Invalid cursor: ${cursor}`);
+}
+
+// Offset of the first item on the requested page
+export function getPageStart(query) {
+  return query.cursor ? decodeCursor(query.cursor) : 0;
+}
+
+// Slices one page out of the full, already filtered and sorted result
+export function paginate(items, query) {
+  const start = getPageStart(query);
+  if (!query.limit) {
+    return { items: items.slice(start), nextCursor: null };
+  }
+
+  const end = start + query.limit;
+  return {
+    items: items.slice(start, end),
+    nextCursor: items.length > end ? encodeCursor(end) : null
+  };
+}
@@ -0,0 +1,48 @@
+// Progress storage for MCP Progress Tracker
+// Every backend is a factory returning the same adapter interface:
+//   name                 - backend identifier, shown in /health
+//   createItem(item)     - item is { hours, description, project, date: Date }; resolves to the stored item
+//   queryItems(query)    - resolves to { items, nextCursor }, items as { id, hours, description, project, date: Date };
+//                          filtering, sorting and paging are described in progress-query.js
+//   updateItem(id, changes) - changes is any subset of createItem's fields; resolves to the updated item, or null if not found
+//   deleteItem(id)       - resolves to the deleted item, or null if not found
+// Shared by the embedded HTTP server and the standalone MCP servers, so nothing here may import electron.
+
+import { createLocalStore } from './local-store.js';
+import { createAirtableStore } from './airtable-store.js';
+
+// Add new backends here
+const storageBackends = {
+  local: ({ dataDir, log }) => createLocalStore({ dataDir, log }),
+  airtable: ({ airtable, log }) => createAirtableStore({ ...airtable, log })
+};
+
+// STORAGE_BACKEND picks the backend explicitly. Without it, existing Airtable setups keep using
+// Airtable and everyone else gets local storage, which needs no configuration.
+export function resolveStorageBackend(env = process.env) {
+  if (env.STORAGE_BACKEND) {
+    return env.STORAGE_BACKEND.trim().toLowerCase();
+  }
+  return env.AIRTABLE_API_KEY && env.AIRTABLE_BASE_ID ? 'airtable' : 'local';
+}
+
+export function createProgressStore({ backend, dataDir, env = process.env, log = console.log }) {
+  const backendName = backend || resolveStorageBackend(env);
+  const createBackend = storageBackends[backendName];
+
+  if (!createBackend) {
+    throw new Error(`Unknown storage backend "${backendName}". Available backends: ${Object.keys(storageBackends).join(', ')}`);
+  }
+
+  log(`Using ${backendName} storage backend`);
+
+  return createBackend({
+    dataDir,
+    airtable: {
+      apiKey: env.AIRTABLE_API_KEY,
+      baseId: env.AIRTABLE_BASE_ID,
+      tableName: env.AIRTABLE_TABLE_NAME || 'Progress Items'
+    },
+    log
+  });
+}
@@ -0,0 +1,200 @@
+// Project registry for MCP Progress Tracker
+// The single list of projects that progress can be logged against, kept in projects.json in userData.
+// Shared by the main process (settings UI), the embedded HTTP server (/projects) and the stdio MCP server,
+// so nothing here may import electron. The file is re-read on every call because several processes write it.
+//
+// A project is { name, color, archived, client, billable, hourlyRate, createdAt, updatedAt }.
+// Progress items refer to projects by name, so names are unique (case-insensitively) and never change.
+
+import fs from 'node:fs';
+import path from 'path';
+
+export const DEFAULT_PROJECT_NAMES = ['GGSA', 'Nestly', 'Seenspire'];
+
+// Names end up in the UI, file names and reports, so they're kept to a plain character set
+export const PROJECT_NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} ._()-]*$/u;
+export const PROJECT_NAME_RULES = 'Project names start with a letter or digit and may only contain letters, digits, spaces and . _ ( ) -';
+export const MAX_PROJECT_NAME_LENGTH = 100;
+
+const PROJECT_COLORS = ['#58a6ff', '#3fb950', '#d29922', '#f778ba', '#a371f7', '#39c5cf', '#ff7b72', '#8b949e'];
+
+// Errors carry the HTTP status the routes should answer with
+function projectError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export function getProjectsPath(dataDir) {
+  return path.join(dataDir, 'projects.json');
+}
+
+function normalizeProject(data, index = 0) {
+  const now = new Date().toISOString();
+  return {
+    name: data.name,
+    color: data.color || PROJECT_COLORS[index % PROJECT_COLORS.length],
+    archived: Boolean(data.archived),
+    client: data.client || null,
+    billable: Boolean(data.billable),
+    hourlyRate: data.hourlyRate !== undefined && data.hourlyRate !== null && data.hourlyRate !== ''
+      ? Number(data.hourlyRate)
+      : null,
+    createdAt: data.createdAt || now,
+    updatedAt: data.updatedAt || now
+  };
+}
+
+function validateProjectFields(data) {
+  if (data.color !== undefined && data.color !== null && !/^#[0-9a-fA-F]{6}$/.test(data.color)) {
+    throw projectError(`Invalid color "${data.color}" - use a hex color like #58a6ff`, 400);
+  }
+  if (data.hourlyRate !== undefined && data.hourlyRate !== null && data.hourlyRate !== '') {
+    const rate = Number(data.hourlyRate);
+    if (!Number.isFinite(rate) || rate < 0) {
+      throw projectError('hourlyRate must be a non-negative number', 400);
+    }
+  }
+}
+
+// seedNames is only used while projects.json doesn't exist yet, e.g. the project names from older settings
+export function createProjectRegistry({ dataDir, seedNames = DEFAULT_PROJECT_NAMES, log = console.log }) {
+  if (!dataDir) {
+    throw new Error('The project registry needs a data directory');
+  }
+
+  const projectsPath = getProjectsPath(dataDir);
+
+  function readProjects() {
+    try {
+      if (fs.existsSync(projectsPath)) {
+        const data = JSON.parse(fs.readFileSync(projectsPath, 'utf8'));
+        return Array.isArray(data.projects) ? data.projects : [];
+      }
+    } catch (error) {
+      log(`Error reading projects: ${error.message}`);
+      throw error;
+    }
+    return seedNames.map((name, index) => normalizeProject({ name }, index));
+  }
+
+  function writeProjects(projects) {
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    // Write to a temp file and rename, so a crash never leaves a half-written file behind
+    const tempPath = `${projectsPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ projects, lastUpdated: new Date().toISOString() }, null, 2));
+    fs.renameSync(tempPath, projectsPath);
+  }
+
+  function findIndex(projects, name) {
+    const key = String(name || '').trim().toLowerCase();
+    return projects.findIndex(project => project.name.toLowerCase() === key);
+  }
+
+  // Writes the seeded list to disk so later reads don't depend on seedNames
+  function ensureInitialized() {
+    if (!fs.existsSync(projectsPath)) {
+      writeProjects(readProjects());
+      log(`Initialized project registry with: ${seedNames.join(', ')}`);
+    }
+  }
+
+  function listProjects({ includeArchived = false } = {}) {
+    return readProjects().filter(project => includeArchived || !project.archived);
+  }
+
+  function getProject(name) {
+    const projects = readProjects();
+    const index = findIndex(projects, name);
+    return index >= 0 ? projects[index] : null;
+  }
+
+  function createProject(data = {}) {
+    const name = String(data.name || '').trim();
+    if (!name) {
+      throw projectError('Project name is required', 400);
+    }
+    if (name.length > MAX_PROJECT_NAME_LENGTH) {
+      throw projectError(`Project name must be at most ${MAX_PROJECT_NAME_LENGTH} characters`, 400);
+    }
+    if (!PROJECT_NAME_PATTERN.test(name)) {
+      throw projectError(PROJECT_NAME_RULES, 400);
+    }
+    validateProjectFields(data);
+
+    const projects = readProjects();
+    if (findIndex(projects, name) >= 0) {
+      throw projectError(`Project "${name}" already exists`, 409);
+    }
+
+    const project = normalizeProject({ ...data, name, createdAt: null, updatedAt: null }, projects.length);
+    projects.push(project);
+    writeProjects(projects);
+
+    log(`Created project: ${name}`);
+    return project;
+  }
+
+  function updateProject(name, changes = {}) {
+    if (changes.name !== undefined && changes.name !== name) {
+      throw projectError('Projects cannot be renamed, because progress items refer to them by name', 400);
+    }
+    validateProjectFields(changes);
+
+    const projects = readProjects();
+    const index = findIndex(projects, name);
+    if (index < 0) {
+      throw projectError(`Unknown project "${name}"`, 404);
+    }
+
+    const { name: ignoredName, createdAt, updatedAt, ...editable } = changes;
+    projects[index] = normalizeProject({
+      ...projects[index],
+      ...editable,
+      updatedAt: new Date().toISOString()
+    }, index);
+    writeProjects(projects);
+
+    log(`Updated project: ${projects[index].name}`);
+    return projects[index];
+  }
+
+  // Existing progress items keep their project name; archiving is the way to retire a project that has hours
+  function deleteProject(name) {
+    const projects = readProjects();
+    const index = findIndex(projects, name);
+    if (index < 0) {
+      throw projectError(`Unknown project "${name}"`, 404);
+    }
+
+    const [project] = projects.splice(index, 1);
+    writeProjects(projects);
+
+    log(`Deleted project: ${project.name}`);
+    return project;
+  }
+
+  // Used before saving progress; returns the canonical project name
+  function requireActiveProject(name) {
+    const project = getProject(name);
+    if (!project) {
+      const active = listProjects().map(p => p.name).join(', ');
+      throw projectError(`Unknown project "${name}". Known projects: ${active || 'none'}. Add it under Settings > Projects first.`, 400);
+    }
+    if (project.archived) {
+      throw projectError(`Project "${project.name}" is archived. Restore it under Settings > Projects to log hours against it.`, 400);
+    }
+    return project.name;
+  }
+
+  return {
+    ensureInitialized,
+    listProjects,
+    getProject,
+    createProject,
+    updateProject,
+    deleteProject,
+    requireActiveProject
+  };
+}
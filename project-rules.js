@@ -0,0 +1,200 @@
+// Project rules for MCP Progress Tracker
+// User-defined rules that assign focused windows to projects, kept in project-rules.json in userData.
+// A rule is { id, project, field, type, pattern, enabled, createdAt }:
+//   field   - 'app' (activeWindow.owner.name), 'title', 'url' (browsers on macOS/Windows) or 'any'
+//   type    - 'contains' (case-insensitive substring), 'glob' (* and ?, whole value) or 'regex' (case-insensitive)
+// Rules are tried in order and the first match wins. Windows no rule matches fall back to the built-in rule:
+// a project whose name appears as a word in the app name, title or URL. Nothing here may import electron.
+
+import fs from 'node:fs';
+import path from 'path';
+import { randomUUID } from 'node:crypto';
+
+export const RULE_FIELDS = ['any', 'app', 'title', 'url'];
+export const RULE_TYPES = ['contains', 'glob', 'regex'];
+
+// Errors carry the status the IPC handlers report, like the project registry's
+function ruleError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function globToRegExp(pattern) {
+  const source = pattern.split('').map(char => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return escapeRegExp(char);
+  }).join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function compilePattern(type, pattern) {
+  switch (type) {
+    case 'regex':
+      try {
+        return new RegExp(pattern, 'i');
+      } catch (error) {
+        throw ruleError(error.message);
+      }
+    case 'glob':
+      return globToRegExp(pattern);
+    default:
+      return new RegExp(escapeRegExp(pattern), 'i');
+  }
+}
+
+function windowValues(window, field) {
+  const values = {
+    app: window.appName || '',
+    title: window.title || '',
+    url: window.url || ''
+  };
+  return field === 'any' ? Object.values(values) : [values[field]];
+}
+
+// Built-in rule: the project name as a whole word, so "nestly-api" maps to Nestly but "seenspirex" doesn't
+export function inferProjectFromWindow(window, projectNames = []) {
+  const haystack = windowValues(window, 'any').join(' ').toLowerCase();
+  return projectNames.find(name =>
+    new RegExp(`(^|[^a-z0-9])${escapeRegExp(name.toLowerCase())}([^a-z0-9]|$)`).test(haystack)
+  ) || null;
+}
+
+// Returns (window) => project name or null, for { appName, title, url } windows
+export function createProjectResolver(rules, projectNames = []) {
+  const compiled = rules
+    .filter(rule => rule.enabled !== false && projectNames.includes(rule.project))
+    .map(rule => {
+      try {
+        return { ...rule, regex: compilePattern(rule.type, rule.pattern) };
+      } catch (error) {
+        console.error(`Skipping project rule ${rule.id}:`, error.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  return (window) => {
+    const match = compiled.find(rule => windowValues(window, rule.field).some(value => rule.regex.test(value)));
+    return match ? match.project : inferProjectFromWindow(window, projectNames);
+  };
+}
+
+function validateRule(rule) {
+  if (!rule.project) {
+    throw ruleError('A rule needs a project');
+  }
+  if (!RULE_FIELDS.includes(rule.field)) {
+    throw ruleError(`Unknown field "${rule.field}" - use one of: ${RULE_FIELDS.join(', ')}`);
+  }
+  if (!RULE_TYPES.includes(rule.type)) {
+    throw ruleError(`Unknown match type "${rule.type}" - use one of: ${RULE_TYPES.join(', ')}`);
+  }
+  if (!rule.pattern || !String(rule.pattern).trim()) {
+    throw ruleError('A rule needs a pattern');
+  }
+  compilePattern(rule.type, rule.pattern);
+}
+
+export function createProjectRulesStore({ dataDir, log = console.log }) {
+  if (!dataDir) {
+    throw new Error('Project rules need a data directory');
+  }
+
+  const rulesPath = path.join(dataDir, 'project-rules.json');
+
+  function readRules() {
+    try {
+      if (fs.existsSync(rulesPath)) {
+        const data = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+        return Array.isArray(data.rules) ? data.rules : [];
+      }
+    } catch (error) {
+      log(`Error reading project rules: ${error.message}`);
+    }
+    return [];
+  }
+
+  function writeRules(rules) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.writeFileSync(rulesPath, JSON.stringify({ rules, lastUpdated: new Date().toISOString() }, null, 2));
+  }
+
+  function createRule(data = {}) {
+    const rule = {
+      id: randomUUID(),
+      project: data.project,
+      field: data.field || 'any',
+      type: data.type || 'contains',
+      pattern: String(data.pattern || '').trim(),
+      enabled: data.enabled !== false,
+      createdAt: new Date().toISOString()
+    };
+    validateRule(rule);
+
+    const rules = readRules();
+    rules.push(rule);
+    writeRules(rules);
+
+    log(`Created project rule: ${rule.field} ${rule.type} "${rule.pattern}" -> ${rule.project}`);
+    return rule;
+  }
+
+  function updateRule(id, changes = {}) {
+    const rules = readRules();
+    const index = rules.findIndex(rule => rule.id === id);
+    if (index < 0) {
+      throw ruleError(`Unknown project rule: ${id}`, 404);
+    }
+
+    const { id: ignoredId, createdAt, ...editable } = changes;
+    const rule = { ...rules[index], ...editable };
+    validateRule(rule);
+
+    rules[index] = rule;
+    writeRules(rules);
+    return rule;
+  }
+
+  function deleteRule(id) {
+    const rules = readRules();
+    const index = rules.findIndex(rule => rule.id === id);
+    if (index < 0) {
+      throw ruleError(`Unknown project rule: ${id}`, 404);
+    }
+
+    const [rule] = rules.splice(index, 1);
+    writeRules(rules);
+
+    log(`Deleted project rule: ${rule.pattern} -> ${rule.project}`);
+    return rule;
+  }
+
+  // Rules are tried in order, so moving one changes which rule wins
+  function moveRule(id, offset) {
+    const rules = readRules();
+    const index = rules.findIndex(rule => rule.id === id);
+    if (index < 0) {
+      throw ruleError(`Unknown project rule: ${id}`, 404);
+    }
+
+    const target = Math.min(Math.max(index + offset, 0), rules.length - 1);
+    const [rule] = rules.splice(index, 1);
+    rules.splice(target, 0, rule);
+    writeRules(rules);
+    return rule;
+  }
+
+  return {
+    listRules: readRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    moveRule
+  };
+}
@@ -10,11 +10,52 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Progress submission
     submitProgress: (progressData) => ipcRenderer.invoke('submit-progress', progressData),
     
+    getProgressSuggestion: () => ipcRenderer.invoke('get-progress-suggestion'),
+    
     // Progress items management
-    getProgressItems: () => ipcRenderer.invoke('get-progress-items'),
+    getProgressItems: (query) => ipcRenderer.invoke('get-progress-items', query),
+    queryProgressItems: (query) => ipcRenderer.invoke('query-progress-items', query),
     updateProgressItem: (item) => ipcRenderer.invoke('update-progress-item', item),
     deleteProgressItem: (id) => ipcRenderer.invoke('delete-progress-item', id),
     
+    // Project registry
+    getProjects: () => ipcRenderer.invoke('get-projects'),
+    createProject: (project) => ipcRenderer.invoke('create-project', project),
+    updateProject: (name, changes) => ipcRenderer.invoke('update-project', name, changes),
+    deleteProject: (name) => ipcRenderer.invoke('delete-project', name),
+
+    // Project rules (map focused windows to projects) and today's time per project
+    getProjectRules: () => ipcRenderer.invoke('get-project-rules'),
+    createProjectRule: (rule) => ipcRenderer.invoke('create-project-rule', rule),
+    updateProjectRule: (id, changes) => ipcRenderer.invoke('update-project-rule', id, changes),
+    deleteProjectRule: (id) => ipcRenderer.invoke('delete-project-rule', id),
+    moveProjectRule: (id, offset) => ipcRenderer.invoke('move-project-rule', id, offset),
+    getProjectTime: () => ipcRenderer.invoke('get-project-time'),
+    getAppUsage: (date) => ipcRenderer.invoke('get-app-usage', date),
+
+    // Outbox for submissions that failed to reach the server
+    getOutbox: () => ipcRenderer.invoke('get-outbox'),
+    retryOutbox: (id) => ipcRenderer.invoke('retry-outbox', id),
+    discardOutboxItem: (id) => ipcRenderer.invoke('discard-outbox-item', id),
+    
+    // Timers (run in the main process, so they survive restarts)
+    getTimers: () => ipcRenderer.invoke('get-timers'),
+    startTimer: (options) => ipcRenderer.invoke('start-timer', options),
+    pauseTimer: (id) => ipcRenderer.invoke('pause-timer', id),
+    resumeTimer: (id) => ipcRenderer.invoke('resume-timer', id),
+    stopTimer: (id) => ipcRenderer.invoke('stop-timer', id),
+    discardTimer: (id) => ipcRenderer.invoke('discard-timer', id),
+    takeStoppedTimer: () => ipcRenderer.invoke('take-stopped-timer'),
+    
+    // Focus mode (pomodoros, run in the main process)
+    getFocusSession: () => ipcRenderer.invoke('get-focus-session'),
+    startFocus: (options) => ipcRenderer.invoke('start-focus', options),
+    stopFocus: () => ipcRenderer.invoke('stop-focus'),
+    
+    // To-do and plan sync (read by the MCP server)
+    syncTodos: (todos) => ipcRenderer.invoke('sync-todos', todos),
+    syncCurrentPlan: (plan) => ipcRenderer.invoke('sync-current-plan', plan),
+    
       // Server connection testing
   testServerConnection: () => ipcRenderer.invoke('test-server-connection'),
   
@@ -23,16 +64,22 @@ contextBridge.exposeInMainWorld('electronAPI', {
   
   // Server status
   getServerStatus: () => ipcRenderer.invoke('get-server-status'),
+  getServerUrl: () => ipcRenderer.invoke('get-server-url'),
+  
+  // API token and AI planning (the main process attaches the token)
+  getApiToken: () => ipcRenderer.invoke('get-api-token'),
+  rotateApiToken: () => ipcRenderer.invoke('rotate-api-token'),
+  generatePlan: (request) => ipcRenderer.invoke('generate-plan', request),
   
-  // Activity monitoring
-  startActivityMonitoring: () => ipcRenderer.invoke('start-activity-monitoring'),
-  stopActivityMonitoring: () => ipcRenderer.invoke('stop-activity-monitoring'),
+  // Activity monitoring (today's stats, input counters and native permissions in one call)
   getActivityStats: () => ipcRenderer.invoke('get-activity-stats'),
-  resetActivityStats: () => ipcRenderer.invoke('reset-activity-stats'),
+  getActivityHistory: (range) => ipcRenderer.invoke('get-activity-history', range),
+  takeAwayTime: () => ipcRenderer.invoke('take-away-time'),
+  resolveAwayTime: (resolution) => ipcRenderer.invoke('resolve-away-time', resolution),
+  getWeeklyInsights: (isoWeek) => ipcRenderer.invoke('get-weekly-insights', isoWeek),
   
   // Native activity monitoring
   testNativeActivity: () => ipcRenderer.invoke('test-native-activity'),
-  getNativeActivityStats: () => ipcRenderer.invoke('get-native-activity-stats'),
   resetNativeActivityStats: () => ipcRenderer.invoke('reset-native-activity-stats'),
     
     // Event listeners
@@ -56,9 +103,24 @@ contextBridge.exposeInMainWorld('electronAPI', {
         return () => ipcRenderer.removeListener('server-status', callback);
     },
     
-    onActivityUpdate: (callback) => {
-        ipcRenderer.on('activity-update', callback);
-        return () => ipcRenderer.removeListener('activity-update', callback);
+    onOutboxUpdated: (callback) => {
+        ipcRenderer.on('outbox-updated', callback);
+        return () => ipcRenderer.removeListener('outbox-updated', callback);
+    },
+    
+    onTimersUpdated: (callback) => {
+        ipcRenderer.on('timers-updated', callback);
+        return () => ipcRenderer.removeListener('timers-updated', callback);
+    },
+    
+    onTimerStopped: (callback) => {
+        ipcRenderer.on('timer-stopped', callback);
+        return () => ipcRenderer.removeListener('timer-stopped', callback);
+    },
+    
+    onFocusUpdated: (callback) => {
+        ipcRenderer.on('focus-updated', callback);
+        return () => ipcRenderer.removeListener('focus-updated', callback);
     },
     
     onNativeActivity: (callback) => {
@@ -71,6 +133,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
         return () => ipcRenderer.removeListener('activity-status-changed', callback);
     },
     
+    onAwayTime: (callback) => {
+        ipcRenderer.on('away-time', callback);
+        return () => ipcRenderer.removeListener('away-time', callback);
+    },
+    
     // Platform detection
     platform: process.platform,
     
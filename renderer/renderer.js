@@ -1,26 +1,57 @@
 // Renderer script for MCP Progress Tracker Desktop
 
+// Server validation fields (see api-schemas.js) mapped to the form elements they belong to
+const PROGRESS_MODAL_FIELDS = {
+    project: 'modalProjectButtons',
+    hours: 'modalHours',
+    date: 'modalTime',
+    description: 'modalDescription'
+};
+
+const EDIT_MODAL_FIELDS = {
+    project: 'editProject',
+    hours: 'editHours',
+    date: 'editDate',
+    description: 'editDescription'
+};
+
 class DesktopProgressController {
     constructor() {
         this.settings = null;
         this.todos = [];
         this.logs = [];
-        this.progressItems = []; // Store progress items for efficiency calculations
+        this.progressItems = []; // Items shown in the Progress tab (current filter, pages loaded so far)
+        this.pendingDelete = null; // Deleted progress item still inside its undo window
+        this.projects = []; // Project registry records, including archived projects
+        this.projectRules = []; // Rules mapping focused windows to projects, in match order
+        this.appUsageDate = null; // Day shown in Application Usage (YYYY-MM-DD); null follows today
+        this.insightsWeek = null; // ISO week shown in Weekly Insights (YYYY-Www); null follows the current week
+        this.weeklyInsights = null;
+        this.topAppCount = 5;
+        this.serverUrl = 'http://localhost:8087'; // Replaced by the address the embedded server actually bound to
+        this.apiToken = null; // Bearer token for the HTTP and MCP endpoints, shown in settings
+        this.apiTokenRevealed = false;
+        this.todayProgressItems = []; // Today's items, loaded separately so efficiency works with any table filter
+        this.progressNextCursor = null; // Cursor for the next page of the progress table
+        this.progressPageSize = 100;
+        this.timers = []; // Timers from the main process; elapsed time is computed from their segments
+        this.awayPeriod = null; // Time away shown in the away time modal, see showAwayTime
         this.endOfDayShownToday = null;
-        this.activityStats = {
+        this.activityStats = { // Today's activity from the main process's activity engine, see loadActivityStats
             isMonitoring: false,
             isActive: false,
+            source: null,
             sessionTime: 0,
             dailyActive: 0,
             dailyIdle: 0,
-            totalTime: 0
+            totalTime: 0,
+            sessions: [],
+            detection: null,
+            input: null
         };
-        
-        // Load persisted activity stats for today
-        this.loadActivityStats();
+        this.activityPermissions = null;
         this.lastActivityTime = Date.now();
         this.activityState = 'active'; // active, idle, inactive
-        this.activitySessionStart = Date.now(); // Track when current activity session started
         this.uiReady = false; // Track if UI is fully initialized
         this.activityChart = null; // Chart.js instance for activity visualization
         this.activityChartData = []; // Store activity data for charting
@@ -37,6 +68,10 @@ class DesktopProgressController {
             console.log('Loading settings...');
         await this.loadSettings();
             
+            console.log('Loading projects...');
+        await this.loadProjects();
+        await this.loadProjectRules();
+            
             console.log('Loading todos...');
         await this.loadTodos();
             
@@ -65,6 +100,21 @@ class DesktopProgressController {
             console.log('Loading server status...');
             await this.loadServerStatus();
             
+            console.log('Loading outbox...');
+            await this.loadOutbox();
+            
+            console.log('Loading API token...');
+            await this.loadApiToken();
+            
+            console.log('Loading timers...');
+            await this.loadTimers();
+            
+            console.log('Loading focus session...');
+            await this.loadFocusSession();
+            
+            console.log('Loading time away...');
+            await this.loadAwayTime();
+            
             // Mark UI as ready
             this.uiReady = true;
             console.log('🎉 Controller initialization complete - UI ready for updates');
@@ -89,6 +139,26 @@ class DesktopProgressController {
         }
     }
 
+    async loadProjects() {
+        try {
+            if (window.electronAPI && window.electronAPI.getProjects) {
+                const result = await window.electronAPI.getProjects();
+                if (result.success) {
+                    this.projects = result.projects;
+                } else {
+                    console.error('Failed to load projects:', result.error);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load projects:', error);
+        }
+    }
+
+    getProjectColor(name) {
+        const project = this.projects.find(p => p.name === name);
+        return project ? project.color : null;
+    }
+
     getDefaultSettings() {
         return {
             enabled: true,
@@ -102,6 +172,10 @@ class DesktopProgressController {
                 url: 'http://localhost:8087',
                 endpoint: '/add-progress'
             },
+            server: {
+                port: 8087,
+                host: 'localhost'
+            },
             projects: ['GGSA', 'Nestly', 'Seenspire'],
             defaultProject: 'GGSA',
             paused: false,
@@ -203,10 +277,44 @@ class DesktopProgressController {
         });
 
         // Project management
+        // API token
+        document.getElementById('toggleApiToken').addEventListener('click', () => {
+            this.renderApiToken(!this.apiTokenRevealed);
+        });
+
+        document.getElementById('copyApiToken').addEventListener('click', () => {
+            this.copyApiToken();
+        });
+
+        document.getElementById('rotateApiToken').addEventListener('click', () => {
+            this.rotateApiToken();
+        });
+
         document.getElementById('addProject').addEventListener('click', () => {
             this.addProject();
         });
 
+        document.getElementById('addProjectRule').addEventListener('click', () => {
+            this.addProjectRule();
+        });
+
+        document.getElementById('insightsWeek').addEventListener('change', (e) => {
+            this.showInsightsWeek(e.target.value);
+        });
+
+        document.getElementById('insightsPrevWeek').addEventListener('click', () => {
+            this.showInsightsWeek(this.weeklyInsights?.previousWeek);
+        });
+
+        document.getElementById('insightsNextWeek').addEventListener('click', () => {
+            this.showInsightsWeek(this.weeklyInsights?.nextWeek);
+        });
+
+        document.getElementById('appUsageDate').addEventListener('change', (e) => {
+            this.appUsageDate = e.target.value || null;
+            this.refreshAppUsage();
+        });
+
         document.getElementById('defaultProject').addEventListener('change', (e) => {
             this.settings.defaultProject = e.target.value;
         });
@@ -251,6 +359,21 @@ class DesktopProgressController {
             this.addLog('Logs cleared', 'info');
         });
 
+        // Timer event listeners
+        document.getElementById('startTimer').addEventListener('click', () => {
+            this.startTimer();
+        });
+
+        document.getElementById('timerDescription').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.startTimer();
+            }
+        });
+
+        document.getElementById('startFocus').addEventListener('click', () => {
+            this.startFocus();
+        });
+
         // To-Do event listeners
         document.getElementById('addTodo').addEventListener('click', () => {
             this.addTodo();
@@ -275,6 +398,19 @@ class DesktopProgressController {
             this.loadProgressItems();
         });
 
+        document.getElementById('loadMoreProgress').addEventListener('click', () => {
+            this.loadProgressItems(true);
+        });
+
+        // Outbox event listeners
+        document.getElementById('outboxBadge').addEventListener('click', () => {
+            this.switchTab('progress');
+        });
+
+        document.getElementById('retryAllOutbox').addEventListener('click', () => {
+            this.retryOutbox();
+        });
+
         document.getElementById('progressDateFilter').addEventListener('change', (e) => {
             // Show/hide custom date inputs based on selection
             const customDateControls = document.querySelectorAll('#customDateFrom, #customDateTo, #applyDateRange');
@@ -324,10 +460,20 @@ class DesktopProgressController {
             this.hideEditModal();
         });
 
+        document.getElementById('undoDeleteProgress').addEventListener('click', () => {
+            this.undoDeleteProgressItem();
+        });
+
+        // Don't lose a delete that is still waiting out its undo window
+        window.addEventListener('beforeunload', () => {
+            this.commitPendingDelete();
+        });
+
         document.getElementById('deleteProgress').addEventListener('click', () => {
             if (this.currentEditingItem) {
+                const id = this.currentEditingItem.id;
                 this.hideEditModal();
-                this.deleteProgressItem(this.currentEditingItem.id);
+                this.deleteProgressItem(id);
             }
         });
 
@@ -355,6 +501,27 @@ class DesktopProgressController {
             this.clearGeneratedPlan();
         });
 
+        // Away Time Modal event listeners - closing it leaves the time away undecided (it stays idle)
+        document.getElementById('closeAwayTimeModal').addEventListener('click', () => {
+            this.hideAwayTimeModal();
+        });
+
+        document.getElementById('assignAwayTime').addEventListener('click', () => {
+            this.resolveAwayTime('assign');
+        });
+
+        document.getElementById('keepAwayAsBreak').addEventListener('click', () => {
+            this.resolveAwayTime('break');
+        });
+
+        document.getElementById('discardAwayTime').addEventListener('click', () => {
+            this.resolveAwayTime('discard');
+        });
+
+        document.getElementById('awayCategory').addEventListener('change', (e) => {
+            document.getElementById('awayDescription').placeholder = e.target.selectedOptions[0].textContent;
+        });
+
         // End of Day Modal event listeners
         document.getElementById('closeEndOfDayModal').addEventListener('click', () => {
             this.hideEndOfDayModal();
@@ -425,12 +592,12 @@ class DesktopProgressController {
 
         // Listen for progress dialog requests
         window.electronAPI.onShowProgressDialog(() => {
-            this.showProgressModal();
+            this.showSuggestedProgressModal();
         });
 
         // Listen for submit report now requests
         window.electronAPI.onSubmitReportNow(() => {
-            this.showProgressModal();
+            this.showSuggestedProgressModal();
         });
 
         // Listen for tracking status changes
@@ -445,27 +612,45 @@ class DesktopProgressController {
             this.updateServerStatus(serverStatus);
         });
 
-        // Listen for activity updates - DISABLED to prevent data conflicts
-        // Activity updates are now handled by native activity events and periodic refresh
-        // window.electronAPI.onActivityUpdate((event, activityData) => {
-        //     this.updateActivityStats(activityData);
-        // });
+        // Listen for timer changes, including those made from the tray
+        window.electronAPI.onTimersUpdated((event, timers) => {
+            this.updateTimerUI(timers);
+        });
+
+        // A timer stopped from the tray - review and submit its progress
+        window.electronAPI.onTimerStopped((event, result) => {
+            this.showStoppedTimer(result);
+        });
+
+        // Focus session started, stopped or moved to the next phase (also from the tray)
+        window.electronAPI.onFocusUpdated((event, state) => {
+            this.updateFocusUI(state);
+        });
+
+        // Back after a long idle stretch - ask what the time away was
+        window.electronAPI.onAwayTime((event, period) => {
+            this.showAwayTime(period);
+        });
+
+        // Listen for outbox changes (queued, delivered, failed submissions)
+        window.electronAPI.onOutboxUpdated((event, summary) => {
+            this.updateOutboxUI(summary);
+        });
 
         // Listen for native activity events
         window.electronAPI.onNativeActivity((event, data) => {
             console.log('✅ Native activity detected in renderer:', data);
             this.updateNativeActivityDisplay(data);
-            
-            // Update activity overview stats when native activity is detected
-            this.updateActivityOverviewFromNativeActivity(data);
         });
 
+        // State changes from the activity engine (native idle detection, or window focus as the fallback)
         window.electronAPI.onActivityStatusChanged((event, data) => {
             console.log('✅ Activity status changed in renderer:', data);
             this.updateActivityStatusDisplay(data);
             
-            // Update activity overview when status changes
-            this.updateActivityOverviewFromStatusChange(data);
+            // The engine's totals already include the session that just started or ended
+            this.activityStats.isActive = data.isActive;
+            this.loadActivityStats();
             
             // Update chart and breakdown when status changes
             this.updateActivityChart({ isActive: data.isActive });
@@ -592,6 +777,70 @@ class DesktopProgressController {
                 mcpEndpoint.value = this.settings.mcpServer.endpoint || '/add-progress';
             }
 
+            // Update embedded server address settings
+            const serverPort = document.getElementById('serverPort');
+            const serverHost = document.getElementById('serverHost');
+            const allowedOrigins = document.getElementById('allowedOrigins');
+            if (serverPort) {
+                serverPort.value = this.settings.server?.port || 8087;
+            }
+            if (serverHost) {
+                serverHost.value = this.settings.server?.host || 'localhost';
+            }
+            if (allowedOrigins) {
+                allowedOrigins.value = (this.settings.server?.allowedOrigins || []).join('\n');
+            }
+
+            const historyRetentionDays = document.getElementById('historyRetentionDays');
+            if (historyRetentionDays) {
+                historyRetentionDays.value = this.settings.activity?.historyRetentionDays || 90;
+            }
+
+            const awayPromptMinutes = document.getElementById('awayPromptMinutes');
+            if (awayPromptMinutes) {
+                awayPromptMinutes.value = this.settings.activity?.awayPromptMinutes ?? 10;
+            }
+
+            const promptAfterLock = document.getElementById('promptAfterLock');
+            if (promptAfterLock) {
+                promptAfterLock.checked = this.settings.activity?.promptAfterLock !== false;
+            }
+
+            const idleThresholdSeconds = document.getElementById('idleThresholdSeconds');
+            if (idleThresholdSeconds) {
+                idleThresholdSeconds.value = this.settings.activity?.idleThresholdSeconds || 60;
+            }
+
+            const sessionGraceMinutes = document.getElementById('sessionGraceMinutes');
+            if (sessionGraceMinutes) {
+                sessionGraceMinutes.value = this.settings.activity?.sessionGraceMinutes ?? 2;
+            }
+
+            const countMouseJitter = document.getElementById('countMouseJitter');
+            if (countMouseJitter) {
+                countMouseJitter.checked = Boolean(this.settings.activity?.countMouseJitter);
+            }
+
+            const focusWorkMinutes = document.getElementById('focusWorkMinutes');
+            if (focusWorkMinutes) {
+                focusWorkMinutes.value = this.settings.focus?.workMinutes || 25;
+            }
+
+            const focusBreakMinutes = document.getElementById('focusBreakMinutes');
+            if (focusBreakMinutes) {
+                focusBreakMinutes.value = this.settings.focus?.breakMinutes || 5;
+            }
+
+            const focusLongBreakMinutes = document.getElementById('focusLongBreakMinutes');
+            if (focusLongBreakMinutes) {
+                focusLongBreakMinutes.value = this.settings.focus?.longBreakMinutes || 15;
+            }
+
+            const focusLongBreakEvery = document.getElementById('focusLongBreakEvery');
+            if (focusLongBreakEvery) {
+                focusLongBreakEvery.value = this.settings.focus?.longBreakEvery || 4;
+            }
+
         // Update projects
         this.updateProjectsUI();
 
@@ -672,6 +921,9 @@ class DesktopProgressController {
 
     async loadServerStatus() {
         try {
+            if (window.electronAPI && window.electronAPI.getServerUrl) {
+                this.setServerUrl(await window.electronAPI.getServerUrl());
+            }
             if (window.electronAPI && window.electronAPI.getServerStatus) {
                 const serverStatus = await window.electronAPI.getServerStatus();
                 console.log('Loaded server status:', serverStatus);
@@ -683,11 +935,22 @@ class DesktopProgressController {
         }
     }
 
+    setServerUrl(url) {
+        if (!url) return;
+        this.serverUrl = url;
+        
+        const serverUrlValue = document.getElementById('serverUrlValue');
+        if (serverUrlValue) {
+            serverUrlValue.textContent = url;
+        }
+    }
+
     updateServerStatus(serverStatus) {
         const serverStatusDot = document.getElementById('serverStatusDot');
         const serverStatusLabel = document.getElementById('serverStatusLabel');
 
         console.log('Updating server status UI:', serverStatus);
+        this.setServerUrl(serverStatus.url);
 
         if (serverStatus.healthy) {
             serverStatusDot.className = 'status-dot active';
@@ -706,6 +969,494 @@ class DesktopProgressController {
         }
     }
 
+    // ==================== TIMERS ====================
+
+    async loadTimers() {
+        try {
+            if (window.electronAPI && window.electronAPI.getTimers) {
+                this.updateTimerUI(await window.electronAPI.getTimers());
+
+                // A timer stopped from the tray while the window was closed
+                const stopped = await window.electronAPI.takeStoppedTimer();
+                if (stopped) {
+                    this.showStoppedTimer(stopped);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load timers:', error);
+        }
+    }
+
+    getTimerElapsed(timer) {
+        const now = Date.now();
+        return timer.segments.reduce((total, segment) => {
+            const end = segment.end ? new Date(segment.end).getTime() : now;
+            return total + Math.max(end - new Date(segment.start).getTime(), 0);
+        }, 0);
+    }
+
+    formatTimerElapsed(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    updateTimerUI(timers) {
+        this.timers = timers || [];
+        const list = document.getElementById('timerList');
+        if (!list) return;
+
+        list.innerHTML = this.timers.map(timer => `
+            <div class="timer-item ${timer.status}">
+                <div class="timer-elapsed" data-timer-id="${timer.id}">${this.formatTimerElapsed(this.getTimerElapsed(timer))}</div>
+                <div class="timer-details">
+                    <span class="todo-project">${timer.project}</span>
+                    <span class="timer-description"></span>
+                    ${timer.status === 'paused' ? ' · ⏸ Paused' : ''}
+                </div>
+                <div class="timer-actions">
+                    ${timer.status === 'running'
+                        ? `<button class="action-btn edit" onclick="controller.pauseTimer('${timer.id}')">⏸ Pause</button>`
+                        : `<button class="action-btn edit" onclick="controller.resumeTimer('${timer.id}')">▶ Resume</button>`}
+                    <button class="action-btn edit" onclick="controller.stopTimer('${timer.id}')">⏹ Stop</button>
+                    <button class="action-btn delete" onclick="controller.discardTimer('${timer.id}')">🗑️ Discard</button>
+                </div>
+            </div>
+        `).join('');
+
+        // Descriptions are free text (often copied from to-dos), so they go in as text, never as markup
+        list.querySelectorAll('.timer-description').forEach((span, index) => {
+            this.setDescriptionText(span, this.timers[index].description);
+        });
+
+        this.updateTimerElapsed();
+    }
+
+    setDescriptionText(element, description) {
+        if (description) {
+            element.textContent = description;
+        } else {
+            element.innerHTML = '<em>No description</em>';
+        }
+    }
+
+    // Called every second; only touches the elapsed labels so the buttons aren't re-rendered
+    updateTimerElapsed() {
+        const running = this.timers.find(timer => timer.status === 'running');
+        const badge = document.getElementById('timerBadge');
+        if (badge) {
+            badge.style.display = running ? 'flex' : 'none';
+            if (running) {
+                document.getElementById('timerBadgeLabel').textContent =
+                    `⏱ ${running.project} ${this.formatTimerElapsed(this.getTimerElapsed(running))}`;
+            }
+        }
+
+        if (!running) return;
+        const label = document.querySelector(`.timer-elapsed[data-timer-id="${running.id}"]`);
+        if (label) {
+            label.textContent = this.formatTimerElapsed(this.getTimerElapsed(running));
+        }
+    }
+
+    async startTimer() {
+        const descriptionInput = document.getElementById('timerDescription');
+        const project = document.getElementById('timerProject').value;
+        if (!project) {
+            this.showStatus('timerStatus', 'Add a project under Settings > Projects first', 'error');
+            return;
+        }
+
+        const result = await window.electronAPI.startTimer({
+            project,
+            description: this.removeEmojis(descriptionInput.value.trim())
+        });
+
+        if (result.success) {
+            descriptionInput.value = '';
+            this.updateTimerUI(result.timers);
+            this.addLog(`Started timer for ${project}`, 'info');
+        } else {
+            this.showStatus('timerStatus', `Failed to start timer: ${result.error}`, 'error');
+        }
+    }
+
+    async startTimerForTodo(todoId) {
+        const todo = this.todos.find(t => t.id == todoId);
+        if (!todo) return;
+
+        const result = await window.electronAPI.startTimer({
+            project: todo.project,
+            description: this.removeEmojis(todo.description),
+            todoId: String(todo.id)
+        });
+
+        if (result.success) {
+            this.updateTimerUI(result.timers);
+            this.addLog(`Started timer for to-do: ${todo.description}`, 'info');
+        } else {
+            this.showStatus('timerStatus', `Failed to start timer: ${result.error}`, 'error');
+        }
+    }
+
+    async pauseTimer(id) {
+        const result = await window.electronAPI.pauseTimer(id);
+        if (result.success) {
+            this.updateTimerUI(result.timers);
+        } else {
+            this.showStatus('timerStatus', `Failed to pause timer: ${result.error}`, 'error');
+        }
+    }
+
+    async resumeTimer(id) {
+        const result = await window.electronAPI.resumeTimer(id);
+        if (result.success) {
+            this.updateTimerUI(result.timers);
+        } else {
+            this.showStatus('timerStatus', `Failed to resume timer: ${result.error}`, 'error');
+        }
+    }
+
+    async stopTimer(id) {
+        const result = await window.electronAPI.stopTimer(id);
+        if (result.success) {
+            this.updateTimerUI(result.timers);
+            this.showStoppedTimer(result);
+        } else {
+            this.showStatus('timerStatus', `Failed to stop timer: ${result.error}`, 'error');
+        }
+    }
+
+    async discardTimer(id) {
+        if (!confirm('Discard this timer? The time it measured will not be logged.')) {
+            return;
+        }
+
+        const result = await window.electronAPI.discardTimer(id);
+        if (result.success) {
+            this.updateTimerUI(result.timers);
+            this.addLog('Timer discarded', 'info');
+        } else {
+            this.showStatus('timerStatus', `Failed to discard timer: ${result.error}`, 'error');
+        }
+    }
+
+    // Opens the progress form filled in with the measured time, for review before submitting
+    showStoppedTimer({ timer, progressData }) {
+        const elapsed = this.formatTimerElapsed(timer.elapsedMs);
+        this.addLog(`Stopped timer for ${timer.project} after ${elapsed}`, 'info');
+        this.showProgressModal(progressData);
+        this.showStatus('modalStatus', `Timer stopped after ${elapsed} - review and submit`, 'info');
+    }
+
+    // ==================== FOCUS MODE ====================
+
+    async loadFocusSession() {
+        try {
+            if (window.electronAPI && window.electronAPI.getFocusSession) {
+                this.updateFocusUI(await window.electronAPI.getFocusSession());
+            }
+        } catch (error) {
+            console.error('Failed to load focus session:', error);
+        }
+    }
+
+    async startFocus() {
+        const descriptionInput = document.getElementById('timerDescription');
+        const project = document.getElementById('timerProject').value;
+        if (!project) {
+            this.showStatus('timerStatus', 'Add a project under Settings > Projects first', 'error');
+            return;
+        }
+
+        const result = await window.electronAPI.startFocus({
+            project,
+            description: this.removeEmojis(descriptionInput.value.trim())
+        });
+
+        if (result.success) {
+            descriptionInput.value = '';
+            this.updateFocusUI(result.focus);
+            this.addLog(`Started focus session for ${project}`, 'info');
+        } else {
+            this.showStatus('timerStatus', `Failed to start focus session: ${result.error}`, 'error');
+        }
+    }
+
+    async startFocusForTodo(todoId) {
+        const todo = this.todos.find(t => t.id == todoId);
+        if (!todo) return;
+
+        const result = await window.electronAPI.startFocus({
+            project: todo.project,
+            description: this.removeEmojis(todo.description),
+            todoId: String(todo.id)
+        });
+
+        if (result.success) {
+            this.updateFocusUI(result.focus);
+            this.addLog(`Started focus session for to-do: ${todo.description}`, 'info');
+        } else {
+            this.showStatus('timerStatus', `Failed to start focus session: ${result.error}`, 'error');
+        }
+    }
+
+    async stopFocus() {
+        const result = await window.electronAPI.stopFocus();
+        if (result.success) {
+            this.updateFocusUI(result.focus);
+            this.addLog('Focus session stopped', 'info');
+        }
+    }
+
+    // state: see FocusSession.getState() in focus-session.js
+    updateFocusUI(state) {
+        this.focusSession = state;
+        const container = document.getElementById('focusStatus');
+        if (!container) return;
+
+        const startButton = document.getElementById('startFocus');
+        if (startButton) {
+            startButton.disabled = state.active;
+        }
+
+        if (!state.active) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const phases = { work: '🍅 Focus', break: '☕ Break', 'long-break': '🌿 Long break' };
+        container.innerHTML = `
+            <div class="timer-item focus ${state.phase === 'work' ? '' : 'on-break'}">
+                <div class="timer-elapsed" id="focusCountdown"></div>
+                <div class="timer-details">
+                    <span class="todo-project">${state.project}</span>
+                    ${phases[state.phase]} · <span class="timer-description"></span>
+                    · ${state.completed} pomodoro${state.completed === 1 ? '' : 's'} done
+                </div>
+                <div class="timer-actions">
+                    <button class="action-btn delete" onclick="controller.stopFocus()">⏹ Stop Focus</button>
+                </div>
+            </div>
+        `;
+        this.setDescriptionText(container.querySelector('.timer-description'), state.description);
+
+        this.updateFocusCountdown();
+    }
+
+    // Called every second, like updateTimerElapsed
+    updateFocusCountdown() {
+        const countdown = document.getElementById('focusCountdown');
+        if (!countdown || !this.focusSession || !this.focusSession.active) return;
+
+        const totalSeconds = Math.max(Math.ceil((this.focusSession.phaseEnd - Date.now()) / 1000), 0);
+        countdown.textContent = `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+    }
+
+    // ==================== TIME AWAY ====================
+
+    async loadAwayTime() {
+        try {
+            if (window.electronAPI && window.electronAPI.takeAwayTime) {
+                // Time away the user came back from while the window was closed
+                const period = await window.electronAPI.takeAwayTime();
+                if (period) {
+                    this.showAwayTime(period);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load time away:', error);
+        }
+    }
+
+    // period: { start, end, duration } in ms, from the activity engine
+    showAwayTime(period) {
+        this.awayPeriod = period;
+
+        const formatTime = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        document.getElementById('awayTimeSummary').textContent =
+            `You were away ${this.formatDuration(period.duration)} (${formatTime(period.start)} - ${formatTime(period.end)}). ` +
+            'Discard it, keep it as a break, or assign it to a project as meeting or thinking time.';
+
+        const projectSelect = document.getElementById('awayProject');
+        projectSelect.innerHTML = '';
+        this.settings.projects.forEach(project => {
+            const option = document.createElement('option');
+            option.value = project;
+            option.textContent = project;
+            option.selected = project === this.settings.defaultProject;
+            projectSelect.appendChild(option);
+        });
+        document.getElementById('awayDescription').value = '';
+
+        this.showStatus('awayTimeStatus', '', '');
+        document.getElementById('awayTimeModal').classList.add('show');
+        this.addLog(`Back after ${this.formatDuration(period.duration)} away`, 'info');
+    }
+
+    hideAwayTimeModal() {
+        document.getElementById('awayTimeModal').classList.remove('show');
+        this.awayPeriod = null;
+    }
+
+    async resolveAwayTime(decision) {
+        const period = this.awayPeriod;
+        if (!period) return;
+
+        const resolution = { start: period.start, end: period.end, decision };
+        if (decision === 'assign') {
+            resolution.project = document.getElementById('awayProject').value;
+            resolution.category = document.getElementById('awayCategory').value;
+            resolution.description = document.getElementById('awayDescription').value;
+            resolution.logProgress = document.getElementById('awayLogProgress').checked;
+        }
+
+        this.setButtonLoading('assignAwayTime', true);
+        try {
+            const result = await window.electronAPI.resolveAwayTime(resolution);
+            if (!result.success) {
+                this.showStatus('awayTimeStatus', `Failed to save: ${result.error}`, 'error');
+                return;
+            }
+
+            const duration = this.formatDuration(period.duration);
+            if (decision === 'assign') {
+                this.addLog(`Assigned ${duration} away to ${resolution.project} as ${resolution.category} time`, 'success');
+            } else {
+                this.addLog(`${decision === 'break' ? 'Kept' : 'Discarded'} ${duration} away${decision === 'break' ? ' as a break' : ''}`, 'info');
+            }
+
+            // The decision is saved either way; a rejected progress item can still be added by hand
+            if (result.progress && !result.progress.success) {
+                this.addLog(`Could not log the time away as progress: ${result.progress.error}`, 'error');
+            } else if (result.progress) {
+                await this.loadTodayProgressItems();
+                this.updateActivityUI();
+            }
+
+            this.hideAwayTimeModal();
+        } catch (error) {
+            console.error('Error resolving time away:', error);
+            this.showStatus('awayTimeStatus', `Failed to save: ${error.message}`, 'error');
+        } finally {
+            this.setButtonLoading('assignAwayTime', false);
+        }
+    }
+
+    // ==================== OUTBOX ====================
+
+    async loadOutbox() {
+        try {
+            if (window.electronAPI && window.electronAPI.getOutbox) {
+                const summary = await window.electronAPI.getOutbox();
+                this.updateOutboxUI(summary);
+            }
+        } catch (error) {
+            console.error('Failed to load outbox:', error);
+        }
+    }
+
+    updateOutboxUI(summary) {
+        const badge = document.getElementById('outboxBadge');
+        const label = document.getElementById('outboxLabel');
+        const section = document.getElementById('outboxSection');
+        const list = document.getElementById('outboxList');
+        if (!badge || !section || !list) return;
+
+        const entries = summary?.entries || [];
+        const pending = summary?.pending || 0;
+        const failed = summary?.failed || 0;
+
+        // Only show the outbox when something is waiting
+        badge.style.display = entries.length > 0 ? 'flex' : 'none';
+        section.style.display = entries.length > 0 ? 'block' : 'none';
+
+        const parts = [];
+        if (pending > 0) parts.push(`${pending} pending`);
+        if (failed > 0) parts.push(`${failed} failed`);
+        label.textContent = `📤 ${parts.join(' · ')}`;
+        document.getElementById('outboxDot').className = `status-dot ${failed > 0 ? 'disabled' : 'idle'}`;
+
+        list.innerHTML = entries.map(entry => {
+            const data = entry.progressData || {};
+            const nextAttempt = entry.nextAttemptAt
+                ? `Next retry ${new Date(entry.nextAttemptAt).toLocaleTimeString()}`
+                : 'Retries exhausted';
+
+            return `
+                <div class="outbox-item ${entry.status}">
+                    <div class="outbox-content">
+                        <div class="outbox-description"></div>
+                        <div class="outbox-meta">
+                            ${entry.status === 'failed' ? '❌ Failed' : '⏳ Pending'} ·
+                            ${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'} ·
+                            ${nextAttempt}
+                            ${entry.lastError ? '<br><small class="outbox-error"></small>' : ''}
+                        </div>
+                    </div>
+                    <div class="outbox-actions">
+                        <button class="action-btn edit" onclick="controller.retryOutbox('${entry.id}')">🔄 Retry</button>
+                        <button class="action-btn delete" onclick="controller.discardOutboxItem('${entry.id}')">🗑️ Discard</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        // Descriptions and server or Airtable error messages go in as text, never as markup
+        list.querySelectorAll('.outbox-item').forEach((item, index) => {
+            const entry = entries[index];
+            const data = entry.progressData || {};
+            item.querySelector('.outbox-description').textContent = `${data.hours}h · ${data.project} · ${data.description}`;
+            const error = item.querySelector('.outbox-error');
+            if (error) error.textContent = entry.lastError;
+        });
+    }
+
+    async retryOutbox(id = null) {
+        this.setButtonLoading('retryAllOutbox', true);
+        try {
+            const result = await window.electronAPI.retryOutbox(id);
+            if (!result.success) {
+                this.showStatus('outboxStatus', `Retry failed: ${result.error}`, 'error');
+                return;
+            }
+
+            const remaining = result.pending + result.failed;
+            if (remaining === 0) {
+                this.showStatus('outboxStatus', 'All queued progress submitted!', 'success');
+                this.addLog('Outbox flushed - all queued progress submitted', 'success');
+                this.loadProgressItems();
+            } else {
+                this.showStatus('outboxStatus', `${remaining} submission${remaining === 1 ? '' : 's'} still waiting - server may still be unavailable`, 'info');
+            }
+        } catch (error) {
+            console.error('Failed to retry outbox:', error);
+            this.showStatus('outboxStatus', `Retry failed: ${error.message}`, 'error');
+        } finally {
+            this.setButtonLoading('retryAllOutbox', false);
+        }
+    }
+
+    async discardOutboxItem(id) {
+        if (!confirm('Discard this queued progress report? It will not be submitted.')) {
+            return;
+        }
+
+        try {
+            const result = await window.electronAPI.discardOutboxItem(id);
+            if (result.success) {
+                this.addLog('Queued progress report discarded', 'info');
+            } else {
+                this.showStatus('outboxStatus', `Failed to discard: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to discard outbox item:', error);
+            this.showStatus('outboxStatus', `Failed to discard: ${error.message}`, 'error');
+        }
+    }
+
     updateLastReport() {
         // Last report element removed from progress screen
         const lastReportEl = document.getElementById('lastReport');
@@ -810,6 +1561,81 @@ class DesktopProgressController {
                 console.log('MCP Endpoint:', this.settings.mcpServer.endpoint);
             }
 
+            // Embedded server address
+            const serverPort = document.getElementById('serverPort');
+            const serverHost = document.getElementById('serverHost');
+            const allowedOrigins = document.getElementById('allowedOrigins');
+            if (serverPort && serverHost && allowedOrigins) {
+                this.settings.server = {
+                    port: parseInt(serverPort.value, 10),
+                    host: serverHost.value.trim() || 'localhost',
+                    // One origin per line, e.g. https://example.com
+                    allowedOrigins: allowedOrigins.value.split('\n').map(origin => origin.trim()).filter(Boolean)
+                };
+                console.log('Server address:', this.settings.server);
+            }
+
+            // Activity history retention
+            const historyRetentionDays = document.getElementById('historyRetentionDays');
+            if (historyRetentionDays) {
+                const days = parseInt(historyRetentionDays.value, 10);
+                this.settings.activity = {
+                    ...this.settings.activity,
+                    historyRetentionDays: days > 0 ? days : 90
+                };
+            }
+
+            // Prompt for time away (0 turns it off)
+            const awayPromptMinutes = document.getElementById('awayPromptMinutes');
+            if (awayPromptMinutes) {
+                const minutes = parseInt(awayPromptMinutes.value, 10);
+                this.settings.activity = {
+                    ...this.settings.activity,
+                    awayPromptMinutes: minutes >= 0 ? minutes : 10
+                };
+            }
+
+            const promptAfterLock = document.getElementById('promptAfterLock');
+            if (promptAfterLock) {
+                this.settings.activity = {
+                    ...this.settings.activity,
+                    promptAfterLock: promptAfterLock.checked
+                };
+            }
+
+            // Activity detection: idle threshold, session grace period and mouse jitter
+            const idleThresholdSeconds = document.getElementById('idleThresholdSeconds');
+            const sessionGraceMinutes = document.getElementById('sessionGraceMinutes');
+            const countMouseJitter = document.getElementById('countMouseJitter');
+            if (idleThresholdSeconds && sessionGraceMinutes && countMouseJitter) {
+                const seconds = parseInt(idleThresholdSeconds.value, 10);
+                const grace = parseInt(sessionGraceMinutes.value, 10);
+                this.settings.activity = {
+                    ...this.settings.activity,
+                    idleThresholdSeconds: seconds >= 5 ? seconds : 60,
+                    sessionGraceMinutes: grace >= 0 ? grace : 2,
+                    countMouseJitter: countMouseJitter.checked
+                };
+            }
+
+            // Focus mode lengths (settings.focus, see focus-session.js)
+            const focusWorkMinutes = document.getElementById('focusWorkMinutes');
+            const focusBreakMinutes = document.getElementById('focusBreakMinutes');
+            const focusLongBreakMinutes = document.getElementById('focusLongBreakMinutes');
+            const focusLongBreakEvery = document.getElementById('focusLongBreakEvery');
+            if (focusWorkMinutes && focusBreakMinutes && focusLongBreakMinutes && focusLongBreakEvery) {
+                const positive = (input, fallback) => {
+                    const value = parseInt(input.value, 10);
+                    return value > 0 ? value : fallback;
+                };
+                this.settings.focus = {
+                    workMinutes: positive(focusWorkMinutes, 25),
+                    breakMinutes: positive(focusBreakMinutes, 5),
+                    longBreakMinutes: positive(focusLongBreakMinutes, 15),
+                    longBreakEvery: positive(focusLongBreakEvery, 4)
+                };
+            }
+
             // Default project
             const defaultProject = document.getElementById('defaultProject');
             if (defaultProject) {
@@ -843,6 +1669,16 @@ class DesktopProgressController {
             if (!this.settings.projects || this.settings.projects.length === 0) {
                 throw new Error('At least one project is required');
             }
+            if (this.settings.server) {
+                const { port, allowedOrigins = [] } = this.settings.server;
+                if (!Number.isInteger(port) || port < 1 || port > 65535) {
+                    throw new Error('Server port must be a number between 1 and 65535');
+                }
+                const invalidOrigin = allowedOrigins.find(origin => !/^https?:\/\/[^/\s]+$/.test(origin));
+                if (invalidOrigin) {
+                    throw new Error(`Invalid allowed origin "${invalidOrigin}" - use scheme and host only, e.g. https://example.com`);
+                }
+            }
             
             this.showStatus('settingsStatus', 'Saving settings...', 'info');
             
@@ -903,6 +1739,63 @@ class DesktopProgressController {
         }
     }
 
+    async loadApiToken() {
+        try {
+            if (window.electronAPI && window.electronAPI.getApiToken) {
+                const result = await window.electronAPI.getApiToken();
+                if (result.success) {
+                    this.apiToken = result.token;
+                    this.renderApiToken(false);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load API token:', error);
+        }
+    }
+
+    renderApiToken(reveal) {
+        const tokenInput = document.getElementById('apiToken');
+        if (!tokenInput || !this.apiToken) return;
+        
+        tokenInput.value = reveal ? this.apiToken : `${this.apiToken.slice(0, 6)}${'•'.repeat(24)}`;
+        document.getElementById('toggleApiToken').textContent = reveal ? '🙈 Hide' : '👁️ Show';
+        this.apiTokenRevealed = reveal;
+    }
+
+    async copyApiToken() {
+        try {
+            await navigator.clipboard.writeText(this.apiToken);
+            this.showStatus('apiTokenStatus', 'Token copied to clipboard', 'success');
+        } catch (error) {
+            console.error('Failed to copy API token:', error);
+            this.showStatus('apiTokenStatus', 'Failed to copy token', 'error');
+        }
+    }
+
+    async rotateApiToken() {
+        if (!confirm('Rotate the API token? MCP clients and scripts using the current token will stop working until you update them.')) {
+            return;
+        }
+
+        this.setButtonLoading('rotateApiToken', true);
+        try {
+            const result = await window.electronAPI.rotateApiToken();
+            if (result.success) {
+                this.apiToken = result.token;
+                this.renderApiToken(this.apiTokenRevealed);
+                this.showStatus('apiTokenStatus', 'API token rotated', 'success');
+                this.addLog('API token rotated', 'info');
+            } else {
+                this.showStatus('apiTokenStatus', `Failed to rotate token: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to rotate API token:', error);
+            this.showStatus('apiTokenStatus', 'Failed to rotate token', 'error');
+        } finally {
+            this.setButtonLoading('rotateApiToken', false);
+        }
+    }
+
     async testNotification() {
         this.setButtonLoading('testNotification', true);
         try {
@@ -941,7 +1834,7 @@ class DesktopProgressController {
 
     async triggerManualReport() {
         this.setButtonLoading('triggerReport', true);
-        this.showProgressModal();
+        await this.showSuggestedProgressModal();
         // Reset loading state when modal is shown
         setTimeout(() => {
             this.setButtonLoading('triggerReport', false);
@@ -978,11 +1871,13 @@ class DesktopProgressController {
 
     updateProjectsUI() {
         const projectsList = document.getElementById('projectsList');
+        const archivedList = document.getElementById('archivedProjectsList');
         const defaultProjectSelect = document.getElementById('defaultProject');
         
         // Clear existing options
         defaultProjectSelect.innerHTML = '';
         projectsList.innerHTML = '';
+        archivedList.innerHTML = '';
 
         // Add projects to dropdown and list
         this.settings.projects.forEach(project => {
@@ -994,77 +1889,315 @@ class DesktopProgressController {
                 option.selected = true;
             }
             defaultProjectSelect.appendChild(option);
+        });
 
-            // Add to project list
+        // Names go in as text and reach the handlers through data-project, never inside markup or handler code
+        this.projects.forEach(project => {
             const projectTag = document.createElement('div');
-            projectTag.className = `project-tag ${project === this.settings.defaultProject ? 'default' : ''}`;
+            const details = [project.client, project.hourlyRate !== null ? `${project.hourlyRate}/h` : null].filter(Boolean).join(' · ');
+            projectTag.dataset.project = project.name;
+
+            if (project.archived) {
+                projectTag.className = 'project-tag archived';
+                projectTag.innerHTML = `
+                    <span class="project-color"></span>
+                    <span class="project-name"></span>
+                    <span class="project-action" title="Restore">↩️</span>
+                    <span class="project-remove" title="Delete">&times;</span>
+                `;
+                projectTag.querySelector('.project-color').style.background = project.color;
+                projectTag.querySelector('.project-name').textContent = project.name;
+                projectTag.querySelector('.project-action').addEventListener('click', () => {
+                    this.restoreProject(projectTag.dataset.project);
+                });
+                projectTag.querySelector('.project-remove').addEventListener('click', () => {
+                    this.deleteProject(projectTag.dataset.project);
+                });
+                archivedList.appendChild(projectTag);
+                return;
+            }
+
+            projectTag.className = `project-tag ${project.name === this.settings.defaultProject ? 'default' : ''}`;
             projectTag.innerHTML = `
-                ${project}
-                <span class="project-remove" onclick="controller.removeProject('${project}')">&times;</span>
+                <input type="color" class="project-color-input" title="Project color">
+                <span class="project-name"></span>
+                <small class="project-details"></small>
+                <span class="project-remove" title="Archive">&times;</span>
             `;
+            const colorInput = projectTag.querySelector('.project-color-input');
+            colorInput.value = project.color;
+            colorInput.addEventListener('change', () => {
+                this.updateProjectColor(projectTag.dataset.project, colorInput.value);
+            });
+            projectTag.querySelector('.project-name').textContent = project.name;
+            const detailsElement = projectTag.querySelector('.project-details');
+            if (details) {
+                detailsElement.textContent = details;
+            } else {
+                detailsElement.remove();
+            }
+            projectTag.querySelector('.project-remove').addEventListener('click', () => {
+                this.removeProject(projectTag.dataset.project);
+            });
             projectsList.appendChild(projectTag);
         });
+
+        document.getElementById('archivedProjects').style.display = archivedList.children.length > 0 ? 'block' : 'none';
+
+        // Rules can only target active projects
+        const ruleProjectSelect = document.getElementById('newRuleProject');
+        const selectedRuleProject = ruleProjectSelect.value;
+        ruleProjectSelect.innerHTML = '';
+        this.settings.projects.forEach(project => {
+            const option = document.createElement('option');
+            option.value = project;
+            option.textContent = project;
+            option.selected = project === selectedRuleProject;
+            ruleProjectSelect.appendChild(option);
+        });
+
+        this.updateProjectRulesUI();
     }
 
-    addProject() {
+    async loadProjectRules() {
+        try {
+            if (window.electronAPI && window.electronAPI.getProjectRules) {
+                const result = await window.electronAPI.getProjectRules();
+                if (result.success) {
+                    this.projectRules = result.rules;
+                } else {
+                    console.error('Failed to load project rules:', result.error);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load project rules:', error);
+        }
+    }
+
+    updateProjectRulesUI() {
+        const rulesList = document.getElementById('projectRulesList');
+        if (!rulesList) return;
+
+        const fieldLabels = { any: 'App, title or URL', app: 'App', title: 'Title', url: 'URL' };
+        const typeLabels = { contains: 'contains', glob: 'matches glob', regex: 'matches regex' };
+
+        rulesList.innerHTML = '';
+        if (this.projectRules.length === 0) {
+            rulesList.innerHTML = '<div class="project-rules-help">No rules yet - only the project name matching applies.</div>';
+            return;
+        }
+
+        this.projectRules.forEach((rule, index) => {
+            const row = document.createElement('div');
+            row.className = `project-rule ${rule.enabled === false ? 'disabled' : ''}`;
+            row.innerHTML = `
+                <input type="checkbox" title="Enabled" ${rule.enabled === false ? '' : 'checked'}
+                    onchange="controller.toggleProjectRule('${rule.id}', this.checked)">
+                <span>${fieldLabels[rule.field] || rule.field} ${typeLabels[rule.type] || rule.type}</span>
+                <span class="rule-pattern"></span>
+                <span>→ ${rule.project}</span>
+                ${index > 0 ? `<span class="rule-action" title="Move up" onclick="controller.moveProjectRule('${rule.id}', -1)">↑</span>` : ''}
+                ${index < this.projectRules.length - 1 ? `<span class="rule-action" title="Move down" onclick="controller.moveProjectRule('${rule.id}', 1)">↓</span>` : ''}
+                <span class="project-remove" title="Delete" onclick="controller.deleteProjectRule('${rule.id}')">&times;</span>
+            `;
+            // Patterns are free text (regexes included), so they're never parsed as HTML
+            const pattern = row.querySelector('.rule-pattern');
+            pattern.textContent = rule.pattern;
+            pattern.title = rule.pattern;
+            rulesList.appendChild(row);
+        });
+    }
+
+    // Applies the rule list returned by the project rule IPC handlers
+    applyProjectRuleChange(result) {
+        if (result.success) {
+            this.projectRules = result.rules;
+            this.updateProjectRulesUI();
+        } else {
+            this.showStatus('projectStatus', result.error, 'error');
+        }
+        return result.success;
+    }
+
+    async addProjectRule() {
+        const patternInput = document.getElementById('newRulePattern');
+        const pattern = patternInput.value.trim();
+        if (!pattern) return;
+
+        const result = await window.electronAPI.createProjectRule({
+            field: document.getElementById('newRuleField').value,
+            type: document.getElementById('newRuleType').value,
+            pattern,
+            project: document.getElementById('newRuleProject').value
+        });
+
+        if (this.applyProjectRuleChange(result)) {
+            patternInput.value = '';
+            this.showStatus('projectStatus', `Rule added for "${result.rule.project}"`, 'success');
+        }
+    }
+
+    async toggleProjectRule(id, enabled) {
+        this.applyProjectRuleChange(await window.electronAPI.updateProjectRule(id, { enabled }));
+    }
+
+    async moveProjectRule(id, offset) {
+        this.applyProjectRuleChange(await window.electronAPI.moveProjectRule(id, offset));
+    }
+
+    async deleteProjectRule(id) {
+        if (this.applyProjectRuleChange(await window.electronAPI.deleteProjectRule(id))) {
+            this.showStatus('projectStatus', 'Rule deleted', 'info');
+        }
+    }
+
+    // Applies the registry and settings returned by the project IPC handlers
+    applyProjectChange(result) {
+        this.projects = result.projects;
+        this.settings.projects = result.settings.projects;
+        this.settings.defaultProject = result.settings.defaultProject;
+        this.updateProjectsUI();
+        this.updateTodoUI();
+    }
+
+    async addProject() {
         const newProjectInput = document.getElementById('newProject');
         const projectName = newProjectInput.value.trim();
+        if (!projectName) return;
+
+        const client = document.getElementById('newProjectClient').value.trim();
+        const hourlyRate = document.getElementById('newProjectRate').value;
 
-        if (projectName && !this.settings.projects.includes(projectName)) {
-            this.settings.projects.push(projectName);
+        const result = await window.electronAPI.createProject({
+            name: projectName,
+            color: document.getElementById('newProjectColor').value,
+            client: client || null,
+            billable: hourlyRate !== '',
+            hourlyRate: hourlyRate !== '' ? parseFloat(hourlyRate) : null
+        });
+
+        if (result.success) {
             newProjectInput.value = '';
-            this.updateProjectsUI();
+            document.getElementById('newProjectClient').value = '';
+            document.getElementById('newProjectRate').value = '';
+            this.applyProjectChange(result);
             this.showStatus('projectStatus', `Project "${projectName}" added`, 'success');
-        } else if (projectName) {
-            this.showStatus('projectStatus', 'Project already exists', 'error');
+        } else {
+            this.showStatus('projectStatus', result.error, 'error');
         }
     }
 
-    removeProject(projectName) {
+    // Archives rather than deletes, so hours already logged against the project stay meaningful
+    async removeProject(projectName) {
         if (this.settings.projects.length <= 1) {
-            this.showStatus('projectStatus', 'Cannot remove all projects', 'error');
+            this.showStatus('projectStatus', 'Cannot archive all projects', 'error');
             return;
         }
 
-        this.settings.projects = this.settings.projects.filter(p => p !== projectName);
-        
-        if (this.settings.defaultProject === projectName) {
-            this.settings.defaultProject = this.settings.projects[0];
+        const result = await window.electronAPI.updateProject(projectName, { archived: true });
+        if (result.success) {
+            this.applyProjectChange(result);
+            this.showStatus('projectStatus', `Project "${projectName}" archived`, 'info');
+        } else {
+            this.showStatus('projectStatus', result.error, 'error');
         }
-        
-        this.updateProjectsUI();
-        this.showStatus('projectStatus', `Project "${projectName}" removed`, 'info');
     }
 
-    showProgressModal() {
+    async restoreProject(projectName) {
+        const result = await window.electronAPI.updateProject(projectName, { archived: false });
+        if (result.success) {
+            this.applyProjectChange(result);
+            this.showStatus('projectStatus', `Project "${projectName}" restored`, 'success');
+        } else {
+            this.showStatus('projectStatus', result.error, 'error');
+        }
+    }
+
+    async deleteProject(projectName) {
+        if (!confirm(`Delete project "${projectName}"? Progress already logged keeps its project name, but no new hours can be logged against it.`)) {
+            return;
+        }
+
+        const result = await window.electronAPI.deleteProject(projectName);
+        if (result.success) {
+            this.applyProjectChange(result);
+            this.showStatus('projectStatus', `Project "${projectName}" deleted`, 'info');
+        } else {
+            this.showStatus('projectStatus', result.error, 'error');
+        }
+    }
+
+    async updateProjectColor(projectName, color) {
+        const result = await window.electronAPI.updateProject(projectName, { color });
+        if (result.success) {
+            this.applyProjectChange(result);
+            this.displayProgressItems(this.progressItems);
+        } else {
+            this.showStatus('projectStatus', result.error, 'error');
+        }
+    }
+
+    // prefill: { project, hours, description, date } from a stopped timer or an activity draft; otherwise the form starts blank
+    showProgressModal(prefill = null) {
         const modal = document.getElementById('progressModal');
         const projectButtons = document.getElementById('modalProjectButtons');
+        const selectedProject = prefill && this.settings.projects.includes(prefill.project)
+            ? prefill.project
+            : this.settings.defaultProject;
         
         // Clear and populate project buttons
         projectButtons.innerHTML = '';
         this.settings.projects.forEach(project => {
             const button = document.createElement('button');
             button.type = 'button';
-            button.className = `project-btn ${project === this.settings.defaultProject ? 'active' : ''}`;
+            button.className = `project-btn ${project === selectedProject ? 'active' : ''}`;
             button.textContent = project;
             button.onclick = () => this.selectModalProject(button, project);
             projectButtons.appendChild(button);
         });
 
-        // Reset form
-        document.getElementById('modalHours').value = '1';
-        document.getElementById('modalDescription').value = '';
+        // Reset form; measured timer hours aren't quarter hours, so allow any step when prefilled
+        const hoursInput = document.getElementById('modalHours');
+        hoursInput.step = prefill ? 'any' : '0.25';
+        hoursInput.value = prefill ? String(prefill.hours) : '1';
+        document.getElementById('modalDescription').value = prefill ? prefill.description || '' : '';
         
-        // Set current time as default
-        const now = new Date();
+        // Set current time (or the time the timer stopped) as default
+        const now = prefill ? new Date(prefill.date) : new Date();
         const currentTime = now.toTimeString().split(' ')[0].substring(0, 5); // HH:MM format
         document.getElementById('modalTime').value = currentTime;
         
         this.clearStatus('modalStatus');
+        this.clearFieldErrors(PROGRESS_MODAL_FIELDS);
 
         modal.style.display = 'block';
     }
 
+    // Opens the progress form with a draft built from the last hour of window activity, if there is one
+    async showSuggestedProgressModal() {
+        let suggestion = null;
+        try {
+            if (window.electronAPI && window.electronAPI.getProgressSuggestion) {
+                const result = await window.electronAPI.getProgressSuggestion();
+                suggestion = result.success ? result.suggestion : null;
+            }
+        } catch (error) {
+            console.error('Failed to get progress suggestion:', error);
+        }
+
+        if (!suggestion) {
+            this.showProgressModal();
+            return;
+        }
+
+        this.showProgressModal({
+            ...suggestion,
+            project: suggestion.project || this.settings.defaultProject
+        });
+        this.showStatus('modalStatus',
+            `Draft from ${suggestion.activeMinutes} active minutes in the last hour - confirm or edit before submitting`, 'info');
+    }
+
     hideProgressModal() {
         document.getElementById('progressModal').style.display = 'none';
     }
@@ -1088,6 +2221,8 @@ class DesktopProgressController {
         const description = this.removeEmojis(rawDescription);
         const time = document.getElementById('modalTime').value;
 
+        this.clearFieldErrors(PROGRESS_MODAL_FIELDS);
+
         if (!description) {
             this.showStatus('modalStatus', 'Please enter a description', 'error');
             this.setButtonLoading('submitProgressBtn', false);
@@ -1117,15 +2252,25 @@ class DesktopProgressController {
             this.addLog(`Submitting progress: ${hours}h for ${selectedProject} - ${description}`, 'info');
             const result = await window.electronAPI.submitProgress(progressData);
             
-            if (result.success) {
-                this.addLog('Progress submitted successfully to Airtable', 'success');
+            if (result.success && result.queued) {
+                this.addLog(`Server unavailable, progress queued for retry: ${result.error}`, 'warning');
+                this.showStatus('modalStatus', 'Server unavailable - saved offline and will be submitted automatically', 'info');
+                setTimeout(() => {
+                    this.hideProgressModal();
+                }, 2500);
+            } else if (result.success) {
+                this.addLog('Progress submitted successfully', 'success');
                 this.showStatus('modalStatus', 'Progress submitted successfully!', 'success');
                 setTimeout(() => {
                     this.hideProgressModal();
                 }, 1500);
             } else {
                 this.addLog(`Progress submission failed: ${result.error}`, 'error');
-                this.showStatus('modalStatus', `Failed to submit: ${result.error}`, 'error');
+                if (this.showFieldErrors(PROGRESS_MODAL_FIELDS, result.fields)) {
+                    this.showStatus('modalStatus', 'Please correct the highlighted fields', 'error');
+                } else {
+                    this.showStatus('modalStatus', `Failed to submit: ${result.error}`, 'error');
+                }
             }
         } catch (error) {
             console.error('Failed to submit progress:', error);
@@ -1155,6 +2300,43 @@ class DesktopProgressController {
         element.className = 'status-message';
     }
 
+    // Shows validation messages from the server under the matching form fields.
+    // fieldMap maps server field names to element ids; returns true if any message found its field.
+    showFieldErrors(fieldMap, fields) {
+        this.clearFieldErrors(fieldMap);
+        if (!fields) return false;
+
+        let shown = false;
+        Object.entries(fields).forEach(([field, message]) => {
+            const input = fieldMap[field] && document.getElementById(fieldMap[field]);
+            if (!input) return;
+
+            const group = input.closest('.form-group') || input.parentElement;
+            let errorElement = group.querySelector('.field-error');
+            if (!errorElement) {
+                errorElement = document.createElement('div');
+                errorElement.className = 'field-error';
+                group.appendChild(errorElement);
+            }
+
+            errorElement.textContent = message;
+            input.classList.add('input-error');
+            shown = true;
+        });
+        return shown;
+    }
+
+    clearFieldErrors(fieldMap) {
+        Object.values(fieldMap).forEach(elementId => {
+            const input = document.getElementById(elementId);
+            if (!input) return;
+
+            input.classList.remove('input-error');
+            const group = input.closest('.form-group') || input.parentElement;
+            group.querySelectorAll('.field-error').forEach(errorElement => errorElement.remove());
+        });
+    }
+
     // ==================== LOADING STATE MANAGEMENT ====================
 
     setButtonLoading(buttonId, loading = true) {
@@ -1187,6 +2369,7 @@ class DesktopProgressController {
         try {
             const stored = localStorage.getItem('mcp-todos');
             this.todos = stored ? JSON.parse(stored) : [];
+            this.syncTodos();
         } catch (error) {
             console.error('Error loading todos:', error);
             this.todos = [];
@@ -1199,6 +2382,16 @@ class DesktopProgressController {
         } catch (error) {
             console.error('Error saving todos:', error);
         }
+        this.syncTodos();
+    }
+
+    syncTodos() {
+        // Mirror to-dos to the main process so MCP clients can read them
+        if (window.electronAPI && window.electronAPI.syncTodos) {
+            window.electronAPI.syncTodos(this.todos).catch(error => {
+                console.error('Error syncing todos:', error);
+            });
+        }
     }
 
     addTodo() {
@@ -1250,10 +2443,13 @@ class DesktopProgressController {
         // Update project dropdowns for to-dos
         const todoProjectSelect = document.getElementById('todoProject');
         const todoFilterSelect = document.getElementById('filterProject');
+        const timerProjectSelect = document.getElementById('timerProject');
+        const selectedTimerProject = timerProjectSelect.value;
         
         // Clear existing options
         todoProjectSelect.innerHTML = '';
         todoFilterSelect.innerHTML = '<option value="all">All Projects</option>';
+        timerProjectSelect.innerHTML = '';
 
         // Add projects
         this.settings.projects.forEach(project => {
@@ -1269,8 +2465,18 @@ class DesktopProgressController {
             filterOption.value = project;
             filterOption.textContent = project;
             todoFilterSelect.appendChild(filterOption);
+
+            const timerOption = document.createElement('option');
+            timerOption.value = project;
+            timerOption.textContent = project;
+            timerProjectSelect.appendChild(timerOption);
         });
 
+        // Keep the timer project the user picked, unless it was archived
+        timerProjectSelect.value = this.settings.projects.includes(selectedTimerProject)
+            ? selectedTimerProject
+            : this.settings.defaultProject;
+
         // Set today's date as default
         const today = new Date().toISOString().split('T')[0];
         const dateInput = document.getElementById('todoDate');
@@ -1328,7 +2534,9 @@ class DesktopProgressController {
                     <div class="todo-actions">
                         ${todo.completed ? 
                             `<button class="todo-btn undo" onclick="controller.undoTodo('${todo.id}')">Undo</button>` :
-                            `<button class="todo-btn done" onclick="controller.completeTodo('${todo.id}')">Done</button>
+                            `<button class="todo-btn start-timer" onclick="controller.startTimerForTodo('${todo.id}')">▶ Timer</button>
+                             <button class="todo-btn start-timer" onclick="controller.startFocusForTodo('${todo.id}')">🍅 Focus</button>
+                             <button class="todo-btn done" onclick="controller.completeTodo('${todo.id}')">Done</button>
                              <button class="todo-btn submit-today" onclick="controller.submitTodoToday('${todo.id}')">Submit Today</button>`
                         }
                         <button class="todo-btn delete" onclick="controller.deleteTodo('${todo.id}')">Delete</button>
@@ -1360,8 +2568,10 @@ class DesktopProgressController {
                 this.addLog(`Completing todo: ${todo.hours}h for ${todo.project} - ${todo.description}`, 'info');
                 const result = await window.electronAPI.submitProgress(progressData);
                 
-                if (result.success) {
-                    this.addLog('Todo completed and submitted to Airtable successfully', 'success');
+                if (result.success && result.queued) {
+                    this.addLog('Todo completed, progress queued for retry (server unavailable)', 'warning');
+                } else if (result.success) {
+                    this.addLog('Todo completed and submitted successfully', 'success');
                     if (window.electronAPI && window.electronAPI.showNotification) {
                         window.electronAPI.showNotification('Task completed and added to progress report!');
                     }
@@ -1415,8 +2625,10 @@ class DesktopProgressController {
                 this.addLog(`Submitting todo for today: ${todo.hours}h for ${todo.project} - ${todo.description}`, 'info');
                 const result = await window.electronAPI.submitProgress(progressData);
                 
-                if (result.success) {
-                    this.addLog('Todo submitted for today and added to Airtable successfully', 'success');
+                if (result.success && result.queued) {
+                    this.addLog('Todo submitted for today, progress queued for retry (server unavailable)', 'warning');
+                } else if (result.success) {
+                    this.addLog('Todo submitted for today successfully', 'success');
                     if (window.electronAPI && window.electronAPI.showNotification) {
                         window.electronAPI.showNotification('Task submitted for today and added to progress report!');
                     }
@@ -1494,6 +2706,8 @@ class DesktopProgressController {
         // Update every second
         setInterval(() => {
             this.updateCurrentTimeDisplay();
+            this.updateTimerElapsed();
+            this.updateFocusCountdown();
         }, 1000);
         
         // Update status every minute
@@ -1531,13 +2745,6 @@ class DesktopProgressController {
                 console.log(`✅ State changed to: ${newState}`);
             }
         }, 30000); // Check every 30 seconds (reduced frequency)
-        
-        // Refresh activity stats every 2 minutes to prevent flickering
-        setInterval(() => {
-            if (this.uiReady) {
-                this.refreshActivityStats();
-            }
-        }, 120000); // Every 2 minutes
     }
 
     startRealTimeUpdates() {
@@ -1554,13 +2761,20 @@ class DesktopProgressController {
                     // Update current minute segment state
                     this.updateCurrentMinuteState();
                     
-                    // Save current timeline data and activity stats
+                    // Save current timeline data and reload today's activity stats
                     this.saveRealTimelineData();
                     this.saveChartData();
-                    this.saveActivityStats();
+                    this.loadActivityStats();
                     
                     // Update breakdown with latest data
                     this.updateActivityBreakdown();
+                    this.refreshProjectTime();
+                    if (!this.appUsageDate) {
+                        this.refreshAppUsage();
+                    }
+                    if (!this.insightsWeek) {
+                        this.refreshWeeklyInsights();
+                    }
                     
                     console.log(`📊 Timeline updated for minute ${currentMinute}`);
                 }
@@ -1600,17 +2814,37 @@ class DesktopProgressController {
     }
 
     // Progress Items Management
-    async loadProgressItems() {
-        this.setButtonLoading('refreshProgress', true);
+    // append loads the next page after the items already shown
+    async loadProgressItems(append = false) {
+        const buttonId = append ? 'loadMoreProgress' : 'refreshProgress';
+        this.setButtonLoading(buttonId, true);
         try {
             this.showStatus('progressStatus', 'Loading progress items...', 'info');
             
-            if (window.electronAPI && window.electronAPI.getProgressItems) {
-                const items = await window.electronAPI.getProgressItems();
+            if (window.electronAPI && window.electronAPI.queryProgressItems) {
+                const { from, to } = this.getProgressDateRange(document.getElementById('progressDateFilter').value);
+                const result = await window.electronAPI.queryProgressItems({
+                    from: from ? from.toISOString() : undefined,
+                    to: to ? to.toISOString() : undefined,
+                    sort: '-date',
+                    limit: this.progressPageSize,
+                    cursor: append ? this.progressNextCursor : undefined
+                });
                 
-                // Store progress items for efficiency calculations
-                this.progressItems = items || [];
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
                 
+                // Hide an item whose delete can still be undone
+                const pageItems = result.items.filter(item => item.id !== this.pendingDelete?.item.id);
+                this.progressItems = append ? [...this.progressItems, ...pageItems] : pageItems;
+                this.progressNextCursor = result.nextCursor;
+                document.getElementById('loadMoreProgress').style.display = result.nextCursor ? 'inline-block' : 'none';
+                
+                // Today's items feed the efficiency calculations, whatever range the table shows
+                await this.loadTodayProgressItems();
+                
+                const items = this.progressItems;
                 if (items && items.length > 0) {
                     this.displayProgressItems(items);
                     this.showStatus('progressStatus', `Loaded ${items.length} progress items`, 'success');
@@ -1655,7 +2889,19 @@ class DesktopProgressController {
             
             this.showStatus('progressStatus', `Failed to load progress items: ${error.message}`, 'error');
         } finally {
-            this.setButtonLoading('refreshProgress', false);
+            this.setButtonLoading(buttonId, false);
+        }
+    }
+
+    async loadTodayProgressItems() {
+        const { from, to } = this.getProgressDateRange('today');
+        const result = await window.electronAPI.queryProgressItems({
+            from: from.toISOString(),
+            to: to.toISOString()
+        });
+        
+        if (result.success) {
+            this.todayProgressItems = result.items;
         }
     }
 
@@ -1707,7 +2953,7 @@ class DesktopProgressController {
                         ${formattedDate}<br>
                         <small>${formattedTime}</small>
                     </td>
-                    <td class="project-cell">${item.project || 'GGSA'}</td>
+                    <td class="project-cell" style="${this.getProjectColor(item.project) ? `color: ${this.getProjectColor(item.project)}` : ''}">${item.project || 'GGSA'}</td>
                     <td class="hours-cell">${item.hours}h</td>
                     <td class="description-cell">${item.description}</td>
                     <td class="actions-cell">
@@ -1722,43 +2968,37 @@ class DesktopProgressController {
             `;
         }).join('');
     }
-
-    filterProgressItems(items, filter) {
-        const now = new Date();
-        
-        // Check if we're using custom date range
-        if (filter === 'custom') {
-            const fromDate = document.getElementById('customDateFrom').value;
-            const toDate = document.getElementById('customDateTo').value;
-            
-            if (fromDate || toDate) {
-                return items.filter(item => {
-                    const itemDate = new Date(item.date);
-                    const fromCheck = fromDate ? itemDate >= new Date(fromDate) : true;
-                    const toCheck = toDate ? itemDate <= new Date(toDate + ' 23:59:59') : true;
-                    return fromCheck && toCheck;
-                });
-            }
-        }
+
+    // Date range for a Progress tab filter; null bounds are open-ended
+    getProgressDateRange(filter) {
+        const now = new Date();
         
         switch (filter) {
-            case 'today':
-                return items.filter(item => {
-                    const itemDate = new Date(item.date);
-                    return itemDate.toDateString() === now.toDateString();
-                });
+            case 'custom': {
+                const fromDate = document.getElementById('customDateFrom').value;
+                const toDate = document.getElementById('customDateTo').value;
+                return {
+                    from: fromDate ? new Date(fromDate + 'T00:00:00') : null,
+                    to: toDate ? new Date(toDate + 'T23:59:59.999') : null
+                };
+            }
+            
+            case 'today': {
+                const todayStart = new Date(now);
+                todayStart.setHours(0, 0, 0, 0);
+                const todayEnd = new Date(now);
+                todayEnd.setHours(23, 59, 59, 999);
+                return { from: todayStart, to: todayEnd };
+            }
             
-            case 'week':
+            case 'week': {
                 const weekStart = new Date(now);
                 weekStart.setDate(now.getDate() - now.getDay());
                 weekStart.setHours(0, 0, 0, 0);
-                
-                return items.filter(item => {
-                    const itemDate = new Date(item.date);
-                    return itemDate >= weekStart;
-                });
+                return { from: weekStart, to: null };
+            }
             
-            case 'lastWeek':
+            case 'lastWeek': {
                 const lastWeekStart = new Date(now);
                 lastWeekStart.setDate(now.getDate() - now.getDay() - 7);
                 lastWeekStart.setHours(0, 0, 0, 0);
@@ -1766,51 +3006,39 @@ class DesktopProgressController {
                 const lastWeekEnd = new Date(lastWeekStart);
                 lastWeekEnd.setDate(lastWeekStart.getDate() + 6);
                 lastWeekEnd.setHours(23, 59, 59, 999);
-                
-                return items.filter(item => {
-                    const itemDate = new Date(item.date);
-                    return itemDate >= lastWeekStart && itemDate <= lastWeekEnd;
-                });
+                return { from: lastWeekStart, to: lastWeekEnd };
+            }
             
             case 'month':
-                const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-                
-                return items.filter(item => {
-                    const itemDate = new Date(item.date);
-                    return itemDate >= monthStart;
-                });
+                return { from: new Date(now.getFullYear(), now.getMonth(), 1), to: null };
             
-            case 'lastMonth':
-                const lastMonthStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+            case 'lastMonth': {
                 const lastMonthEnd = new Date(now.getFullYear(), now.getMonth(), 0);
                 lastMonthEnd.setHours(23, 59, 59, 999);
-                
-                return items.filter(item => {
-                    const itemDate = new Date(item.date);
-                    return itemDate >= lastMonthStart && itemDate <= lastMonthEnd;
-                });
+                return { from: new Date(now.getFullYear(), now.getMonth() - 1, 1), to: lastMonthEnd };
+            }
             
             case 'quarter':
-                const quarterStart = new Date(now.getFullYear(), Math.floor(now.getMonth() / 3) * 3, 1);
-                
-                return items.filter(item => {
-                    const itemDate = new Date(item.date);
-                    return itemDate >= quarterStart;
-                });
+                return { from: new Date(now.getFullYear(), Math.floor(now.getMonth() / 3) * 3, 1), to: null };
             
             case 'year':
-                const yearStart = new Date(now.getFullYear(), 0, 1);
-                
-                return items.filter(item => {
-                    const itemDate = new Date(item.date);
-                    return itemDate >= yearStart;
-                });
+                return { from: new Date(now.getFullYear(), 0, 1), to: null };
             
             default: // 'all'
-                return items;
+                return { from: null, to: null };
         }
     }
 
+    // The server already filters by date; this keeps optimistic edits that move an item out of range off the table
+    filterProgressItems(items, filter) {
+        const { from, to } = this.getProgressDateRange(filter);
+        
+        return items.filter(item => {
+            const itemDate = new Date(item.date);
+            return (!from || itemDate >= from) && (!to || itemDate <= to);
+        });
+    }
+
     editProgressItem(id, item) {
         this.currentEditingItem = { id, ...item };
         
@@ -1847,90 +3075,154 @@ class DesktopProgressController {
     }
 
     async saveProgressItem() {
-        this.setButtonLoading('saveProgressChangesBtn', true);
-        try {
-            const project = document.getElementById('editProject').value;
-            const hours = parseFloat(document.getElementById('editHours').value);
-            const rawDescription = document.getElementById('editDescription').value.trim();
-            const description = this.removeEmojis(rawDescription);
-            const date = document.getElementById('editDate').value;
-            const time = document.getElementById('editTime').value;
-
-            if (!hours || !description || !date || !time) {
-                this.showStatus('editModalStatus', 'Please fill in all required fields', 'error');
-                this.setButtonLoading('saveProgressChangesBtn', false);
-                return;
-            }
+        const project = document.getElementById('editProject').value;
+        const hours = parseFloat(document.getElementById('editHours').value);
+        const rawDescription = document.getElementById('editDescription').value.trim();
+        const description = this.removeEmojis(rawDescription);
+        const date = document.getElementById('editDate').value;
+        const time = document.getElementById('editTime').value;
 
-            // Combine date and time into ISO string
-            const combinedDateTime = new Date(date + 'T' + time).toISOString();
+        if (!hours || !description || !date || !time) {
+            this.showStatus('editModalStatus', 'Please fill in all required fields', 'error');
+            return;
+        }
 
-            const updatedItem = {
-                id: this.currentEditingItem.id,
-                project,
-                hours,
-                description,
-                date: combinedDateTime
-            };
+        if (!window.electronAPI || !window.electronAPI.updateProgressItem) {
+            this.showStatus('editModalStatus', 'Update API not available', 'error');
+            return;
+        }
 
-            this.showStatus('editModalStatus', 'Saving changes...', 'info');
+        // Combine date and time into ISO string
+        const combinedDateTime = new Date(date + 'T' + time).toISOString();
 
-            if (window.electronAPI && window.electronAPI.updateProgressItem) {
-                const result = await window.electronAPI.updateProgressItem(updatedItem);
-                
-                if (result.success) {
-                    this.showStatus('editModalStatus', 'Progress item updated successfully!', 'success');
-                    setTimeout(() => {
-                        this.hideEditModal();
-                        this.loadProgressItems();
-                    }, 1000);
-                } else {
-                    this.showStatus('editModalStatus', `Failed to update: ${result.error}`, 'error');
+        const updatedItem = {
+            id: this.currentEditingItem.id,
+            project,
+            hours,
+            description,
+            date: combinedDateTime
+        };
+
+        // Optimistic update: show the change right away and roll back if the server rejects it
+        const index = this.progressItems.findIndex(item => item.id === updatedItem.id);
+        const previousItem = index >= 0 ? this.progressItems[index] : null;
+        if (previousItem) {
+            this.progressItems[index] = { ...previousItem, ...updatedItem };
+            this.displayProgressItems(this.progressItems);
+        }
+        this.hideEditModal();
+        this.showStatus('progressStatus', 'Saving changes...', 'info');
+
+        try {
+            const result = await window.electronAPI.updateProgressItem(updatedItem);
+
+            if (result.success) {
+                const current = this.progressItems.findIndex(item => item.id === updatedItem.id);
+                if (current >= 0) {
+                    this.progressItems[current] = result.item;
+                    this.displayProgressItems(this.progressItems);
                 }
+                this.showStatus('progressStatus', 'Progress item updated successfully!', 'success');
+                this.addLog(`Updated progress item: ${description} (${hours}h)`, 'success');
+                await this.loadTodayProgressItems();
+                this.updateActivityUI();
             } else {
-                this.showStatus('editModalStatus', 'Update API not available', 'error');
+                this.revertProgressItem(updatedItem.id, previousItem);
+                if (result.fields) {
+                    // Reopen the form with the rejected values so the messages can sit next to their fields
+                    this.editProgressItem(updatedItem.id, updatedItem);
+                    if (this.showFieldErrors(EDIT_MODAL_FIELDS, result.fields)) {
+                        this.showStatus('editModalStatus', 'Please correct the highlighted fields', 'error');
+                        this.clearStatus('progressStatus');
+                        return;
+                    }
+                    this.hideEditModal();
+                }
+                this.showStatus('progressStatus', `Failed to update: ${result.error}`, 'error');
             }
         } catch (error) {
             console.error('Failed to save progress item:', error);
-            this.showStatus('editModalStatus', 'Failed to save changes', 'error');
-        } finally {
-            this.setButtonLoading('saveProgressChangesBtn', false);
+            this.revertProgressItem(updatedItem.id, previousItem);
+            this.showStatus('progressStatus', 'Failed to save changes', 'error');
         }
     }
 
-    async deleteProgressItem(id) {
-        if (!confirm('Are you sure you want to delete this progress item? This action cannot be undone.')) {
-            return;
+    revertProgressItem(id, previousItem) {
+        const index = this.progressItems.findIndex(item => item.id === id);
+        if (index >= 0 && previousItem) {
+            this.progressItems[index] = previousItem;
+            this.displayProgressItems(this.progressItems);
         }
+    }
+
+    // Deletes are optimistic: the row disappears at once, but the server delete only happens
+    // once the undo window has passed, so undo never has to recreate the item.
+    deleteProgressItem(id) {
+        const index = this.progressItems.findIndex(item => item.id === id);
+        if (index < 0) return;
+
+        // Only one delete can be undone at a time
+        this.commitPendingDelete();
+
+        const [item] = this.progressItems.splice(index, 1);
+        this.displayProgressItems(this.progressItems);
+
+        this.pendingDelete = {
+            item,
+            index,
+            timer: setTimeout(() => this.commitPendingDelete(), 6000)
+        };
+
+        document.getElementById('undoDeleteText').textContent = `Deleted "${item.description}" (${item.hours}h)`;
+        document.getElementById('progressUndoBar').style.display = 'flex';
+    }
+
+    undoDeleteProgressItem() {
+        if (!this.pendingDelete) return;
+
+        const { item, index, timer } = this.pendingDelete;
+        clearTimeout(timer);
+        this.pendingDelete = null;
+
+        this.progressItems.splice(Math.min(index, this.progressItems.length), 0, item);
+        this.displayProgressItems(this.progressItems);
+        document.getElementById('progressUndoBar').style.display = 'none';
+        this.addLog(`Restored progress item: ${item.description}`, 'info');
+    }
+
+    async commitPendingDelete() {
+        if (!this.pendingDelete) return;
+
+        const { item, index, timer } = this.pendingDelete;
+        clearTimeout(timer);
+        this.pendingDelete = null;
+        document.getElementById('progressUndoBar').style.display = 'none';
 
-        this.setButtonLoading('deleteProgress', true);
         try {
-            this.showStatus('progressStatus', 'Deleting progress item...', 'info');
+            const result = await window.electronAPI.deleteProgressItem(item.id);
 
-            if (window.electronAPI && window.electronAPI.deleteProgressItem) {
-                const result = await window.electronAPI.deleteProgressItem(id);
-                
-                if (result.success) {
-                    this.showStatus('progressStatus', 'Progress item deleted successfully', 'success');
-                    this.loadProgressItems();
-                    setTimeout(() => this.clearStatus('progressStatus'), 3000);
-                } else {
-                    this.showStatus('progressStatus', `Failed to delete: ${result.error}`, 'error');
-                }
+            if (result.success) {
+                this.addLog(`Deleted progress item: ${item.description} (${item.hours}h)`, 'success');
+                await this.loadTodayProgressItems();
+                this.updateActivityUI();
             } else {
-                this.showStatus('progressStatus', 'Delete API not available', 'error');
+                // Put the row back so the table matches the server again
+                this.progressItems.splice(Math.min(index, this.progressItems.length), 0, item);
+                this.displayProgressItems(this.progressItems);
+                this.showStatus('progressStatus', `Failed to delete: ${result.error}`, 'error');
             }
         } catch (error) {
             console.error('Failed to delete progress item:', error);
+            this.progressItems.splice(Math.min(index, this.progressItems.length), 0, item);
+            this.displayProgressItems(this.progressItems);
             this.showStatus('progressStatus', 'Failed to delete progress item', 'error');
-        } finally {
-            this.setButtonLoading('deleteProgress', false);
         }
     }
 
     hideEditModal() {
         document.getElementById('editProgressModal').style.display = 'none';
         this.clearStatus('editModalStatus');
+        this.clearFieldErrors(EDIT_MODAL_FIELDS);
         this.currentEditingItem = null;
     }
 
@@ -2046,7 +3338,7 @@ class DesktopProgressController {
             // Test environment file
             await this.testEnvironmentFile();
             
-            // Test Airtable connection
+            // Test storage connection
             await this.testAirtableConnection();
             
             this.addLog('Diagnostics loaded', 'success');
@@ -2096,8 +3388,8 @@ class DesktopProgressController {
 
         // Check if we can access environment variables
         try {
-            const response = await fetch('http://localhost:8087/health');
-            if (response.ok) {
+            const result = await window.electronAPI.testServerConnection();
+            if (result.success) {
                 envFileStatus.textContent = '✅ Loaded';
                 envFileStatus.style.color = 'var(--accent-green)';
                 this.addLog('Environment file loaded successfully', 'success');
@@ -2131,21 +3423,21 @@ class DesktopProgressController {
                 if (items && Array.isArray(items)) {
                     airtableStatus.textContent = `✅ Connected (${items.length} items)`;
                     airtableStatus.style.color = 'var(--accent-green)';
-                    this.addLog(`Airtable connection successful - ${items.length} items found`, 'success');
+                    this.addLog(`Storage connection successful - ${items.length} items found`, 'success');
                 } else {
                     airtableStatus.textContent = '❌ No data returned';
                     airtableStatus.style.color = 'var(--accent-red)';
-                    this.addLog('Airtable connection failed - no data returned', 'error');
+                    this.addLog('Storage connection failed - no data returned', 'error');
                 }
             } else {
                 airtableStatus.textContent = '❓ API not available';
                 airtableStatus.style.color = 'var(--text-muted)';
-                this.addLog('Airtable test API not available', 'warning');
+                this.addLog('Storage test API not available', 'warning');
             }
         } catch (error) {
             airtableStatus.textContent = `❌ Error: ${error.message}`;
             airtableStatus.style.color = 'var(--accent-red)';
-            this.addLog(`Airtable connection test failed: ${error.message}`, 'error');
+            this.addLog(`Storage connection test failed: ${error.message}`, 'error');
         } finally {
             this.setButtonLoading('testAirtableConnection', false);
         }
@@ -2211,27 +3503,19 @@ class DesktopProgressController {
         try {
             this.addLog('Calling Anthropic API for intelligent plan generation...', 'info');
             
-            const response = await fetch('http://localhost:8087/generate-plan', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    project: project,
-                    goals: goals,
-                    workPattern: workPattern,
-                    workingDays: workingDays
-                })
+            // The main process calls the embedded server with the API token
+            const data = await window.electronAPI.generatePlan({
+                project: project,
+                goals: goals,
+                workPattern: workPattern,
+                workingDays: workingDays
             });
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
+            if (!data.success) {
+                throw new Error(data.error);
             }
-
-            const data = await response.json();
             
-            if (!data.success || !data.plan) {
+            if (!data.plan) {
                 throw new Error('Invalid response from AI planning service');
             }
 
@@ -2459,6 +3743,16 @@ class DesktopProgressController {
         
         // Store the plan for later use
         this.currentGeneratedPlan = plan;
+        this.syncCurrentPlan();
+    }
+
+    syncCurrentPlan() {
+        // Mirror the plan to the main process so MCP clients can read plan://current
+        if (window.electronAPI && window.electronAPI.syncCurrentPlan) {
+            window.electronAPI.syncCurrentPlan(this.currentGeneratedPlan).catch(error => {
+                console.error('Error syncing current plan:', error);
+            });
+        }
     }
 
     async addAllGeneratedTodos() {
@@ -2516,6 +3810,7 @@ class DesktopProgressController {
         const planSection = document.getElementById('generatedPlanSection');
         planSection.style.display = 'none';
         this.currentGeneratedPlan = null;
+        this.syncCurrentPlan();
         this.showStatus('planActionsStatus', 'Plan cleared', 'info');
         this.addLog('Generated plan cleared', 'info');
     }
@@ -2752,25 +4047,22 @@ class DesktopProgressController {
                             project: todo.project
                         };
 
-                        // Submit to server
-                        const response = await fetch('http://localhost:8087/add-progress', {
-                            method: 'POST',
-                            headers: {
-                                'Content-Type': 'application/json'
-                            },
-                            body: JSON.stringify(progressData)
-                        });
+                        // Submit through the main process so failed submissions land in the outbox
+                        const result = await window.electronAPI.submitProgress(progressData);
 
-                        if (response.ok) {
+                        if (result.success) {
                             // Mark todo as completed
                             todo.completed = true;
                             todo.completedAt = new Date().toISOString();
                             submittedCount++;
                             
-                            this.addLog(`Submitted progress: ${todo.description} (${todo.hours || 1}h)`, 'success');
+                            if (result.queued) {
+                                this.addLog(`Progress queued for retry: ${todo.description} (${todo.hours || 1}h)`, 'warning');
+                            } else {
+                                this.addLog(`Submitted progress: ${todo.description} (${todo.hours || 1}h)`, 'success');
+                            }
                         } else {
-                            const errorData = await response.json();
-                            errors.push(`${todo.description}: ${errorData.error}`);
+                            errors.push(`${todo.description}: ${result.error}`);
                         }
                     } catch (error) {
                         errors.push(`${todo.description}: ${error.message}`);
@@ -2821,9 +4113,25 @@ class DesktopProgressController {
     }
 
     // Activity Monitoring Methods
-    updateActivityStats(activityData) {
-        this.activityStats = { ...this.activityStats, ...activityData };
-        this.updateActivityUI();
+    // Today's activity from the main process's activity engine - the same numbers as the activity history
+    // and the MCP servers. Returns the IPC result ({ success, stats, permissions } or { success, error }).
+    async loadActivityStats() {
+        try {
+            const result = await window.electronAPI.getActivityStats();
+            if (result.success) {
+                this.activityStats = result.stats;
+                this.activityPermissions = result.permissions;
+                if (this.uiReady) {
+                    this.updateActivityUI();
+                }
+            } else {
+                console.error('Failed to load activity stats:', result.error);
+            }
+            return result;
+        } catch (error) {
+            console.error('Failed to load activity stats:', error);
+            return { success: false, error: error.message };
+        }
     }
 
     updateActivityUI() {
@@ -2834,10 +4142,7 @@ class DesktopProgressController {
         const activityStatus = document.getElementById('activityStatus');
 
         if (todayActiveTime) {
-            // Show total time including current session if active
-            const totalActiveTime = this.activityStats.dailyActive + 
-                (this.activityStats.isActive ? this.activityStats.sessionTime : 0);
-            todayActiveTime.textContent = this.formatDuration(totalActiveTime);
+            todayActiveTime.textContent = this.formatDuration(this.activityStats.dailyActive);
         }
 
         if (todayLoggedTime) {
@@ -2849,8 +4154,7 @@ class DesktopProgressController {
         }
 
         if (todayEfficiency) {
-            const totalActiveTime = this.activityStats.dailyActive + 
-                (this.activityStats.isActive ? this.activityStats.sessionTime : 0);
+            const totalActiveTime = this.activityStats.dailyActive;
             const loggedMs = this.getTodayLoggedTime();
             const efficiency = totalActiveTime > 0 ? Math.round((loggedMs / totalActiveTime) * 100) : 0;
             todayEfficiency.textContent = `${Math.min(efficiency, 100)}%`;
@@ -2860,6 +4164,11 @@ class DesktopProgressController {
             activityStatus.textContent = this.activityStats.isActive ? 'Active' : 'Idle';
         }
 
+        const activityDetection = document.getElementById('activityDetection');
+        if (activityDetection && this.activityStats.detection) {
+            activityDetection.textContent = this.describeActivityDetection(this.activityStats);
+        }
+
         // Update real-time monitor
         const currentSessionTime = document.getElementById('currentSessionTime');
         const activityStatusDot = document.getElementById('activityStatusDot');
@@ -2884,9 +4193,6 @@ class DesktopProgressController {
         this.updateActivityChart(this.activityStats);
         
         // Timeline updates are handled by the unified minute-based system
-        
-        // Update weekly insights
-        this.updateWeeklyInsights();
     }
 
     updateActivityBreakdown() {
@@ -2973,6 +4279,154 @@ class DesktopProgressController {
         }
     }
 
+    async refreshProjectTime() {
+        try {
+            if (!window.electronAPI || !window.electronAPI.getProjectTime) return;
+
+            const result = await window.electronAPI.getProjectTime();
+            if (result.success) {
+                this.updateProjectTimeUI(result.usage);
+            } else {
+                console.error('Failed to load project time:', result.error);
+            }
+        } catch (error) {
+            console.error('Failed to load project time:', error);
+        }
+    }
+
+    // usage: { projects: { name: ms }, unassigned: ms } for today, from the main process
+    updateProjectTimeUI(usage) {
+        const tbody = document.getElementById('projectTimeTableBody');
+        if (!tbody) return;
+
+        // todayProgressItems only holds today's items
+        const logged = {};
+        this.todayProgressItems.forEach(item => {
+            logged[item.project] = (logged[item.project] || 0) + item.hours * 3600000;
+        });
+
+        const projects = [...new Set([...Object.keys(usage.projects), ...Object.keys(logged)])]
+            .sort((a, b) => (usage.projects[b] || 0) - (usage.projects[a] || 0));
+
+        if (projects.length === 0 && usage.unassigned < 60000) {
+            tbody.innerHTML = `
+                <tr class="empty-state">
+                    <td colspan="4" class="empty-state">No window activity tracked today yet.</td>
+                </tr>
+            `;
+            return;
+        }
+
+        const rows = projects.map(project => {
+            const active = usage.projects[project] || 0;
+            const loggedTime = logged[project] || 0;
+            const difference = active - loggedTime;
+            // Over 15 minutes either way is worth pointing out
+            const differenceClass = difference > 900000 ? 'unlogged' : difference < -900000 ? 'overlogged' : '';
+            const color = this.getProjectColor(project);
+
+            return `
+                <tr>
+                    <td class="project-cell">
+                        ${color ? `<span class="project-color" style="background: ${color}; display: inline-block;"></span>` : ''}
+                        ${project}
+                    </td>
+                    <td class="hours-cell">${this.formatDuration(active)}</td>
+                    <td class="hours-cell">${this.formatDuration(loggedTime)}</td>
+                    <td class="hours-cell project-time-difference ${differenceClass}">
+                        ${difference < 0 ? '-' : '+'}${this.formatDuration(Math.abs(difference))}
+                    </td>
+                </tr>
+            `;
+        });
+
+        if (usage.unassigned >= 60000) {
+            rows.push(`
+                <tr>
+                    <td class="project-cell" style="color: var(--text-secondary);">No project (add a rule)</td>
+                    <td class="hours-cell">${this.formatDuration(usage.unassigned)}</td>
+                    <td class="hours-cell">-</td>
+                    <td class="hours-cell">-</td>
+                </tr>
+            `);
+        }
+
+        tbody.innerHTML = rows.join('');
+    }
+
+    async refreshAppUsage() {
+        try {
+            if (!window.electronAPI || !window.electronAPI.getAppUsage) return;
+
+            const result = await window.electronAPI.getAppUsage(this.appUsageDate);
+            if (result.success) {
+                this.updateAppUsageUI(result.usage, result.days);
+            } else {
+                console.error('Failed to load application usage:', result.error);
+            }
+        } catch (error) {
+            console.error('Failed to load application usage:', error);
+        }
+    }
+
+    // usage: { date, activeTime, apps: [{ appName, time, titles: [{ title, time }] }] }, largest first
+    updateAppUsageUI(usage, days = []) {
+        const dateInput = document.getElementById('appUsageDate');
+        const topApps = document.getElementById('topApps');
+        const breakdown = document.getElementById('appUsageBreakdown');
+        if (!dateInput || !topApps || !breakdown) return;
+
+        dateInput.value = usage.date;
+        dateInput.min = days[0] || usage.date;
+        document.getElementById('appUsageTotal').textContent = usage.activeTime > 0
+            ? `${this.formatDuration(usage.activeTime)} active in ${usage.apps.length} app${usage.apps.length === 1 ? '' : 's'}`
+            : '';
+
+        // Keep expanded apps expanded across the once-a-minute refresh
+        const expanded = new Set([...breakdown.querySelectorAll('details[open]')].map(details => details.dataset.app));
+        topApps.innerHTML = '';
+        breakdown.innerHTML = '';
+
+        if (usage.apps.length === 0) {
+            topApps.innerHTML = '<div class="app-usage-empty">No application usage recorded for this day.</div>';
+            return;
+        }
+
+        // App names and window titles are arbitrary text, so they're set as text rather than HTML
+        const topTime = usage.apps[0].time;
+        usage.apps.slice(0, this.topAppCount).forEach(app => {
+            const row = document.createElement('div');
+            row.className = 'usage-bar';
+            row.innerHTML = `
+                <span class="usage-bar-name"></span>
+                <div class="usage-bar-track"><div class="usage-bar-fill" style="width: ${Math.max(app.time / topTime * 100, 1)}%"></div></div>
+                <span class="usage-bar-value">${this.formatDuration(app.time)}</span>
+            `;
+            row.querySelector('.usage-bar-name').textContent = app.appName;
+            row.title = `${app.appName}: ${Math.round(app.time / usage.activeTime * 100)}% of active time`;
+            topApps.appendChild(row);
+        });
+
+        usage.apps.forEach(app => {
+            const details = document.createElement('details');
+            details.innerHTML = `<summary><span></span><span>${this.formatDuration(app.time)}</span></summary>`;
+            details.querySelector('summary span').textContent = app.appName;
+            details.dataset.app = app.appName;
+            details.open = expanded.has(app.appName);
+
+            app.titles.forEach(entry => {
+                const row = document.createElement('div');
+                row.className = 'app-usage-title';
+                row.innerHTML = `<span></span><span>${this.formatDuration(entry.time)}</span>`;
+                row.firstElementChild.textContent = entry.title;
+                row.firstElementChild.title = entry.title;
+                details.appendChild(row);
+            });
+
+            breakdown.appendChild(details);
+        });
+    }
+
     getTodayLoggedTime() {
         const today = new Date().toISOString().split('T')[0];
         const todayProgress = this.getProgressItemsForDate(today);
@@ -2980,11 +4434,11 @@ class DesktopProgressController {
     }
 
     getProgressItemsForDate(date) {
-        if (!this.progressItems || !Array.isArray(this.progressItems)) {
+        if (!this.todayProgressItems || !Array.isArray(this.todayProgressItems)) {
             return [];
         }
         
-        return this.progressItems.filter(item => {
+        return this.todayProgressItems.filter(item => {
             if (!item.date) return false;
             
             // Handle different date formats
@@ -3005,11 +4459,13 @@ class DesktopProgressController {
         
         this.setButtonLoading('refreshActivity', true);
         try {
-            // Activity Overview is now updated in real-time from native activity events
-            // This refresh just updates the UI with current stats
-            this.updateActivityUI();
+            const result = await this.loadActivityStats();
+            if (result.success) {
                 this.addLog('Activity stats refreshed', 'success');
-            console.log('📊 Activity stats refreshed from real-time tracking:', this.activityStats);
+                console.log('📊 Activity stats refreshed:', this.activityStats);
+            } else {
+                this.addLog(`Failed to refresh activity stats: ${result.error}`, 'error');
+            }
         } catch (error) {
             console.error('Error refreshing activity stats:', error);
             this.addLog('Failed to refresh activity stats', 'error');
@@ -3052,9 +4508,24 @@ class DesktopProgressController {
         }
     }
 
+    // One line about how activity is detected, from the settings the engine is using
+    describeActivityDetection({ source, detection }) {
+        const seconds = Math.round(detection.idleThreshold / 1000);
+        const idle = seconds % 60 === 0 ? `${seconds / 60}m` : `${seconds}s`;
+        return [
+            source === 'native' ? `System-wide idle detection (${detection.idleBackend})` : 'Window focus (native idle detection unavailable)',
+            `idle after ${idle} without input`,
+            detection.sessionGap > 0 ? `breaks up to ${this.formatDuration(detection.sessionGap)} continue a session` : 'any break ends a session',
+            detection.countMouseJitter ? 'tiny mouse movements count' : 'tiny mouse movements ignored'
+        ].join(' · ');
+    }
+
     showActivitySettings() {
         // For now, just show a simple alert - could be expanded to a modal
-        alert('Activity monitoring settings:\n\n• Monitoring runs automatically when app is open\n• Activity is detected based on window focus\n• Data is saved locally and resets daily\n• Idle threshold: 1 minute of inactivity');
+        const detection = this.activityStats.detection
+            ? this.describeActivityDetection(this.activityStats).split(' · ').map(line => `• ${line}`).join('\n')
+            : '• Activity detection is starting';
+        alert(`Activity monitoring settings:\n\n• Monitoring runs automatically when app is open\n${detection}\n• Every day is kept in the activity history\n\nChange these under Settings > Activity Detection.`);
     }
 
 
@@ -3076,6 +4547,11 @@ class DesktopProgressController {
             
             // Load keypress counter stats
             await this.refreshKeypressStats();
+
+            // Active time per project next to the logged hours, and per application
+            await this.refreshProjectTime();
+            await this.refreshAppUsage();
+            await this.refreshWeeklyInsights();
             
             // Start periodic update of last keypress time
             if (this.keypressUpdateInterval) {
@@ -3133,13 +4609,13 @@ class DesktopProgressController {
     async refreshNativeStats() {
         try {
             this.setButtonLoading('refreshNativeStats', true);
-            const stats = await window.electronAPI.getNativeActivityStats();
+            const result = await this.loadActivityStats();
             
-            if (stats.error) {
+            if (!result.success) {
                 this.updateNativeTrackingStatus('Not Available', 'error');
-                this.addLog(`Native tracking error: ${stats.error}`, 'warning');
+                this.addLog(`Native tracking error: ${result.error}`, 'warning');
             } else {
-                this.updateNativeActivityUI(stats);
+                this.updateNativeActivityUI(result);
                 this.addLog('Native activity stats refreshed', 'info');
             }
         } catch (error) {
@@ -3174,12 +4650,12 @@ class DesktopProgressController {
     async refreshKeypressStats() {
         try {
             this.setButtonLoading('refreshKeypressStats', true);
-            const stats = await window.electronAPI.getNativeActivityStats();
+            const result = await this.loadActivityStats();
             
-            if (stats.error) {
-                this.addLog(`Keypress tracking error: ${stats.error}`, 'warning');
+            if (!result.success) {
+                this.addLog(`Keypress tracking error: ${result.error}`, 'warning');
             } else {
-                this.updateKeypressUI(stats);
+                this.updateKeypressUI(result);
                 this.addLog('Keypress stats refreshed', 'info');
             }
         } catch (error) {
@@ -3190,7 +4666,8 @@ class DesktopProgressController {
         }
     }
 
-    updateKeypressUI(stats) {
+    // result: see loadActivityStats
+    updateKeypressUI({ stats }) {
         // Initialize keypress tracking variables if they don't exist
         if (!this.keypressData) {
             this.keypressData = {
@@ -3203,57 +4680,35 @@ class DesktopProgressController {
             };
         }
 
-        if (stats.stats && stats.stats.keyPresses !== undefined) {
-            this.keypressData.totalKeypresses = stats.stats.keyPresses;
-            
-            // Update main counter
+        if (stats.input && stats.input.keyPresses !== undefined) {
+            this.keypressData.totalKeypresses = stats.input.keyPresses;
+            this.keypressData.lastKeypressTime = stats.input.lastKeyPress;
+
             const totalKeypresses = document.getElementById('totalKeypresses');
             if (totalKeypresses) {
                 totalKeypresses.textContent = this.keypressData.totalKeypresses.toLocaleString();
             }
 
-            // Calculate keys per minute
-            const now = Date.now();
-            const sessionDurationMinutes = (now - this.keypressData.startTime) / 60000;
-            const keysPerMinute = sessionDurationMinutes > 0 ? 
-                Math.round(this.keypressData.totalKeypresses / sessionDurationMinutes) : 0;
-            
-            const keysPerMinuteElement = document.getElementById('keysPerMinute');
-            if (keysPerMinuteElement) {
-                keysPerMinuteElement.textContent = keysPerMinute;
-            }
-
-            // Update peak rate
-            if (keysPerMinute > this.keypressData.maxKeysPerMinute) {
-                this.keypressData.maxKeysPerMinute = keysPerMinute;
-            }
-            
-            const peakKeysPerMinute = document.getElementById('peakKeysPerMinute');
-            if (peakKeysPerMinute) {
-                peakKeysPerMinute.textContent = this.keypressData.maxKeysPerMinute;
-            }
-
-            // Update last keypress time
-            if (stats.lastActivity) {
-                this.keypressData.lastKeypressTime = stats.lastActivity;
-            }
+            this.updateKeypressRate(stats.input.keysPerMinute || 0);
+            this.updateKeypressSource(stats.input.keyboardSource);
         }
 
         this.updateLastKeypressDisplay();
     }
 
-    updateNativeActivityUI(stats) {
-        // Check if we're in fallback mode
-        if (stats.permissions && stats.permissions.fallbackMode) {
-            this.updateNativeTrackingStatus('Fallback Mode', 'info');
-            this.addLog(stats.permissions.message, 'info');
-        } else if (stats.permissions && !stats.permissions.hasPermissions) {
+    // result: see loadActivityStats
+    updateNativeActivityUI({ stats, permissions }) {
+        // Check if we're in fallback mode (activity from window focus)
+        if (permissions && permissions.fallbackMode) {
+            this.updateNativeTrackingStatus('Fallback Mode (window focus)', 'info');
+            this.addLog(permissions.message, 'info');
+        } else if (permissions && !permissions.hasPermissions) {
             this.updateNativeTrackingStatus('Permissions Required', 'error');
-            this.addLog(stats.permissions.message, 'warning');
+            this.addLog(permissions.message, 'warning');
             return;
         } else {
             // Update native tracking status
-            if (stats.isMonitoring) {
+            if (stats.isActive) {
                 this.updateNativeTrackingStatus('Active', 'success');
             } else {
                 this.updateNativeTrackingStatus('Inactive', 'warning');
@@ -3262,13 +4717,13 @@ class DesktopProgressController {
 
         // Update mouse movements
         const mouseMovements = document.getElementById('mouseMovements');
-        if (mouseMovements && stats.stats) {
-            mouseMovements.textContent = stats.stats.mouseMovements || 0;
+        if (mouseMovements && stats.input) {
+            mouseMovements.textContent = stats.input.mouseMovements || 0;
         }
 
         const windowSwitches = document.getElementById('windowSwitches');
-        if (windowSwitches && stats.stats) {
-            windowSwitches.textContent = stats.stats.windowSwitches || 0;
+        if (windowSwitches && stats.input) {
+            windowSwitches.textContent = stats.input.windowSwitches || 0;
         }
 
         // Update last activity
@@ -3300,6 +4755,36 @@ class DesktopProgressController {
         }
     }
 
+    // keysPerMinute: key presses in the last minute, as counted by the native monitor
+    updateKeypressRate(keysPerMinute) {
+        const keysPerMinuteElement = document.getElementById('keysPerMinute');
+        if (keysPerMinuteElement) {
+            keysPerMinuteElement.textContent = keysPerMinute;
+        }
+
+        if (keysPerMinute > this.keypressData.maxKeysPerMinute) {
+            this.keypressData.maxKeysPerMinute = keysPerMinute;
+        }
+
+        const peakKeysPerMinute = document.getElementById('peakKeysPerMinute');
+        if (peakKeysPerMinute) {
+            peakKeysPerMinute.textContent = this.keypressData.maxKeysPerMinute;
+        }
+    }
+
+    // source: 'evdev', 'xinput', 'estimate' or null, see activity-monitor.js
+    updateKeypressSource(source) {
+        const keypressSource = document.getElementById('keypressSource');
+        if (!keypressSource) return;
+
+        const descriptions = {
+            evdev: 'Counted from the keyboard devices (evdev)',
+            xinput: 'Counted from XInput2 raw key events',
+            estimate: 'Estimated from system idle time'
+        };
+        keypressSource.textContent = descriptions[source] || 'No keyboard activity source available';
+    }
+
     updateLastKeypressDisplay() {
         const lastKeypress = document.getElementById('lastKeypress');
         if (lastKeypress && this.keypressData && this.keypressData.lastKeypressTime) {
@@ -3394,39 +4879,21 @@ class DesktopProgressController {
                 };
             }
 
-            // Update keypress count
             this.keypressData.totalKeypresses = data.totalKeyPresses;
-            this.keypressData.lastKeypressTime = Date.now();
+            this.keypressData.lastKeypressTime = data.timestamp;
 
-            // Update UI elements
             const totalKeypresses = document.getElementById('totalKeypresses');
             if (totalKeypresses) {
                 totalKeypresses.textContent = this.keypressData.totalKeypresses.toLocaleString();
             }
 
-            // Calculate and update keys per minute
-            const sessionDurationMinutes = (Date.now() - this.keypressData.startTime) / 60000;
-            const keysPerMinute = sessionDurationMinutes > 0 ? 
-                Math.round(this.keypressData.totalKeypresses / sessionDurationMinutes) : 0;
-            
-            const keysPerMinuteElement = document.getElementById('keysPerMinute');
-            if (keysPerMinuteElement) {
-                keysPerMinuteElement.textContent = keysPerMinute;
-            }
-
-            // Update peak rate
-            if (keysPerMinute > this.keypressData.maxKeysPerMinute) {
-                this.keypressData.maxKeysPerMinute = keysPerMinute;
-                const peakKeysPerMinute = document.getElementById('peakKeysPerMinute');
-                if (peakKeysPerMinute) {
-                    peakKeysPerMinute.textContent = this.keypressData.maxKeysPerMinute;
-                }
-            }
+            this.updateKeypressRate(data.keysPerMinute || 0);
+            this.updateKeypressSource(data.source);
 
             // Update last keypress time
             this.updateLastKeypressDisplay();
 
-            console.log(`📝 Keypress detected - Total: ${this.keypressData.totalKeypresses}, Rate: ${keysPerMinute}/min`);
+            console.log(`📝 Keypresses counted - Total: ${this.keypressData.totalKeypresses}, Rate: ${data.keysPerMinute}/min`);
         }
 
         // Mark as active and update the status display
@@ -3539,71 +5006,6 @@ class DesktopProgressController {
         console.log(`✅ Status display updated to: ${displayText} (${dotClass})`);
     }
 
-    // New methods to connect native activity to Activity Overview
-    updateActivityOverviewFromNativeActivity(data) {
-        if (!this.uiReady) return;
-        
-        // Update last activity time
-        this.lastActivityTime = Date.now();
-        
-        // If this is activity detection, mark as active and accumulate time
-        if (data.type === 'mouse' || data.type === 'keyboard' || data.type === 'window') {
-            if (!this.activityStats.isActive) {
-                this.activityStats.isActive = true;
-                this.activitySessionStart = Date.now();
-                console.log(`📊 Activity Overview: Started new session`);
-            }
-            
-            // Update session time
-            this.activityStats.sessionTime = Date.now() - this.activitySessionStart;
-            
-            // Update monitoring status
-            this.activityStats.isMonitoring = true;
-            
-                    // Timeline updates are handled by the unified minute-based system
-        // UI updates are handled by the periodic refresh to prevent flickering
-        
-        console.log(`📊 Activity Overview: Session time ${this.formatDuration(this.activityStats.sessionTime)}`);
-        }
-    }
-
-    updateActivityOverviewFromStatusChange(data) {
-        if (!this.uiReady) return;
-        
-        const wasActive = this.activityStats.isActive;
-        this.activityStats.isActive = data.isActive;
-        
-        if (wasActive && !data.isActive) {
-            // User became inactive - add session time to daily active time
-            const sessionTime = Date.now() - this.activitySessionStart;
-            this.activityStats.dailyActive += sessionTime;
-            this.activityStats.totalTime = this.activityStats.dailyActive + this.activityStats.dailyIdle;
-            
-            // Save the updated stats to localStorage
-            this.saveActivityStats();
-            
-            console.log(`📊 Activity Overview: Session ended - ${this.formatDuration(sessionTime)}, Total today: ${this.formatDuration(this.activityStats.dailyActive)}`);
-        } else if (!wasActive && data.isActive) {
-            // User became active - start new session
-            this.activitySessionStart = Date.now();
-            console.log(`📊 Activity Overview: New session started`);
-        }
-        
-        // Update current session time
-        if (this.activityStats.isActive) {
-            this.activityStats.sessionTime = Date.now() - this.activitySessionStart;
-        } else {
-            this.activityStats.sessionTime = 0;
-        }
-        
-        // Update monitoring status
-        this.activityStats.isMonitoring = true;
-        
-        // UI updates are handled by the periodic refresh to prevent flickering
-        
-        console.log(`📊 Activity Overview: Status changed to ${data.isActive ? 'active' : 'inactive'}, Daily total: ${this.formatDuration(this.activityStats.dailyActive)}`);
-    }
-
     // Activity Chart Methods - Now showing percentage activity in 10-minute segments
     initializeActivityChart() {
         const canvas = document.getElementById('activityChartCanvas');
@@ -3835,7 +5237,7 @@ class DesktopProgressController {
         this.scrollTimelineToStart();
     }
 
-    loadRealTimelineData() {
+    async loadRealTimelineData() {
         // Load any stored activity data from localStorage for today
         const today = new Date().toDateString();
         const storedData = localStorage.getItem(`activityTimeline_${today}`);
@@ -3852,6 +5254,24 @@ class DesktopProgressController {
             this.realTimelineData = new Map();
             console.log('📊 No existing timeline data found, starting fresh');
         }
+
+        // The main process history wins where it has data, so the timeline survives restarts and cleared storage
+        try {
+            if (window.electronAPI && window.electronAPI.getActivityHistory) {
+                const result = await window.electronAPI.getActivityHistory({});
+                if (result.success && result.days.length > 0) {
+                    const states = { a: 'active', i: 'idle' };
+                    result.days[0].minutes.split('').forEach((code, minute) => {
+                        if (states[code]) {
+                            this.realTimelineData.set(this.getSegmentKey(minute), states[code]);
+                        }
+                    });
+                    console.log(`📊 Applied activity history for ${result.days[0].date} to the timeline`);
+                }
+            }
+        } catch (error) {
+            console.error('Error loading activity history:', error);
+        }
         
         // Apply the loaded data to the timeline
         this.refreshTimelineDisplay();
@@ -3868,40 +5288,6 @@ class DesktopProgressController {
         }
     }
 
-    saveActivityStats() {
-        // Save current activity stats to localStorage
-        const today = new Date().toISOString().split('T')[0];
-        const statsToSave = {
-            dailyActive: this.activityStats.dailyActive,
-            dailyIdle: this.activityStats.dailyIdle,
-            totalTime: this.activityStats.totalTime,
-            lastSaved: Date.now()
-        };
-        
-        localStorage.setItem(`activityStats_${today}`, JSON.stringify(statsToSave));
-        console.log(`📊 Activity stats saved for ${today}: ${this.formatDuration(this.activityStats.dailyActive)} active`);
-    }
-
-    loadActivityStats() {
-        // Load activity stats from localStorage for today
-        const today = new Date().toISOString().split('T')[0];
-        const stored = localStorage.getItem(`activityStats_${today}`);
-        
-        if (stored) {
-            try {
-                const parsedStats = JSON.parse(stored);
-                this.activityStats.dailyActive = parsedStats.dailyActive || 0;
-                this.activityStats.dailyIdle = parsedStats.dailyIdle || 0;
-                this.activityStats.totalTime = parsedStats.totalTime || 0;
-                console.log(`📊 Activity stats loaded for ${today}: ${this.formatDuration(this.activityStats.dailyActive)} active`);
-            } catch (error) {
-                console.error('Error loading activity stats:', error);
-            }
-        } else {
-            console.log(`📊 No saved activity stats for ${today} - starting fresh`);
-        }
-    }
-
     refreshTimelineDisplay() {
         // Update all timeline segments based on real data
         for (let minute = 0; minute < 1440; minute++) {
@@ -4052,54 +5438,110 @@ class DesktopProgressController {
         }
     }
 
-    updateWeeklyInsights() {
-        if (!this.uiReady) return;
+    async refreshWeeklyInsights() {
+        try {
+            if (!window.electronAPI || !window.electronAPI.getWeeklyInsights) return;
+
+            const result = await window.electronAPI.getWeeklyInsights(this.insightsWeek);
+            if (result.success) {
+                this.weeklyInsights = result.insights;
+                this.updateWeeklyInsights(result.insights);
+            } else {
+                console.error('Failed to load weekly insights:', result.error);
+                const details = document.getElementById('mostProductiveDetails');
+                if (details) details.textContent = result.error;
+            }
+        } catch (error) {
+            console.error('Failed to load weekly insights:', error);
+        }
+    }
+
+    showInsightsWeek(week) {
+        if (!week) return;
+        this.insightsWeek = week;
+        this.refreshWeeklyInsights();
+    }
+
+    formatPercentChange(ratio) {
+        if (ratio === null) return 'n/a';
+        const percent = Math.round(ratio * 100);
+        return `${percent > 0 ? '+' : ''}${percent}%`;
+    }
+
+    // insights: see weekly-insights.js
+    updateWeeklyInsights(insights) {
+        const hour = (value) => `${String(value).padStart(2, '0')}:00`;
+
+        const weekInput = document.getElementById('insightsWeek');
+        if (weekInput) weekInput.value = insights.week;
+        const range = document.getElementById('insightsRange');
+        if (range) range.textContent = `${insights.from} to ${insights.to}`;
 
-        // Most Productive Day (simplified - show today if active)
+        // Most Productive Day
         const mostProductiveDay = document.getElementById('mostProductiveDay');
         const mostProductiveDetails = document.getElementById('mostProductiveDetails');
         if (mostProductiveDay && mostProductiveDetails) {
-            const today = new Date().toLocaleDateString('en-US', { weekday: 'long' });
-            const totalActiveTime = this.activityStats.dailyActive + 
-                (this.activityStats.isActive ? this.activityStats.sessionTime : 0);
-            mostProductiveDay.textContent = today;
-            mostProductiveDetails.textContent = this.formatDuration(totalActiveTime);
+            const best = insights.mostProductiveDay;
+            mostProductiveDay.textContent = best ? best.weekday : 'No data';
+            mostProductiveDetails.textContent = best
+                ? `${this.formatDuration(best.loggedTime)} logged, ${this.formatDuration(best.activeTime)} active`
+                : 'Nothing tracked or logged this week';
         }
 
-        // Peak Hours (show current hour when active)
+        // Peak Hours
         const peakHours = document.getElementById('peakHours');
         const peakHoursDetails = document.getElementById('peakHoursDetails');
         if (peakHours && peakHoursDetails) {
-            const now = new Date();
-            const currentHour = now.getHours();
-            const hourString = `${currentHour.toString().padStart(2, '0')}:00`;
-            peakHours.textContent = this.activityStats.isActive ? hourString : 'Not active';
-            peakHoursDetails.textContent = this.activityStats.isActive ? 'Current active period' : 'No activity detected';
+            const [peak, ...others] = insights.peakHours;
+            peakHours.textContent = peak ? `${hour(peak.start)}-${hour(peak.end)}` : 'No data';
+            peakHoursDetails.textContent = peak
+                ? (others.length > 0 ? `Also ${others.map(range => `${hour(range.start)}-${hour(range.end)}`).join(', ')}` : 'Most active period')
+                : 'No activity tracked this week';
         }
 
-        // Today's Progress (show daily active time)
+        // Week-over-week trend
         const weeklyTrend = document.getElementById('weeklyTrend');
         const weeklyTrendDetails = document.getElementById('weeklyTrendDetails');
         if (weeklyTrend && weeklyTrendDetails) {
-            const totalActiveTime = this.activityStats.dailyActive + 
-                (this.activityStats.isActive ? this.activityStats.sessionTime : 0);
-            weeklyTrend.textContent = this.formatDuration(totalActiveTime);
-            weeklyTrendDetails.textContent = 'Active time today';
+            weeklyTrend.textContent = this.formatPercentChange(insights.trend.activeChange);
+            weeklyTrendDetails.textContent = `${this.formatDuration(insights.activeTime)} active (was ${this.formatDuration(insights.trend.previousActiveTime)}), ` +
+                `logged ${this.formatPercentChange(insights.trend.loggedChange)}`;
         }
 
-        // Efficiency (logged vs active)
+        // Accuracy (logged vs active)
         const weeklyAccuracy = document.getElementById('weeklyAccuracy');
         const weeklyAccuracyDetails = document.getElementById('weeklyAccuracyDetails');
         if (weeklyAccuracy && weeklyAccuracyDetails) {
-            const totalActiveTime = this.activityStats.dailyActive + 
-                (this.activityStats.isActive ? this.activityStats.sessionTime : 0);
-            const loggedMs = this.getTodayLoggedTime();
-            const efficiency = totalActiveTime > 0 ? Math.round((loggedMs / totalActiveTime) * 100) : 0;
-            weeklyAccuracy.textContent = `${Math.min(efficiency, 100)}%`;
-            weeklyAccuracyDetails.textContent = 'Logged vs. active';
+            weeklyAccuracy.textContent = insights.accuracy === null ? 'n/a' : `${Math.round(insights.accuracy * 100)}%`;
+            weeklyAccuracyDetails.textContent = `${this.formatDuration(insights.loggedTime)} logged of ${this.formatDuration(insights.activeTime)} active`;
+        }
+
+        const daysBody = document.getElementById('insightsDaysBody');
+        if (daysBody) {
+            daysBody.innerHTML = insights.days.map(day => `
+                <tr>
+                    <td class="date-cell">${day.weekday}</td>
+                    <td class="hours-cell">${this.formatDuration(day.activeTime)}</td>
+                    <td class="hours-cell">${this.formatDuration(day.loggedTime)}</td>
+                    <td class="hours-cell">${day.accuracy === null ? '-' : `${Math.round(day.accuracy * 100)}%`}</td>
+                </tr>
+            `).join('');
+        }
+
+        const projects = document.getElementById('insightsProjects');
+        if (projects) {
+            projects.innerHTML = insights.projects.length === 0
+                ? '<div class="app-usage-empty">Nothing logged this week.</div>'
+                : insights.projects.map(entry => `
+                    <div class="usage-bar">
+                        <span class="usage-bar-name">${entry.project}</span>
+                        <div class="usage-bar-track"><div class="usage-bar-fill" style="width: ${Math.max(entry.share * 100, 1)}%; background: ${this.getProjectColor(entry.project) || 'var(--accent-blue)'}"></div></div>
+                        <span class="usage-bar-value">${entry.hours}h (${Math.round(entry.share * 100)}%)</span>
+                    </div>
+                `).join('');
         }
 
-        console.log('📊 Weekly insights updated');
+        console.log(`📊 Weekly insights updated for ${insights.week}`);
     }
 }
 
@@ -0,0 +1,48 @@
+// Environment helpers for the standalone MCP servers (stdio and HTTP)
+// These run under plain Node, outside Electron, so they can't ask app.getPath()
+
+import fs from 'node:fs';
+import os from 'os';
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Locate the desktop app's userData directory (settings, todos, .env).
+// The desktop app passes it explicitly when it spawns a server; otherwise fall back to the platform default.
+export function resolveDataDir() {
+  if (process.env.MCP_PROGRESS_DATA_DIR) {
+    return process.env.MCP_PROGRESS_DATA_DIR;
+  }
+
+  let appDataDir;
+  if (process.platform === 'darwin') {
+    appDataDir = path.join(os.homedir(), 'Library', 'Application Support');
+  } else if (process.platform === 'win32') {
+    appDataDir = process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+  } else {
+    appDataDir = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  }
+
+  // Packaged builds use the product name, development runs use the package name
+  const candidates = ['MCP Progress Tracker', 'mcp-progress-desktop'].map(name => path.join(appDataDir, name));
+  return candidates.find(dir => fs.existsSync(dir)) || candidates[0];
+}
+
+export function loadEnvVars(dataDir, log = console.error) {
+  const envPaths = [
+    path.join(__dirname, '.env'),
+    path.join(process.cwd(), '.env'),
+    path.join(dataDir, '.env')
+  ];
+
+  const envPath = envPaths.find(candidate => fs.existsSync(candidate));
+  if (envPath) {
+    dotenv.config({ path: envPath });
+    log(`Loaded environment variables from: ${envPath}`);
+  } else {
+    log('No .env file found, using process environment only');
+  }
+}
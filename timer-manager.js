@@ -0,0 +1,165 @@
+import { EventEmitter } from 'events';
+import fs from 'node:fs';
+import path from 'path';
+import { randomUUID } from 'node:crypto';
+
+// Start/pause/resume/stop timers for time tracking.
+// Timers are kept in timers.json in userData and saved after every change, so a running timer survives
+// an app restart and keeps counting from its original start. Only one timer runs at a time; starting or
+// resuming one pauses the others. Elapsed time is the sum of the timer's segments.
+class TimerManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      dataDir: options.dataDir,
+      maxHours: options.maxHours || 24 // Progress items can't be longer than a day
+    };
+
+    this.timersPath = path.join(this.options.dataDir, 'timers.json');
+    this.timers = this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.timersPath)) {
+        const data = JSON.parse(fs.readFileSync(this.timersPath, 'utf8'));
+        return Array.isArray(data.timers) ? data.timers : [];
+      }
+    } catch (error) {
+      console.error('Error loading timers:', error);
+    }
+    return [];
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.timersPath, JSON.stringify({
+        timers: this.timers,
+        lastUpdated: new Date().toISOString()
+      }, null, 2));
+    } catch (error) {
+      console.error('Error saving timers:', error);
+    }
+    this.emit('changed', this.getTimers());
+  }
+
+  find(id) {
+    const timer = this.timers.find(t => t.id === id);
+    if (!timer) {
+      throw new Error(`Timer not found: ${id}`);
+    }
+    return timer;
+  }
+
+  getElapsed(timer, now = Date.now()) {
+    return timer.segments.reduce((total, segment) => {
+      const end = segment.end ? new Date(segment.end).getTime() : now;
+      return total + Math.max(end - new Date(segment.start).getTime(), 0);
+    }, 0);
+  }
+
+  // Snapshot for the renderer and the tray; elapsedMs is as of now
+  getTimers() {
+    const now = Date.now();
+    return this.timers.map(timer => ({ ...timer, elapsedMs: this.getElapsed(timer, now) }));
+  }
+
+  getRunning() {
+    return this.getTimers().find(timer => timer.status === 'running') || null;
+  }
+
+  pauseRunning(now) {
+    this.timers
+      .filter(timer => timer.status === 'running')
+      .forEach(timer => {
+        timer.status = 'paused';
+        timer.segments[timer.segments.length - 1].end = now;
+      });
+  }
+
+  // project is required; todoId records the to-do the timer was started from
+  start({ project, description = '', todoId = null } = {}) {
+    if (!project) {
+      throw new Error('A timer needs a project');
+    }
+
+    const now = new Date().toISOString();
+    this.pauseRunning(now);
+
+    const timer = {
+      id: randomUUID(),
+      project,
+      description,
+      todoId,
+      status: 'running',
+      segments: [{ start: now, end: null }],
+      createdAt: now
+    };
+
+    this.timers.push(timer);
+    this.save();
+    console.log(`Started timer ${timer.id} for ${project}`);
+    return timer;
+  }
+
+  pause(id) {
+    const timer = this.find(id);
+    if (timer.status === 'running') {
+      timer.status = 'paused';
+      timer.segments[timer.segments.length - 1].end = new Date().toISOString();
+      this.save();
+    }
+    return timer;
+  }
+
+  resume(id) {
+    const timer = this.find(id);
+    if (timer.status === 'paused') {
+      const now = new Date().toISOString();
+      this.pauseRunning(now);
+      timer.status = 'running';
+      timer.segments.push({ start: now, end: null });
+      this.save();
+    }
+    return timer;
+  }
+
+  // Removes the timer and returns a progress item for the measured time, ready to be reviewed and submitted
+  stop(id) {
+    const timer = this.find(id);
+    const now = Date.now();
+    const elapsedMs = this.getElapsed(timer, now);
+
+    this.timers = this.timers.filter(t => t.id !== id);
+    this.save();
+
+    const measuredHours = elapsedMs / 3600000;
+    console.log(`Stopped timer ${id} after ${measuredHours.toFixed(2)} hours`);
+
+    return {
+      timer: { ...timer, status: 'stopped', elapsedMs },
+      progressData: {
+        project: timer.project,
+        hours: Math.min(Math.max(Math.round(measuredHours * 100) / 100, 0.01), this.options.maxHours),
+        description: timer.description,
+        date: new Date(now).toISOString()
+      }
+    };
+  }
+
+  discard(id) {
+    this.find(id);
+    this.timers = this.timers.filter(t => t.id !== id);
+    this.save();
+  }
+}
+
+// h:mm, as shown in the tray
+export function formatElapsed(ms) {
+  const totalMinutes = Math.floor(ms / 60000);
+  return `${Math.floor(totalMinutes / 60)}:${String(totalMinutes % 60).padStart(2, '0')}`;
+}
+
+export { TimerManager };
+export default TimerManager;
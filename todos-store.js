@@ -0,0 +1,32 @@
+// To-do persistence for MCP Progress Tracker
+// The renderer keeps to-dos in localStorage and mirrors them here through IPC,
+// so processes outside Electron (the stdio MCP server) can read them too
+
+import fs from 'node:fs';
+import path from 'path';
+
+export function getTodosPath(dataDir) {
+  return path.join(dataDir, 'todos.json');
+}
+
+export function readTodos(dataDir) {
+  const todosPath = getTodosPath(dataDir);
+  try {
+    if (fs.existsSync(todosPath)) {
+      const data = JSON.parse(fs.readFileSync(todosPath, 'utf8'));
+      return Array.isArray(data.todos) ? data.todos : [];
+    }
+  } catch (error) {
+    console.error('Error reading todos:', error);
+  }
+  return [];
+}
+
+export function writeTodos(dataDir, todos) {
+  const todosPath = getTodosPath(dataDir);
+  const data = {
+    todos: Array.isArray(todos) ? todos : [],
+    lastUpdated: new Date().toISOString()
+  };
+  fs.writeFileSync(todosPath, JSON.stringify(data, null, 2));
+}
@@ -0,0 +1,135 @@
+// Weekly insights for the Activity tab
+// Built from a week of activity history (see activity-history-store.js) and the progress items logged in it,
+// plus the week before for the trend. Times are in milliseconds; logged hours are converted to match.
+
+import { formatLocalDate } from './date-utils.js';
+
+const PEAK_SHARE = 0.75; // Hours with at least this share of the busiest hour's activity count as peak hours
+const MAX_PEAK_RANGES = 3;
+
+function loggedTimeByDate(items) {
+  const totals = {};
+  items.forEach(item => {
+    const date = formatLocalDate(new Date(item.date));
+    totals[date] = (totals[date] || 0) + (parseFloat(item.hours) || 0) * 3600000;
+  });
+  return totals;
+}
+
+function sumLogged(items) {
+  return items.reduce((total, item) => total + (parseFloat(item.hours) || 0) * 3600000, 0);
+}
+
+function sumActive(days) {
+  return days.reduce((total, day) => total + day.activeTime, 0);
+}
+
+// Relative change from previous to current, or null when there's nothing to compare with
+function change(current, previous) {
+  return previous > 0 ? (current - previous) / previous : null;
+}
+
+// Ratio of logged to active time, or null on days without tracked activity
+function accuracy(logged, active) {
+  return active > 0 ? logged / active : null;
+}
+
+// Active minutes per hour of the day, summed over the week
+function activeMinutesByHour(days) {
+  const hours = new Array(24).fill(0);
+  days.forEach(day => {
+    for (let minute = 0; minute < day.minutes.length; minute++) {
+      if (day.minutes[minute] === 'a') {
+        hours[Math.floor(minute / 60)]++;
+      }
+    }
+  });
+  return hours;
+}
+
+// Runs of consecutive peak hours, busiest first: [{ start: 9, end: 11, activeMinutes }] covers 09:00-11:00
+function findPeakRanges(hours) {
+  const busiest = Math.max(...hours);
+  if (busiest === 0) {
+    return [];
+  }
+
+  const ranges = [];
+  let current = null;
+  hours.forEach((minutes, hour) => {
+    if (minutes >= busiest * PEAK_SHARE) {
+      if (current && current.end === hour) {
+        current.end = hour + 1;
+        current.activeMinutes += minutes;
+      } else {
+        current = { start: hour, end: hour + 1, activeMinutes: minutes };
+        ranges.push(current);
+      }
+    }
+  });
+
+  return ranges
+    .sort((a, b) => b.activeMinutes - a.activeMinutes)
+    .slice(0, MAX_PEAK_RANGES);
+}
+
+function projectDistribution(items) {
+  const hours = {};
+  items.forEach(item => {
+    const project = item.project || 'Unknown';
+    hours[project] = (hours[project] || 0) + (parseFloat(item.hours) || 0);
+  });
+
+  const total = Object.values(hours).reduce((sum, value) => sum + value, 0);
+  return Object.entries(hours)
+    .map(([project, projectHours]) => ({
+      project,
+      hours: Math.round(projectHours * 100) / 100,
+      share: total > 0 ? projectHours / total : 0
+    }))
+    .sort((a, b) => b.hours - a.hours);
+}
+
+// days/previousDays: activity history days of the week and the week before; items/previousItems: their progress items
+export function buildWeeklyInsights({ week, days, previousDays = [], items, previousItems = [] }) {
+  const logged = loggedTimeByDate(items);
+
+  const dailyStats = days.map(day => {
+    const loggedTime = logged[day.date] || 0;
+    return {
+      date: day.date,
+      weekday: new Date(`${day.date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'long' }),
+      activeTime: day.activeTime,
+      loggedTime,
+      accuracy: accuracy(loggedTime, day.activeTime)
+    };
+  });
+
+  // The most productive day logged the most hours; before anything is logged, it's the most active day
+  const ranked = [...dailyStats].sort((a, b) => (b.loggedTime - a.loggedTime) || (b.activeTime - a.activeTime));
+  const mostProductiveDay = ranked[0] && (ranked[0].loggedTime > 0 || ranked[0].activeTime > 0) ? ranked[0] : null;
+
+  const activeTime = sumActive(days);
+  const loggedTime = sumLogged(items);
+  const previousActiveTime = sumActive(previousDays);
+  const previousLoggedTime = sumLogged(previousItems);
+
+  return {
+    week,
+    from: days.length > 0 ? days[0].date : null,
+    to: days.length > 0 ? days[days.length - 1].date : null,
+    activeTime,
+    loggedTime,
+    accuracy: accuracy(loggedTime, activeTime),
+    mostProductiveDay,
+    peakHours: findPeakRanges(activeMinutesByHour(days)),
+    trend: {
+      previousActiveTime,
+      previousLoggedTime,
+      activeChange: change(activeTime, previousActiveTime),
+      loggedChange: change(loggedTime, previousLoggedTime)
+    },
+    days: dailyStats,
+    projects: projectDistribution(items)
+  };
+}
@@ -0,0 +1,149 @@
+// Daily active time per project, application and window title, from window focus intervals
+// Kept in window-usage.json in userData as
+//   { days: { 'YYYY-MM-DD': { projects: { <name>: ms }, unassigned: ms, apps: { <app>: { time: ms, titles: { <title>: ms } } } } } }
+// Time is only added for intervals the user was active in (see WindowActivityLog), so idle time never counts.
+// Intervals are collected in memory and written by flush(), which the main process calls every minute.
+// Days are kept as long as the activity history keeps them (settings.activity.historyRetentionDays).
+
+import fs from 'node:fs';
+import path from 'path';
+import { formatLocalDate, startOfNextDay } from './date-utils.js';
+import { DEFAULT_RETENTION_DAYS } from './activity-history-store.js';
+
+const MAX_TITLES_PER_APP = 100;         // Per day; browsers alone can produce hundreds of titles
+const OTHER_TITLES = '(other windows)'; // Where titles past the limit are counted
+const NO_TITLE = '(no title)';
+
+function emptyDay() {
+  return { projects: {}, unassigned: 0, apps: {} };
+}
+
+// Calls add(dateKey, ms) for each day the interval covers, split at midnight
+function splitByDay(start, end, add) {
+  let from = start;
+  while (from < end) {
+    const to = Math.min(end, startOfNextDay(from));
+    add(formatLocalDate(new Date(from)), to - from);
+    from = to;
+  }
+}
+
+function addTime(day, { project, appName, title }, ms) {
+  if (project) {
+    day.projects[project] = (day.projects[project] || 0) + ms;
+  } else {
+    day.unassigned += ms;
+  }
+
+  const appKey = appName || 'Unknown';
+  const app = day.apps[appKey] = day.apps[appKey] || { time: 0, titles: {} };
+  let titleKey = (title || '').replace(/\s+/g, ' ').trim() || NO_TITLE;
+  if (!(titleKey in app.titles) && Object.keys(app.titles).length >= MAX_TITLES_PER_APP) {
+    titleKey = OTHER_TITLES;
+  }
+  app.time += ms;
+  app.titles[titleKey] = (app.titles[titleKey] || 0) + ms;
+}
+
+// Apps by time spent, largest first, each with its top window titles
+export function summarizeApps(day, { limit = null, titleLimit = 10 } = {}) {
+  const apps = Object.entries(day.apps)
+    .map(([appName, usage]) => ({
+      appName,
+      time: usage.time,
+      titles: Object.entries(usage.titles)
+        .map(([title, time]) => ({ title, time }))
+        .sort((a, b) => b.time - a.time)
+        .slice(0, titleLimit)
+    }))
+    .sort((a, b) => b.time - a.time);
+
+  return limit ? apps.slice(0, limit) : apps;
+}
+
+export function createWindowUsageStore({ dataDir, retentionDays = DEFAULT_RETENTION_DAYS, log = console.log }) {
+  if (!dataDir) {
+    throw new Error('Window usage needs a data directory');
+  }
+
+  const usagePath = path.join(dataDir, 'window-usage.json');
+  let days = load();
+  let dirty = false;
+  let retention = retentionDays;
+
+  function load() {
+    try {
+      if (fs.existsSync(usagePath)) {
+        const data = JSON.parse(fs.readFileSync(usagePath, 'utf8'));
+        return data.days && typeof data.days === 'object' ? data.days : {};
+      }
+    } catch (error) {
+      log(`Error reading window usage: ${error.message}`);
+    }
+    return {};
+  }
+
+  function getOrCreateDay(key) {
+    // Days saved before app tracking have no apps yet
+    days[key] = { ...emptyDay(), ...days[key] };
+    return days[key];
+  }
+
+  // Adds a finished { project, appName, title, start, end } interval, split at midnight so each day gets its own share
+  function addInterval(interval) {
+    splitByDay(interval.start, interval.end, (key, ms) => addTime(getOrCreateDay(key), interval, ms));
+    dirty = true;
+  }
+
+  // Usage for a day (a Date or YYYY-MM-DD), in milliseconds. openInterval is the interval still being
+  // measured, if any; its share of the day is included without being recorded.
+  function getDay(date = new Date(), openInterval = null) {
+    const key = typeof date === 'string' ? date : formatLocalDate(date);
+    const day = JSON.parse(JSON.stringify({ ...emptyDay(), ...days[key] }));
+
+    if (openInterval) {
+      splitByDay(openInterval.start, openInterval.end, (dayKey, ms) => {
+        if (dayKey === key) {
+          addTime(day, openInterval, ms);
+        }
+      });
+    }
+
+    return { date: key, ...day };
+  }
+
+  // Dates with recorded usage, oldest first
+  function listDays() {
+    return Object.keys(days).sort();
+  }
+
+  // Takes effect at the next flush
+  function setRetention(retentionDays) {
+    retention = Math.max(parseInt(retentionDays, 10) || DEFAULT_RETENTION_DAYS, 1);
+    dirty = true;
+  }
+
+  function flush() {
+    if (!dirty) return;
+
+    // Drop days past the retention window
+    const cutoff = formatLocalDate(new Date(Date.now() - retention * 24 * 60 * 60 * 1000));
+    Object.keys(days).filter(key => key < cutoff).forEach(key => delete days[key]);
+
+    try {
+      fs.mkdirSync(dataDir, { recursive: true });
+      fs.writeFileSync(usagePath, JSON.stringify({ days, lastUpdated: new Date().toISOString() }, null, 2));
+      dirty = false;
+    } catch (error) {
+      log(`Error saving window usage: ${error.message}`);
+    }
+  }
+
+  return {
+    addInterval,
+    getDay,
+    listDays,
+    setRetention,
+    flush
+  };
+}